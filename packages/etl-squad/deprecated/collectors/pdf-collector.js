@@ -16,6 +16,7 @@ import { spawn } from 'child_process';
 import { randomUUID } from 'crypto';
 import tesseract from 'node-tesseract-ocr';
 import { MarkdownConverter } from '../utils/markdown-converter.js';
+import { resolveLanguage, ocrLanguageFor } from '../utils/language-detector.js';
 
 const DEFAULT_OCR_OPTIONS = {
   lang: 'eng',
@@ -53,8 +54,18 @@ export class PDFCollector extends EventEmitter {
 
       if (this._needsOCR(text, pdf.numpages)) {
         this.emit('status', { source, phase: 'ocr', message: 'Running OCR via Tesseract (scanned PDF detected)' });
-        text = await this._runOCR(localPath, metadata.language, tempArtifacts);
+        const ocrLanguage = this._ocrLanguage(metadata.language);
+        text = await this._runOCR(localPath, ocrLanguage, tempArtifacts);
         ocrPerformed = true;
+
+        // Scanned PDFs have no text to detect from until OCR ran: retry once
+        // with the detected language's pack if it differs from the one used
+        metadata.language = resolveLanguage({ declared: source.language, text }).language;
+        const detectedOcrLanguage = this._ocrLanguage(metadata.language);
+        if (detectedOcrLanguage !== ocrLanguage) {
+          this.emit('status', { source, phase: 'ocr', message: `Re-running OCR with language pack ${detectedOcrLanguage}` });
+          text = await this._runOCR(localPath, detectedOcrLanguage, tempArtifacts);
+        }
       }
 
       this.emit('status', { source, phase: 'analysis', message: 'Detecting chapters and sections' });
@@ -144,7 +155,7 @@ export class PDFCollector extends EventEmitter {
       created_at: pdf.info?.CreationDate || null,
       modified_at: pdf.info?.ModDate || null,
       page_count: pdf.numpages,
-      language: source.language || this._inferLanguage(pdf.text),
+      language: resolveLanguage({ declared: source.language, text: pdf.text }).language,
       tags: source.tags || [],
       source_type: 'pdf'
     };
@@ -163,6 +174,13 @@ export class PDFCollector extends EventEmitter {
     return density < 150; // fewer than ~150 alphanumeric chars per page → likely scanned
   }
 
+  /**
+   * Tesseract pack for a document language (pdf.ocr.language when undetermined)
+   */
+  _ocrLanguage(language) {
+    return ocrLanguageFor(language, this.downloadRules.pdf?.ocr?.language || DEFAULT_OCR_OPTIONS.lang);
+  }
+
   async _runOCR(pdfPath, language, tempArtifacts) {
     const outputPrefix = path.join(os.tmpdir(), `etl-pdf-ocr-${randomUUID()}`);
     await this._convertPdfToImages(pdfPath, outputPrefix);
@@ -260,6 +278,7 @@ export class PDFCollector extends EventEmitter {
   async _generateOutputs({ source, sourceDir, text, pdf, metadata, chapters, quality, ocrPerformed }) {
     const frontmatterData = {
       ...metadata,
+      word_count: this.converter.getWordCount(text, metadata.language),
       ocr_performed: ocrPerformed,
       text_density_per_page: quality.density_per_page,
       quality_score: quality.score
@@ -316,16 +335,6 @@ export class PDFCollector extends EventEmitter {
     }
   }
 
-  _inferLanguage(text) {
-    if (!text) return 'unknown';
-
-    const sample = text.slice(0, 2000);
-    if (/[áéíóúãõç]/i.test(sample)) return 'pt';
-    if (/[ñáéíóú]/i.test(sample)) return 'es';
-    if (/[äöüß]/i.test(sample)) return 'de';
-    return 'en';
-  }
-
   _slugify(value = '') {
     return value
       .toLowerCase()
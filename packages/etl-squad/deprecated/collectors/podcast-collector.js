@@ -10,7 +10,7 @@ import { EventEmitter } from 'events';
 import Parser from 'rss-parser';
 import axios from 'axios';
 import sanitizeFilename from 'sanitize-filename';
-import { AssemblyAIMCP } from '../mcps/assemblyai-mcp.js';
+import { TranscriptionProviders } from '../transcription/transcription-providers.js';
 import { getMCPClient } from '../mcps/mcp-client.js';
 import {
   identifyTargetSpeaker,
@@ -18,8 +18,12 @@ import {
   calculateSpeakerStats,
   formatTranscriptMarkdown,
   createTranscriptDocument,
-  validateTranscriptQuality
+  validateTranscriptQuality,
+  resolveTranscriptLanguage
 } from '../utils/speaker-filter.js';
+import { resolveLanguage, assemblyAILanguageFor } from '../utils/language-detector.js';
+import { mindFromPath } from '../utils/transcription-budget.js';
+import { getRequestScheduler } from '../utils/request-scheduler.js';
 
 export class PodcastCollector extends EventEmitter {
   constructor(downloadRules, mcpClient = null) {
@@ -27,7 +31,8 @@ export class PodcastCollector extends EventEmitter {
     this.downloadRules = downloadRules;
     this.mcpClient = mcpClient;
     this.parser = new Parser();
-    this.assemblyAI = null;
+    this.scheduler = getRequestScheduler(downloadRules);   // Shared politeness budgets (collector 'podcasts')
+    this.transcription = null;   // TranscriptionProviders (mcp-config.yaml: transcription)
   }
 
   async collect(source, outputDir) {
@@ -47,7 +52,7 @@ export class PodcastCollector extends EventEmitter {
       this.emit('status', { source, phase: 'download', message: 'Downloading audio file' });
       audioPath = await this._downloadAudio({ source, sourceDir, metadata });
 
-      this.emit('status', { source, phase: 'transcription', message: 'Submitting to AssemblyAI' });
+      this.emit('status', { source, phase: 'transcription', message: 'Transcribing audio' });
       const transcript = await this._transcribe({ audioPath, metadata, source });
 
       this.emit('status', { source, phase: 'processing', message: 'Filtering speakers and generating markdown' });
@@ -115,7 +120,7 @@ export class PodcastCollector extends EventEmitter {
       podcast_title: source.podcast_title,
       episode: source.episode,
       duration: source.duration_seconds,
-      language: source.language || 'en',
+      language: source.language || null,
       rss_url: source.rss_url
     };
 
@@ -126,7 +131,11 @@ export class PodcastCollector extends EventEmitter {
     // If we have an RSS feed, fetch additional metadata
     if (source.feed_url) {
       try {
-        const feed = await this.parser.parseURL(source.feed_url);
+        const feed = await this.scheduler.schedule(
+          source.feed_url,
+          () => this.parser.parseURL(source.feed_url),
+          { collector: 'podcasts' }
+        );
         metadata.podcast_title = feed.title;
         metadata.podcast_description = feed.description;
         metadata.language = feed.language || metadata.language;
@@ -166,6 +175,24 @@ export class PodcastCollector extends EventEmitter {
     const tempPath = path.join(sourceDir, tempFilename);
     const finalPath = path.join(sourceDir, filename);
 
+    // The slot is held until the file is written, not only until the headers arrive
+    const downloadedBytes = await this.scheduler.schedule(
+      source.url,
+      () => this._streamAudio({ source, tempPath, audioRules }),
+      { collector: 'podcasts' }
+    );
+
+    await fs.rename(tempPath, finalPath);
+    this.emit('download_complete', { source, audioPath: finalPath, totalBytes: downloadedBytes });
+
+    return finalPath;
+  }
+
+  /**
+   * Stream the episode to tempPath
+   * @returns {Promise<number>} Bytes written
+   */
+  async _streamAudio({ source, tempPath, audioRules }) {
     const response = await axios.get(source.url, {
       responseType: 'stream',
       timeout: (audioRules.timeout_seconds || 600) * 1000,
@@ -205,20 +232,32 @@ export class PodcastCollector extends EventEmitter {
       throw new Error(`Failed to download podcast audio: ${error.message}`);
     }
 
-    await fs.rename(tempPath, finalPath);
-    this.emit('download_complete', { source, audioPath: finalPath, totalBytes: downloadedBytes });
-
-    return finalPath;
+    return downloadedBytes;
   }
 
   async _transcribe({ audioPath, metadata, source }) {
-    if (!this.assemblyAI) {
-      this.assemblyAI = new AssemblyAIMCP(process.env.ASSEMBLYAI_API_KEY);
+    if (!this.transcription) {
+      this.transcription = await new TranscriptionProviders(await this._mcpConfig()).loadConfiguredModules();
+      this.transcription.on('provider_fallback', (event) => {
+        this.emit('warning', {
+          source_id: event.source_id,
+          phase: 'transcription',
+          message: `Transcribing with ${event.to} instead of ${event.from}: ${event.reason}`
+        });
+      });
     }
 
+    // Unknown or unsupported language: let AssemblyAI detect it
+    const languageCode = assemblyAILanguageFor(
+      resolveLanguage({ declared: metadata.language, text: metadata.description }).language
+    );
+
     const transcriptOptions = {
+      source_id: source.id,   // Ledger key: re-runs reuse transcripts already paid for
+      mind: source.mind || mindFromPath(audioPath),   // Per-mind budget cap
+      duration_seconds: metadata.duration || undefined,
       speakers_expected: source.diarization?.expected_speakers || 2,
-      language_code: this._mapLanguage(metadata.language || 'en'),
+      ...(languageCode ? { language_code: languageCode } : { language_detection: true }),
       entity_detection: true,
       sentiment_analysis: false,
       onProgress: (status) => {
@@ -232,11 +271,12 @@ export class PodcastCollector extends EventEmitter {
     };
 
     try {
-      const transcript = await this.assemblyAI.transcribe(_audioPath, transcriptOptions);
+      const transcript = await this.transcription.transcribe(audioPath, { source, ...transcriptOptions });
+      metadata.language = resolveTranscriptLanguage(transcript, { language: languageCode });
       this.emit('transcription_complete', { source, transcript });
       return transcript;
     } catch (error) {
-      this.emit('warning', { source, phase: 'transcription', message: 'AssemblyAI transcription failed, attempting fallback', error });
+      this.emit('warning', { source, phase: 'transcription', message: 'Transcription failed, attempting fallback', error });
 
       try {
         return await this._fallbackTranscript({ source, metadata, audioPath });
@@ -247,6 +287,18 @@ export class PodcastCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Parsed mcp-config.yaml (transcription providers, pricing, budgets)
+   */
+  _mcpConfig() {
+    if (!this.mcpConfig) {
+      this.mcpConfig = getMCPClient()
+        .then(client => client.config || {})
+        .catch(() => ({}));
+    }
+    return this.mcpConfig;
+  }
+
   async _fallbackTranscript({ source, metadata, audioPath }) {
     if (!this.mcpClient) {
       this.mcpClient = await getMCPClient();
@@ -277,7 +329,7 @@ export class PodcastCollector extends EventEmitter {
       expectedSpeakers: source.diarization?.expected_speakers || 2
     });
 
-    const stats = calculateSpeakerStats(utterances);
+    const stats = calculateSpeakerStats(utterances, { language: metadata.language });
     const filteredUtterances = filterByTargetSpeaker(utterances, targetSpeaker);
 
     const filteredMarkdown = formatTranscriptMarkdown(filteredUtterances, {
@@ -351,20 +403,6 @@ export class PodcastCollector extends EventEmitter {
     }
   }
 
-  _mapLanguage(language) {
-    const map = {
-      pt: 'pt',
-      'pt-br': 'pt',
-      en: 'en',
-      es: 'es',
-      fr: 'fr',
-      de: 'de'
-    };
-
-    const normalized = language.toLowerCase();
-    return map[normalized] || 'en';
-  }
-
   _slugify(text = '') {
     return text
       .toLowerCase()
@@ -11,7 +11,9 @@ import { exec } from 'child_process';
 import { promisify } from 'util';
 import ytdl from 'ytdl-core';
 import sanitizeFilename from 'sanitize-filename';
-import { AssemblyAIMCP } from '../mcps/assemblyai-mcp.js';
+import { DEFAULT_PRICE_PER_HOUR } from '../mcps/assemblyai-mcp.js';
+import { TranscriptionProviders } from '../transcription/transcription-providers.js';
+import { normalizeTranscript } from '../transcription/transcription-provider.js';
 import { getMCPClient } from '../mcps/mcp-client.js';
 
 const execPromise = promisify(exec);
@@ -21,15 +23,20 @@ import {
   calculateSpeakerStats,
   formatTranscriptMarkdown,
   createTranscriptDocument,
-  validateTranscriptQuality
+  validateTranscriptQuality,
+  resolveTranscriptLanguage
 } from '../utils/speaker-filter.js';
+import { resolveLanguage, assemblyAILanguageFor } from '../utils/language-detector.js';
+import { mindFromPath } from '../utils/transcription-budget.js';
+import { getRequestScheduler } from '../utils/request-scheduler.js';
 
 export class YouTubeCollector extends EventEmitter {
   constructor(downloadRules, mcpClient = null) {
     super();
     this.downloadRules = downloadRules;
     this.mcpClient = mcpClient;
-    this.assemblyAI = null;
+    this.scheduler = getRequestScheduler(downloadRules);   // Shared politeness budgets (collector 'youtube')
+    this.transcription = null;   // TranscriptionProviders (mcp-config.yaml: transcription)
   }
 
   async collect(source, outputDir) {
@@ -54,7 +61,7 @@ export class YouTubeCollector extends EventEmitter {
       this.emit('status', { source, phase: 'download', message: 'Downloading audio stream' });
       audioPath = await this._downloadAudio({ url: source.url, videoId, sourceDir, metadata });
 
-      this.emit('status', { source, phase: 'transcription', message: 'Submitting to AssemblyAI' });
+      this.emit('status', { source, phase: 'transcription', message: 'Transcribing audio' });
       const transcript = await this._transcribe({ audioPath, metadata, source, videoId });
 
       this.emit('status', { source, phase: 'processing', message: 'Filtering speakers and generating markdown' });
@@ -107,11 +114,11 @@ export class YouTubeCollector extends EventEmitter {
 
   async _fetchMetadata(_videoId, source) {
     try {
-      const info = await ytdl.getInfo(_videoId);
+      const info = await this._schedule(_videoId, () => ytdl.getInfo(_videoId));
       const details = info.videoDetails;
 
       const durationSeconds = parseInt(details.lengthSeconds, 10) || 0;
-      const estimatedCost = this._estimateTranscriptionCost(durationSeconds);
+      const estimatedCost = this._estimateTranscriptionCost(durationSeconds, (await this._mcpConfig()).mcps?.assemblyai?.pricing);
 
       return {
         id: videoId,
@@ -132,14 +139,17 @@ export class YouTubeCollector extends EventEmitter {
         thumbnails: details.thumbnails || [],
         source_title: source.title,
         url: source.url,
-        language: source.language || details.language || 'en'
+        language: resolveLanguage({
+          declared: source.language,
+          text: `${details.title || ''}\n${details.description || ''}`
+        }).language
       };
     } catch (error) {
       this.emit('warning', { source, phase: 'metadata', message: 'Failed to fetch metadata via ytdl', error });
 
       if (this.mcpClient) {
         try {
-          const direct = await this.mcpClient.call('youtube-transcript', 'metadata', { videoId });
+          const direct = await this._schedule(videoId, () => this.mcpClient.call('youtube-transcript', 'metadata', { videoId }));
           return { ...direct, id: videoId, url: source.url };
         } catch (fallbackError) {
           this.emit('warning', { source, phase: 'metadata', message: 'Fallback metadata fetch failed', error: fallbackError });
@@ -150,7 +160,7 @@ export class YouTubeCollector extends EventEmitter {
         id: videoId,
         title: source.title || `YouTube Video ${videoId}`,
         url: source.url,
-        language: source.language || 'en'
+        language: resolveLanguage({ declared: source.language }).language
       };
     }
   }
@@ -185,9 +195,9 @@ export class YouTubeCollector extends EventEmitter {
     });
 
     try {
-      const { _stdout, _stderr } = await execPromise(ytdlpCmd, {
+      const { _stdout, _stderr } = await this._schedule(videoId, () => execPromise(ytdlpCmd, {
         maxBuffer: 50 * 1024 * 1024  // 50MB buffer for progress output
-      });
+      }));
 
       // Check if file exists
       try {
@@ -206,14 +216,27 @@ export class YouTubeCollector extends EventEmitter {
   }
 
   async _transcribe({ audioPath, metadata, source, videoId }) {
-    if (!this.assemblyAI) {
-      this.assemblyAI = new AssemblyAIMCP(process.env.ASSEMBLYAI_API_KEY);
+    if (!this.transcription) {
+      this.transcription = await new TranscriptionProviders(await this._mcpConfig()).loadConfiguredModules();
+      this.transcription.on('provider_fallback', (event) => {
+        this.emit('warning', {
+          source_id: event.source_id,
+          phase: 'transcription',
+          message: `Transcribing with ${event.to} instead of ${event.from}: ${event.reason}`
+        });
+      });
     }
 
-    // Upload using AssemblyAI client (handles streaming/uploads)
+    // Unknown or unsupported language: let AssemblyAI detect it
+    const languageCode = assemblyAILanguageFor(metadata.language);
+
+    // Provider options (Whisper ignores the AssemblyAI-only ones)
     const transcriptOptions = {
+      source_id: source.id,   // Ledger key: re-runs reuse transcripts already paid for
+      mind: source.mind || mindFromPath(audioPath),   // Per-mind budget cap
+      duration_seconds: metadata.length_seconds || undefined,
       speakers_expected: source.diarization?.expected_speakers || 2,
-      language_code: this._mapLanguage(metadata.language || 'en'),
+      ...(languageCode ? { language_code: languageCode } : { language_detection: true }),
       entity_detection: true,
       auto_chapters: true,
       onProgress: (status) => {
@@ -227,11 +250,12 @@ export class YouTubeCollector extends EventEmitter {
     };
 
     try {
-      const transcript = await this.assemblyAI.transcribe(_audioPath, transcriptOptions);
+      const transcript = await this.transcription.transcribe(audioPath, { source, ...transcriptOptions });
+      metadata.language = resolveTranscriptLanguage(transcript, { language: languageCode });
       this.emit('transcription_complete', { videoId, transcript });
       return transcript;
     } catch (error) {
-      this.emit('warning', { source, phase: 'transcription', message: 'AssemblyAI transcription failed, attempting fallback', error });
+      this.emit('warning', { source, phase: 'transcription', message: 'Transcription failed, attempting fallback', error });
 
       try {
         return await this._fallbackTranscript({ videoId, audioPath, source, metadata });
@@ -242,6 +266,25 @@ export class YouTubeCollector extends EventEmitter {
     }
   }
 
+  /**
+   * Run a YouTube request through the shared scheduler (rate_limits.youtube, domain www.youtube.com)
+   */
+  _schedule(videoId, request) {
+    return this.scheduler.schedule(`https://www.youtube.com/watch?v=${videoId}`, request, { collector: 'youtube' });
+  }
+
+  /**
+   * Parsed mcp-config.yaml (transcription providers, pricing, budgets)
+   */
+  _mcpConfig() {
+    if (!this.mcpConfig) {
+      this.mcpConfig = getMCPClient()
+        .then(client => client.config || {})
+        .catch(() => ({}));
+    }
+    return this.mcpConfig;
+  }
+
   async _fallbackTranscript({ videoId, audioPath, source, metadata }) {
     if (!this.mcpClient) {
       this.mcpClient = await getMCPClient();
@@ -249,7 +292,7 @@ export class YouTubeCollector extends EventEmitter {
 
     // Try YouTube transcript MCP first
     try {
-      const transcript = await this.mcpClient.call('youtube-transcript', 'transcribe', { videoId });
+      const transcript = await this._schedule(videoId, () => this.mcpClient.call('youtube-transcript', 'transcribe', { videoId }));
       if (transcript?.length) {
         return this._formatYouTubeTranscript(transcript, metadata);
       }
@@ -267,7 +310,7 @@ export class YouTubeCollector extends EventEmitter {
       expectedSpeakers: source.diarization?.expected_speakers || 2
     });
 
-    const stats = calculateSpeakerStats(utterances);
+    const stats = calculateSpeakerStats(utterances, { language: metadata.language });
     const filteredUtterances = filterByTargetSpeaker(utterances, targetSpeaker);
 
     const filteredMarkdown = formatTranscriptMarkdown(filteredUtterances, {
@@ -341,9 +384,9 @@ export class YouTubeCollector extends EventEmitter {
     }
   }
 
-  _estimateTranscriptionCost(durationSeconds) {
+  _estimateTranscriptionCost(durationSeconds, pricing = {}) {
     const hours = durationSeconds / 3600;
-    const costPerHour = 0.65; // AssemblyAI standard pricing
+    const costPerHour = pricing?.per_hour_audio ?? DEFAULT_PRICE_PER_HOUR;
     return `$${(hours * costPerHour).toFixed(2)}`;
   }
 
@@ -360,23 +403,8 @@ export class YouTubeCollector extends EventEmitter {
     return parts.join(' ') || '0s';
   }
 
-  _mapLanguage(language) {
-    const map = {
-      pt: 'pt',
-      'pt-br': 'pt',
-      en: 'en',
-      es: 'es',
-      fr: 'fr',
-      de: 'de'
-    };
-
-    const normalized = language.toLowerCase();
-    return map[normalized] || 'en';
-  }
-
   _formatYouTubeTranscript(transcript, metadata) {
-    const utterances = transcript.map((entry, index) => ({
-      id: index,
+    const utterances = transcript.map(entry => ({
       start: entry.offset * 1000,
       end: (entry.offset + entry.duration) * 1000,
       text: entry.text,
@@ -385,13 +413,14 @@ export class YouTubeCollector extends EventEmitter {
 
     const totalDuration = metadata?.length_seconds ?? transcript.reduce((sum, entry) => sum + (entry.duration || 0), 0);
 
-    return {
+    // Captions have no speakers or word timings
+    return normalizeTranscript({
+      provider: 'youtube-captions',
       text: transcript.map(entry => entry.text).join(' '),
       utterances,
-      words: transcript,
       audio_duration: totalDuration,
       confidence: 0.95
-    };
+    });
   }
 
   _extractVideoId(url) {
@@ -8,6 +8,7 @@ import fs from 'fs/promises';
 import path from 'path';
 import { _getLogsDir } from '../utils/path-helpers.js';
 import { TaskManager } from './task-manager.js';
+import { errorFromResult } from '../utils/collection-errors.js';
 import { ProgressTracker } from './progress-tracker.js';
 import { YouTubeCollector } from '../collectors/youtube-collector.js';
 import { WebCollector } from '../collectors/web-collector.js';
@@ -36,7 +37,8 @@ export class ParallelCollector {
       maxConcurrent: options.maxConcurrent || 5,
       statePath: options.statePath || defaultStatePath,
       progressRefresh: options.progressRefresh || 2000,
-      allowResume: options.allowResume !== false
+      allowResume: options.allowResume !== false,
+      refresh: options.refresh || false
     };
 
     this.results = {
@@ -58,7 +60,7 @@ export class ParallelCollector {
 
     this.collectors = {
       youtube: new YouTubeCollector(this.downloadRules),
-      blog: new WebCollector(this.downloadRules),
+      blog: new WebCollector(this.downloadRules, null, { refresh: this.options.refresh }),
       pdf: new PDFCollector(this.downloadRules),
       book: new ZLibraryCollector(this.downloadRules),
       podcast: new PodcastCollector(this.downloadRules),
@@ -79,6 +81,7 @@ export class ParallelCollector {
 
     this.taskManager = new TaskManager({
       maxConcurrent: this.options.maxConcurrent,
+      maxRetries: this.downloadRules.errors?.max_retries,
       statePath: this.options.allowResume ? this.options.statePath : null
     });
 
@@ -96,7 +99,13 @@ export class ParallelCollector {
             if (!collector) {
               throw new Error(`No collector found for type ${type}`);
             }
-            return await collector.collect({ ...source, cancelToken }, outputDir);
+            const result = await collector.collect({ ...source, cancelToken }, outputDir);
+
+            // Collectors that report failures as results (WebCollector) fail the task
+            if (result?.success === false) {
+              throw errorFromResult(result);
+            }
+            return result;
           }
         });
       }
@@ -116,6 +125,7 @@ export class ParallelCollector {
 
   async shutdown() {
     await this.taskManager?.shutdown();
+    await this.collectors.blog?.close();
     this.progressTracker?.stopAutoDisplay();
   }
 
@@ -182,12 +192,96 @@ export class ParallelCollector {
       duration_seconds: durationSeconds,
       duration_human: this._formatDuration(durationSeconds),
       progress,
+      changes: this._summarizeChanges(),
+      partial: this._summarizePartial(),
+      duplicates: this._summarizeDuplicates(),
+      requests: this.collectors.blog?.scheduler?.getStats() || null,
+      failures: this._summarizeFailures(),
       task_metrics: taskStats.metrics,
       results: this.results,
       generated_at: new Date().toISOString()
     };
   }
 
+  /**
+   * Group successful artifacts by manifest change (added/changed/unchanged)
+   */
+  _summarizeChanges() {
+    const changes = { added: [], changed: [], unchanged: [] };
+
+    for (const task of this.results.successful) {
+      const result = task.result || {};
+      if (!changes[result.change]) continue;
+
+      changes[result.change].push({
+        id: task.id,
+        url: task.source?.url || null,
+        output_path: result.output_path || null,
+        revision: result.revision || null,
+        previous_revision_path: result.previous_revision_path || null
+      });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Artifacts saved from truncated content (e.g. paywalled previews)
+   */
+  _summarizePartial() {
+    return this.results.successful
+      .filter(task => task.result?.partial)
+      .map(task => ({
+        id: task.id,
+        url: task.source?.url || null,
+        output_path: task.result.output_path || null,
+        truncation_confidence: task.result.truncation_confidence ?? null,
+        manual_import_task: task.result.manual_import_task || null
+      }));
+  }
+
+  /**
+   * Sources linked to an existing artifact instead of being saved (syndicated copies)
+   */
+  _summarizeDuplicates() {
+    return this.results.successful
+      .filter(task => task.result?.change === 'duplicate')
+      .map(task => ({
+        id: task.id,
+        url: task.source?.url || null,
+        duplicate_of: task.result.duplicate_of,
+        match: task.result.duplicate_match || null,
+        similarity: task.result.similarity ?? null,
+        canonical_url: task.result.canonical_url || null,
+        output_path: task.result.output_path || null
+      }));
+  }
+
+  /**
+   * Failed sources grouped by error category (retryable ones are worth another run)
+   */
+  _summarizeFailures() {
+    const failures = {};
+
+    for (const task of this.results.failed) {
+      const category = task.error_category || 'unknown';
+      if (!failures[category]) {
+        failures[category] = { retryable: Boolean(task.retryable), count: 0, sources: [] };
+      }
+
+      failures[category].count++;
+      failures[category].sources.push({
+        id: task.id,
+        url: task.source?.url || null,
+        error: task.error,
+        http_status: task.http_status ?? null,
+        attempts: task.attempts
+      });
+    }
+
+    return failures;
+  }
+
   _formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -6,13 +6,14 @@
 import EventEmitter from 'events';
 import fs from 'fs/promises';
 import path from 'path';
+import { classifyError, isWorthRetrying } from '../utils/collection-errors.js';
 
 export class TaskManager extends EventEmitter {
   constructor(options = {}) {
     super();
 
     this.maxConcurrent = options.maxConcurrent || 5;
-    this.maxRetries = options.maxRetries || 3;
+    this.maxRetries = options.maxRetries ?? 3;   // Attempts per task, first run included
     this.statePath = options.statePath || null;
     this.autoPersistInterval = options.autoPersistInterval || 10000;
 
@@ -140,10 +141,14 @@ export class TaskManager extends EventEmitter {
       this.emit('task_completed', completedTask);
     } catch (error) {
       const attempts = task.attempts + 1;
+      const failure = classifyError(error, { url: task.source?.url });
       const taskWithError = {
         ...taskWithCancel,
         attempts,
-        error: error.message,
+        error: failure.message,
+        error_category: failure.category,
+        retryable: failure.retryable,
+        http_status: failure.status,
         updated_at: Date.now()
       };
 
@@ -154,7 +159,7 @@ export class TaskManager extends EventEmitter {
         this.cancelled.delete(task.id);
         this.metrics.cancelled += 1;
         this.emit('task_cancelled', taskWithError);
-      } else if (attempts < (task.maxRetries || this.maxRetries)) {
+      } else if (isWorthRetrying(failure) && attempts < (task.maxRetries ?? this.maxRetries)) {
         taskWithError.status = 'retrying';
         this.queue.push(taskWithError);
         this.metrics.retried += 1;
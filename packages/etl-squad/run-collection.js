@@ -17,18 +17,24 @@ async function main() {
   console.log('🚀 ETL Data Collector - Universal Source Collection\n');
 
   // Parse CLI arguments (AIOS-compliant: no hardcoded paths)
-  const sourcesPath = process.argv[2];
-  const outputDir = process.argv[3];
-  const configPath = process.argv[4] || path.join(__dirname, 'config/download-rules.yaml');
+  const args = process.argv.slice(2);
+  const positional = args.filter(arg => !arg.startsWith('--'));
+  const refresh = args.includes('--refresh');  // Bypass HTTP cache, refetch everything
+
+  const sourcesPath = positional[0];
+  const outputDir = positional[1];
+  const configPath = positional[2] || path.join(__dirname, 'config/download-rules.yaml');
 
   // Validate required arguments
   if (!sourcesPath || !outputDir) {
-    console.error('❌ Usage: node run-collection.js <sources-path> <output-dir> [config-path]');
+    console.error('❌ Usage: node run-collection.js <sources-path> <output-dir> [config-path] [--refresh]');
     console.error('\nExample:');
     console.error('  node run-collection.js \\');
     console.error('    /path/to/sources.yaml \\');
     console.error('    /path/to/output \\');
     console.error('    ./config/download-rules.yaml');
+    console.error('\nOptions:');
+    console.error('  --refresh   Ignore cached responses and refetch every source');
     console.error('\nAIOS Pattern:');
     console.error('  Invoke from MMOS via task with explicit parameters');
     process.exit(1);
@@ -54,12 +60,14 @@ async function main() {
   console.log('📋 Configuration:');
   console.log(`   Sources: ${sourcesPath}`);
   console.log(`   Output:  ${outputDir}`);
-  console.log(`   Config:  ${configPath}\n`);
+  console.log(`   Config:  ${configPath}`);
+  console.log(`   Cache:   ${refresh ? 'bypassed (--refresh)' : 'enabled'}\n`);
 
   const collector = new ParallelCollector(configPath, {
     outputDir,  // Pass outputDir instead of mindDir
     maxConcurrent: 3,
-    allowResume: true
+    allowResume: true,
+    refresh
   });
 
   try {
@@ -74,6 +82,20 @@ async function main() {
     console.log(`   Successful: ${report.totals.successful} (${report.totals.successRate}%)`);
     console.log(`   Failed:     ${report.totals.failed}`);
     console.log(`   Skipped:    ${report.totals.skipped}`);
+    if (report.changes) {
+      console.log(`   Added:      ${report.changes.added.length}`);
+      console.log(`   Changed:    ${report.changes.changed.length}`);
+      console.log(`   Unchanged:  ${report.changes.unchanged.length}`);
+    }
+    if (report.duplicates?.length > 0) {
+      console.log(`   Duplicates: ${report.duplicates.length} (linked to primary artifacts)`);
+    }
+    if (report.partial?.length > 0) {
+      console.log(`   Partial:    ${report.partial.length} (manual import tasks written)`);
+    }
+    if (report.requests?.scheduled > 0) {
+      console.log(`   Requests:   ${report.requests.scheduled} (max queue depth ${report.requests.max_queue_depth}, ${report.requests.throttled} throttled)`);
+    }
     console.log(`   Duration:   ${report.duration_human}\n`);
 
     // Save report - derive log path from output directory structure
@@ -92,12 +114,17 @@ async function main() {
 
     if (report.totals.failed > 0) {
       console.log('⚠️  Some sources failed to collect:');
-      for (const failed of report.results.failed) {
-        console.log(`   - ${failed.id}: ${failed.error || 'Unknown error'}`);
+      for (const [category, group] of Object.entries(report.failures || {})) {
+        console.log(`   ${category} (${group.retryable ? 'retryable' : 'not retryable'}):`);
+        for (const failed of group.sources) {
+          console.log(`     - ${failed.id}: ${failed.error || 'Unknown error'}`);
+        }
       }
       console.log('');
     }
 
+    await collector.shutdown();  // Persist task state, close headless browser
+
     console.log('✅ Collection complete!\n');
     process.exit(0);
 
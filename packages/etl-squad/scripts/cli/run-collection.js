@@ -1,7 +1,7 @@
 #!/usr/bin/env node
 /**
  * CLI wrapper for ParallelCollector
- * Usage: node run-collection.js --config <config> --sources <sources> --output <output>
+ * Usage: node run-collection.js --config <config> --sources <sources> --output <output> [--refresh]
  */
 
 import { ParallelCollector } from '../orchestrator/parallel-collector.js';
@@ -16,6 +16,7 @@ async function main() {
 
   // Parse arguments
   let configPath, sourcesPath, outputDir;
+  let refresh = false;
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--config' && args[i + 1]) {
       configPath = path.resolve(args[i + 1]);
@@ -26,12 +27,14 @@ async function main() {
     } else if (args[i] === '--output' && args[i + 1]) {
       outputDir = path.resolve(args[i + 1]);
       i++;
+    } else if (args[i] === '--refresh') {
+      refresh = true;
     }
   }
 
   // Validate arguments
   if (!configPath || !sourcesPath || !outputDir) {
-    console.error('Usage: node run-collection.js --config <config> --sources <sources> --output <output>');
+    console.error('Usage: node run-collection.js --config <config> --sources <sources> --output <output> [--refresh]');
     process.exit(1);
   }
 
@@ -47,7 +50,8 @@ async function main() {
     const collector = new ParallelCollector(configPath, {
       maxConcurrent: 5,
       allowResume: true,
-      progressRefresh: 2000
+      progressRefresh: 2000,
+      refresh
     });
 
     await collector.initialize();
@@ -77,14 +81,50 @@ async function main() {
       }
     }
 
-    // Show failed sources if any
+    // Show what changed since the previous run
+    if (report.changes) {
+      const { added, changed, unchanged } = report.changes;
+      console.log(`\n🗂️  Changes: ${added.length} added, ${changed.length} changed, ${unchanged.length} unchanged`);
+      changed.forEach(item => {
+        console.log(`  ~ ${item.id} (revision ${item.revision})`);
+      });
+    }
+
+    // Show syndicated copies linked to a primary artifact
+    if (report.duplicates?.length > 0) {
+      console.log('\n🔗 Duplicates (linked, not saved):');
+      report.duplicates.forEach(item => {
+        console.log(`  - ${item.id} -> ${item.duplicate_of} (${item.match}, similarity ${item.similarity})`);
+      });
+    }
+
+    // Show request scheduling (queue depth, 429 back-offs)
+    if (report.requests?.scheduled > 0) {
+      const { scheduled, max_queue_depth: maxQueueDepth, avg_wait_ms: avgWaitMs, throttled } = report.requests;
+      console.log(`\n🚦 Requests: ${scheduled} scheduled, max queue depth ${maxQueueDepth}, avg wait ${avgWaitMs}ms, ${throttled} throttled (429/Retry-After)`);
+    }
+
+    // Show partial artifacts (manual import needed)
+    if (report.partial?.length > 0) {
+      console.log('\n✂️  Partial Content (manual import tasks written):');
+      report.partial.forEach(item => {
+        console.log(`  - ${item.id} (confidence ${item.truncation_confidence}): ${item.manual_import_task}`);
+      });
+    }
+
+    // Show failed sources grouped by error category
     if (report.results.failed.length > 0) {
       console.log('\n⚠️  Failed Sources:');
-      report.results.failed.forEach(task => {
-        console.log(`  - ${task.id}: ${task.error || 'Unknown error'}`);
-      });
+      for (const [category, group] of Object.entries(report.failures || {})) {
+        console.log(`  ${category} (${group.count}, ${group.retryable ? 'retryable' : 'not retryable'}):`);
+        group.sources.forEach(item => {
+          console.log(`    - ${item.id}: ${item.error || 'Unknown error'}`);
+        });
+      }
     }
 
+    await collector.shutdown();  // Persist task state, close headless browser
+
     console.log('\n✨ Collection complete!\n');
     process.exit(0);
 
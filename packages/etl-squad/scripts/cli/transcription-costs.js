@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+/**
+ * Transcription costs: budget status, per-source export and approval queue
+ * Usage:
+ *   node transcription-costs.js status [--mind <mind>]
+ *   node transcription-costs.js export [--format csv|json] [--output <file>] [--mind <mind>] [--month YYYY-MM]
+ *   node transcription-costs.js approvals
+ *   node transcription-costs.js approve|reject <source_id|job key>
+ * Options: --config <mcp-config.yaml>
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yaml from 'js-yaml';
+import { CostLedger } from '../utils/cost-ledger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const USAGE = 'Usage: node transcription-costs.js <status|export|approvals|approve|reject> [target] ' +
+  '[--format csv|json] [--output <file>] [--mind <mind>] [--month YYYY-MM] [--config <mcp-config.yaml>]';
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  // Parse arguments
+  const options = {
+    config: path.join(__dirname, '../../config/mcp-config.yaml'),
+    format: 'json'
+  };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].match(/^--(format|output|mind|month|config)$/);
+    if (flag && args[i + 1]) {
+      options[flag[1]] = args[i + 1];
+      i++;
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const [command, target] = positional;
+  if (!command) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const mcpConfig = yaml.load(await fs.readFile(path.resolve(options.config), 'utf8'));
+  const assemblyai = mcpConfig.mcps?.assemblyai || {};
+  const ledger = new CostLedger(assemblyai.cost_ledger?.path || path.join('state', 'assemblyai-costs.json'));
+  const filter = { mind: options.mind, month: options.month };
+
+  switch (command) {
+    case 'status': {
+      const budgets = assemblyai.budgets || {};
+      const month = new Date().toISOString().slice(0, 7);
+      const cap = value => (value === null || value === undefined ? 'no cap' : `$${Number(value).toFixed(2)}`);
+
+      console.log('💰 Transcription Budget\n');
+      console.log(`Price: $${(assemblyai.pricing?.per_hour_audio ?? 0.65).toFixed(2)}/hour of audio`);
+      console.log(`On exceed: ${budgets.on_exceed || 'refuse'}`);
+      console.log(`Per run:   ${cap(budgets.per_run_usd)}`);
+      console.log(`Monthly:   $${(await ledger.total({ month })).toFixed(2)} spent in ${month} (${cap(budgets.monthly_usd)})`);
+      if (options.mind) {
+        console.log(`Mind:      $${(await ledger.total({ mind: options.mind })).toFixed(2)} spent on ${options.mind} (${cap(budgets.per_mind_usd)})`);
+      } else {
+        console.log(`Per mind:  ${cap(budgets.per_mind_usd)}`);
+      }
+
+      const pending = await ledger.approvals('pending');
+      if (pending.length > 0) {
+        console.log(`\n⏳ ${pending.length} job(s) awaiting approval (run: node transcription-costs.js approvals)`);
+      }
+      break;
+    }
+
+    case 'export': {
+      const content = await ledger.export(options.format, filter);
+
+      if (options.output) {
+        await fs.mkdir(path.dirname(path.resolve(options.output)), { recursive: true });
+        await fs.writeFile(options.output, content);
+        console.log(`✅ Exported ${options.format.toUpperCase()} to ${options.output}`);
+      } else {
+        process.stdout.write(content);
+      }
+      break;
+    }
+
+    case 'approvals': {
+      const approvals = await ledger.approvals();
+      if (approvals.length === 0) {
+        console.log('No approval requests');
+        break;
+      }
+
+      for (const approval of approvals) {
+        const caps = (approval.exceeded || []).map(item => item.cap).join(', ');
+        console.log(`[${approval.status}] ${approval.source_id || '-'} (${approval.mind || 'no mind'}) ~$${approval.estimated_cost} over ${caps}`);
+        console.log(`  key: ${approval.key}`);
+      }
+      break;
+    }
+
+    case 'approve':
+    case 'reject': {
+      if (!target) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+
+      const matches = (await ledger.approvals('pending'))
+        .filter(approval => approval.key === target || approval.source_id === target);
+      if (matches.length === 0) {
+        console.error(`❌ No pending approval for ${target}`);
+        process.exit(1);
+      }
+
+      const status = command === 'approve' ? 'approved' : 'rejected';
+      for (const approval of matches) {
+        await ledger.setApproval(approval.key, { status, [`${status}_at`]: new Date().toISOString() });
+        console.log(`${status === 'approved' ? '✅' : '🚫'} ${approval.source_id || approval.key}: ${status}`);
+      }
+      if (status === 'approved') {
+        console.log('\nApproved jobs are transcribed on the next collection run.');
+      }
+      break;
+    }
+
+    default:
+      console.error(USAGE);
+      process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -4,26 +4,45 @@
  * Handles rate limiting, robots.txt, retry logic, and error handling
  */
 
-import axios from 'axios';
+import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
+import yaml from 'js-yaml';
 import pLimit from 'p-limit';
-import * as cheerio from 'cheerio';
-import { WordPressExtractor } from '../extractors/wordpress-extractor.js';
-import { MediumExtractor } from '../extractors/medium-extractor.js';
-import { GenericExtractor } from '../extractors/generic-extractor.js';
+import { ExtractorRegistry } from '../extractors/extractor-registry.js';
+import { RobotsChecker } from '../utils/robots-parser.js';
+import { HttpCache } from '../utils/http-cache.js';
+import { getRequestScheduler } from '../utils/request-scheduler.js';
+import { CollectionManifest } from '../utils/collection-manifest.js';
+import { slugify, domainSlug, shortHash } from '../utils/slug-helpers.js';
+import { HeadlessRenderer } from '../utils/headless-renderer.js';
+import { stripTrackingParams, resolveCanonicalUrl } from '../utils/canonical-url.js';
+import { DuplicateDetector } from '../utils/duplicate-detector.js';
+import { RequestProfiles } from '../utils/request-profiles.js';
+import { getManualDir } from '../utils/path-helpers.js';
+import { CollectionError, RetryPolicy, RobotsBlockedError, ExtractionFailedError, classifyError } from '../utils/collection-errors.js';
 
 export class WebCollector {
-  constructor(downloadRules = {}, mcpClient = null) {
+  /**
+   * @param {object} downloadRules - Parsed download-rules.yaml
+   * @param {MCPClient|null} mcpClient - Optional MCP client
+   * @param {object} options - { refresh: bypass HTTP cache, cacheDir: override cache location,
+   *                              scheduler: RequestScheduler (default: the process-wide one shared with
+   *                              BlogDiscovery and the transcript downloaders) }
+   */
+  constructor(downloadRules = {}, mcpClient = null, options = {}) {
     this.downloadRules = downloadRules;
     this.mcpClient = mcpClient;
 
-    this.extractors = {
-      wordpress: new WordPressExtractor(),
-      medium: new MediumExtractor(),
-      generic: new GenericExtractor()
+    this.options = {
+      refresh: options.refresh || false,
+      cacheDir: options.cacheDir || null
     };
 
+    // Platform extractors (built-in, YAML `platforms:` and external modules)
+    this.extractors = new ExtractorRegistry(downloadRules);
+    this.extractorModulesLoaded = null;
+
     this.headers = {
       'User-Agent': downloadRules.global?.user_agent || 'AIOS-ETL-Collector/1.0 (Educational/Research)',
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
@@ -32,19 +51,45 @@ export class WebCollector {
       'Cache-Control': 'no-cache'
     };
 
-    // Rate limiting per domain
-    this.domainLimiters = new Map();
-    this.lastRequestTime = new Map();
+    // Global, per-domain and per-collector request budgets (rate_limits)
+    this.scheduler = options.scheduler || getRequestScheduler(downloadRules);
+
+    // Retries for transient failures only (errors.max_retries, retry_delay_seconds, exponential_backoff)
+    this.retryPolicy = RetryPolicy.fromDownloadRules(downloadRules);
+
+    // Proxy, extra headers and cookie jars per domain (access.domains) or source (access)
+    this.requestProfiles = options.requestProfiles || new RequestProfiles(downloadRules);
+
+    // Robots.txt (RFC 9309, matched against our User-Agent product token), fetched with the access profile
+    this.robots = new RobotsChecker({ userAgent: this.headers['User-Agent'], requestProfiles: this.requestProfiles });
+
+    // Persistent HTTP caches (cache dir -> HttpCache)
+    this.httpCaches = new Map();
+
+    // Content hash manifests (output dir -> CollectionManifest)
+    this.manifests = new Map();
 
-    // Robots.txt cache
-    this.robotsCache = new Map();
+    // Near-duplicate detection (output dir -> DuplicateDetector seeded from the manifest)
+    this.dedupeConfig = downloadRules.blogs?.deduplication || {};
+    this.duplicateDetectors = new Map();
+
+    // Headless browser for client-rendered pages (launched on first use)
+    this.renderer = null;
 
     // Stats
     this.stats = {
       attempted: 0,
       successful: 0,
       failed: 0,
-      retried: 0
+      retried: 0,
+      cache_hits: 0,
+      cache_misses: 0,
+      added: 0,
+      changed: 0,
+      unchanged: 0,
+      rendered: 0,
+      partial: 0,
+      duplicates: 0
     };
   }
 
@@ -53,30 +98,127 @@ export class WebCollector {
    */
   async collect(source, outputDir) {
     this.stats.attempted++;
+    let robots = null;
+    let claimedDetector = null;
 
     try {
-      const url = source.url;
+      // Share links carry tracking parameters (utm_*, Substack ?r=, Medium ?source=)
+      const url = stripTrackingParams(source.url, { extraParams: this.dedupeConfig.strip_params });
+
+      // Load external extractor modules once (blogs.extractor_modules)
+      await this._loadExtractorModules();
 
       // Check robots.txt
-      const allowed = await this._checkRobotsTxt(url);
-      if (!allowed) {
-        throw new Error('Blocked by robots.txt');
+      robots = await this._checkRobotsTxt(url, source);
+      if (!robots.allowed) {
+        const rule = robots.rule ? ` (${robots.rule.directive}: ${robots.rule.pattern})` : '';
+        throw new RobotsBlockedError(`Blocked by robots.txt${rule}`, { url });
       }
 
-      // Apply rate limiting
-      await this._applyRateLimit(url);
+      // Requests to this host honor robots.txt Crawl-delay
+      this.scheduler.setCrawlDelay(url, robots.crawl_delay);
+
+      // Fetch HTML with retry (conditional request if we have a cached copy)
+      const manifest = await this._getManifest(outputDir);
+      const httpCache = this._getHttpCache(outputDir);
+      const cached = httpCache && !this.options.refresh ? await httpCache.get(url) : null;
+      const response = await this._fetchHTMLWithRetry(url, HttpCache.conditionalHeaders(cached), source);
+
+      let html = response.data;
+
+      if (response.status === 304 && cached) {
+        this.stats.cache_hits++;
+
+        // Unchanged and previous output still on disk: skip re-extraction
+        const previousMarkdown = await this._readPreviousOutput(cached.output_path);
+        if (previousMarkdown !== null) {
+          await httpCache.update(url, { revalidated_at: new Date().toISOString() });
+          await manifest.touch(this._manifestKey(source));
+          this.stats.successful++;
+          this.stats.unchanged++;
+
+          return {
+            source_id: source.id,
+            platform: cached.platform,
+            markdown: previousMarkdown,
+            metadata: cached.metadata,
+            output_path: cached.output_path,
+            robots,
+            cache: 'hit',
+            not_modified: true,
+            change: 'unchanged',
+            revision: manifest.get(this._manifestKey(source))?.revision || null,
+            partial: !!cached.metadata?.partial
+          };
+        }
 
-      // Fetch HTML with retry
-      const html = await this._fetchHTMLWithRetry(url);
+        html = cached.body;
+      } else if (httpCache) {
+        this.stats.cache_misses++;
+      }
 
       // Detect platform
-      const platform = this._detectPlatform(url, html);
+      let platform = this._detectPlatform(url, html);
+
+      // Select extractor (generic fallback for unknown platforms)
+      let extractor = this.extractors.get(platform);
+
+      // Extract content (source options let extractors use platform APIs)
+      const extractOptions = {
+        source,
+        headers: this.headers,
+        access: (requestUrl) => this.requestProfiles.requestOptions(requestUrl, source),
+        timeout: (this.downloadRules.global?.timeout_seconds || 30) * 1000,
+        schedule: (requestUrl, request) => this._schedule(requestUrl, request),
+        beforeRequest: (requestUrl) => this._assertAllowedByRobots(requestUrl, source)
+      };
+
+      let extracted = null;
+      let staticError = null;
+      let pageHtml = html;
+
+      try {
+        extracted = await extractor.extract(url, html, extractOptions);
+      } catch (error) {
+        staticError = error;
+      }
+
+      // Client-rendered pages ship an empty shell: render them (opt-in per platform/domain)
+      if (this._shouldRender(url, platform, extracted)) {
+        try {
+          const browserOptions = await this.requestProfiles.browserOptions(url, source);
+          const renderedHtml = await this._schedule(url, () => this._getRenderer().render(url, browserOptions));
+
+          const renderedPlatform = this._detectPlatform(url, renderedHtml);
+          const renderedExtractor = this.extractors.get(renderedPlatform);
+          const rendered = await renderedExtractor.extract(url, renderedHtml, extractOptions);
+          rendered.extraction_method = 'headless-browser';
+
+          platform = renderedPlatform;
+          extractor = renderedExtractor;
+          extracted = rendered;
+          pageHtml = renderedHtml;
+          this.stats.rendered++;
+
+        } catch (renderError) {
+          if (!extracted) {
+            throw new ExtractionFailedError(
+              `${staticError.message} (headless render failed: ${renderError.message})`,
+              { url, cause: staticError }
+            );
+          }
+          console.warn(`Headless render failed for ${url}, keeping static extraction: ${renderError.message}`);
+        }
+      }
 
-      // Select extractor
-      const extractor = this.extractors[platform] || this.extractors.generic;
+      if (!extracted) {
+        throw this._extractionError(staticError, url);
+      }
 
-      // Extract content
-      const extracted = await extractor.extract(url, html);
+      // Platform API failed and the page markup was used instead
+      if (extracted.fallback) {
+        console.warn(`${extracted.fallback.method} failed for ${url}, used HTML: ${extracted.fallback.reason}`);
+      }
 
       // Validate extraction
       const validation = extractor.validate(extracted);
@@ -84,16 +226,64 @@ export class WebCollector {
         console.warn(`Low quality extraction for ${source.id}: ${validation.score}%`);
       }
 
+      // Canonical URL: rel=canonical, og:url, redirect target, request URL
+      const canonical = resolveCanonicalUrl(
+        { requestUrl: url, finalUrl: response.url, $: cheerio.load(pageHtml || '') },
+        { extraParams: this.dedupeConfig.strip_params }
+      );
+      extracted.metadata.canonical_url = canonical.url;
+
       // Convert to markdown
       const markdown = extractor.toMarkdown(extracted);
 
-      // Generate slug from title (or use source.slug if provided)
-      const slug = source.slug || this._slugify(extracted.metadata.title || source.title || source.id);
+      // Syndicated copy of an artifact we already have: link it instead of saving
+      const key = this._manifestKey(source);
+      const detector = await this._getDuplicateDetector(outputDir, manifest);
+      const signature = detector?.signature(markdown) || null;
+      const known = detector?.entries.has(key);
+      const duplicate = detector?.claim(key, { canonicalUrl: canonical.url, signature }) || null;
+      claimedDetector = duplicate || known ? null : detector;
+
+      if (duplicate) {
+        return await this._linkDuplicate(source, key, duplicate, {
+          url, canonical, platform, extracted, markdown, manifest, httpCache, response, html, robots
+        });
+      }
+
+      // Resolve file name (recorded mapping for source.id, then slug policy)
+      const resolvedPath = this._resolveOutputPath(source, extracted.metadata, outputDir, manifest);
 
       // Save with slug filename (metadata already in YAML front matter)
-      const outputPath = path.join(outputDir, 'blogs', `${slug}.md`);
-      await fs.mkdir(path.dirname(outputPath), { recursive: true });
-      await fs.writeFile(outputPath, markdown);
+      // Unchanged content is not rewritten; changed content keeps the previous revision
+      const artifact = await manifest.writeArtifact(key, {
+        sourceUrl: url,
+        outputPath: resolvedPath,
+        content: markdown,
+        platform,
+        canonicalUrl: canonical.url,
+        signature: DuplicateDetector.encodeSignature(signature)
+      });
+      claimedDetector = null;
+      const outputPath = artifact.output_path;
+      this.stats[artifact.change]++;
+
+      // Truncated preview (e.g. Medium paywall): leave a manual-import task to close the gap
+      let manualImportTask = null;
+      if (extracted.metadata.partial) {
+        this.stats.partial++;
+        manualImportTask = await this._writeManualImportTask(source, extracted, outputPath, outputDir);
+      }
+
+      if (httpCache) {
+        await httpCache.set(url, {
+          etag: response.headers?.etag || cached?.etag || null,
+          last_modified: response.headers?.['last-modified'] || cached?.last_modified || null,
+          body: html,
+          platform,
+          metadata: extracted.metadata,
+          output_path: outputPath
+        });
+      }
 
       this.stats.successful++;
 
@@ -103,183 +293,411 @@ export class WebCollector {
         markdown,
         metadata: extracted.metadata,
         output_path: outputPath,
-        validation
+        validation,
+        robots,
+        cache: httpCache ? (response.status === 304 ? 'hit' : 'miss') : 'disabled',
+        change: artifact.change,
+        content_hash: artifact.content_hash,
+        revision: artifact.revision,
+        previous_revision_path: artifact.previous_revision_path,
+        partial: !!extracted.metadata.partial,
+        truncation_confidence: extracted.metadata.truncation_confidence ?? null,
+        manual_import_task: manualImportTask,
+        canonical_url: canonical.url,
+        extraction_fallback: extracted.fallback || null,
+        duplicates: manifest.getDuplicates(key).map(entry => entry.source_id)
       };
 
-    } catch (_error) {
+    } catch (error) {
       this.stats.failed++;
 
-      console.error(`Failed to collect ${source.id}:`, error.message);
+      // Claimed as primary but never written: let later copies become primary instead
+      claimedDetector?.remove(this._manifestKey(source));
+
+      const failure = classifyError(error, { url: source.url });
+      if (this.downloadRules.errors?.log_errors !== false) {
+        console.error(`Failed to collect ${source.id} [${failure.category}]:`, failure.message);
+      }
 
       return {
         source_id: source.id,
-        error: error.message,
-        success: false
+        ...failure.toJSON(),
+        success: false,
+        robots
       };
     }
   }
 
   /**
-   * Check robots.txt before scraping
+   * Record a source as duplicate of an existing artifact and build its result
+   * @returns {Promise<object>} Collection result with change 'duplicate'
    */
-  async _checkRobotsTxt(url) {
-    const urlObj = new URL(url);
-    const domain = urlObj.origin;
-
-    // Check cache
-    if (this.robotsCache.has(domain)) {
-      const cached = this.robotsCache.get(domain);
-      return this._isAllowedByRobots(cached, urlObj.pathname);
-    }
+  async _linkDuplicate(source, key, duplicate, { url, canonical, platform, extracted, markdown, manifest, httpCache, response, html, robots }) {
+    const link = await manifest.linkDuplicate(key, {
+      sourceUrl: url,
+      primaryKey: duplicate.key,
+      similarity: duplicate.similarity,
+      match: duplicate.match,
+      canonicalUrl: canonical.url
+    });
 
-    // Fetch robots.txt
-    try {
-      const robotsUrl = `${domain}/robots.txt`;
-      const response = await axios.get(robotsUrl, {
-        timeout: 5000,
-        validateStatus: (status) => status === 200
+    if (httpCache) {
+      await httpCache.set(url, {
+        etag: response.headers?.etag || null,
+        last_modified: response.headers?.['last-modified'] || null,
+        body: html,
+        platform,
+        metadata: extracted.metadata,
+        output_path: link.output_path
       });
+    }
 
-      this.robotsCache.set(domain, response.data);
-      return this._isAllowedByRobots(response.data, urlObj.pathname);
+    console.log(`🔗 ${source.id} duplicates ${duplicate.key} (${duplicate.match}, similarity ${duplicate.similarity})`);
 
-    } catch (_error) {
-      // If robots.txt not found, assume allowed
-      this.robotsCache.set(domain, '');
-      return true;
-    }
+    this.stats.duplicates++;
+    this.stats.successful++;
+
+    return {
+      source_id: source.id,
+      platform,
+      markdown,
+      metadata: extracted.metadata,
+      output_path: link.output_path,
+      robots,
+      cache: httpCache ? 'miss' : 'disabled',
+      change: 'duplicate',
+      duplicate_of: duplicate.key,
+      similarity: duplicate.similarity,
+      duplicate_match: duplicate.match,
+      previous_revision_path: link.previous_revision_path,
+      canonical_url: canonical.url,
+      partial: false
+    };
   }
 
   /**
-   * Parse robots.txt and check if path is allowed
+   * Get duplicate detector for an output directory (null if disabled)
+   * Seeded with the manifest's artifacts, oldest first, so earlier
+   * collections stay primary across runs
    */
-  _isAllowedByRobots(robotsTxt, pathname) {
-    const lines = robotsTxt.split('\n');
-    let relevantUserAgent = false;
-    const disallowedPaths = [];
-
-    for (const line of lines) {
-      const trimmed = line.trim().toLowerCase();
-
-      // Check user-agent
-      if (trimmed.startsWith('user-agent:')) {
-        const agent = trimmed.split(':')[1].trim();
-        relevantUserAgent = agent === '*' || agent.includes('bot') || agent.includes('crawler');
-      }
-
-      // Collect disallowed paths
-      if (relevantUserAgent && trimmed.startsWith('disallow:')) {
-        const path = trimmed.split(':')[1].trim();
-        if (path) {
-          disallowedPaths.push(path);
-        }
-      }
+  async _getDuplicateDetector(outputDir, manifest) {
+    if (this.dedupeConfig.enabled === false) {
+      return null;
     }
 
-    // Check if pathname matches any disallowed pattern
-    for (const disallowedPath of disallowedPaths) {
-      if (pathname.startsWith(disallowedPath)) {
-        return false;
+    if (!this.duplicateDetectors.has(outputDir)) {
+      const detector = DuplicateDetector.fromDownloadRules(this.downloadRules);
+
+      for (const [key, entry] of manifest.primaries()) {
+        detector.add(key, {
+          canonicalUrl: entry.canonical_url,
+          signature: DuplicateDetector.decodeSignature(entry.minhash)
+        });
       }
+
+      this.duplicateDetectors.set(outputDir, detector);
     }
 
-    return true;
+    return this.duplicateDetectors.get(outputDir);
   }
 
   /**
-   * Apply rate limiting per domain
+   * Check robots.txt before scraping
+   * @returns {Promise<object>} { allowed, rule, agent, crawl_delay, status, robots_url }
    */
-  async _applyRateLimit(url) {
-    const domain = new URL(url).hostname;
-    const requestsPerMinute = this.downloadRules.rate_limits?.web?.requests_per_domain_per_minute || 10;
-    const delayMs = (60 * 1000) / requestsPerMinute;
-
-    // Get last request time for this domain
-    const lastTime = this.lastRequestTime.get(domain) || 0;
-    const timeSinceLastRequest = Date.now() - lastTime;
-
-    if (timeSinceLastRequest < delayMs) {
-      const waitTime = delayMs - timeSinceLastRequest;
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
-    // Update last request time
-    this.lastRequestTime.set(domain, Date.now());
+  async _checkRobotsTxt(url, source = {}) {
+    return this.robots.check(url, source);
   }
 
   /**
-   * Fetch HTML with retry logic
+   * Throw RobotsBlockedError if robots.txt disallows an extra request
+   * (extractor API calls, recovery fetches); applies its Crawl-delay to the host
    */
-  async _fetchHTMLWithRetry(url, maxRetries = 3) {
-    let lastError;
+  async _assertAllowedByRobots(url, source = {}) {
+    const decision = await this._checkRobotsTxt(url, source);
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const html = await this._fetchHTML(url);
-        return html;
+    if (!decision.allowed) {
+      const rule = decision.rule ? ` (${decision.rule.directive}: ${decision.rule.pattern})` : '';
+      throw new RobotsBlockedError(`Blocked by robots.txt${rule}`, { url });
+    }
 
-      } catch (_error) {
-        lastError = error;
+    this.scheduler.setCrawlDelay(url, decision.crawl_delay);
+  }
 
-        if (attempt < maxRetries) {
-          this.stats.retried++;
+  /**
+   * Run a request through the shared scheduler (collector 'web')
+   * Waits for global/domain/collector budgets; 429 responses pause the host.
+   * @param {string} url - Request URL
+   * @param {Function} request - async () => response
+   */
+  _schedule(url, request) {
+    return this.scheduler.schedule(url, request, { collector: 'web' });
+  }
 
-          // Exponential backoff
-          const backoffMs = Math.min(1000 * Math.pow(2, attempt - 1), 30000);
-          console.log(`Retry ${attempt}/${maxRetries} for ${url} after ${backoffMs}ms`);
-          await new Promise(resolve => setTimeout(resolve, backoffMs));
-        }
-      }
+  /**
+   * Typed error for a failed extraction (extractor-raised CollectionErrors, e.g. paywalled, pass through)
+   */
+  _extractionError(error, url) {
+    if (error instanceof CollectionError) {
+      return error;
     }
+    return new ExtractionFailedError(error?.message || 'Extraction failed', { url, cause: error });
+  }
 
-    throw lastError;
+  /**
+   * Fetch HTML with retry logic
+   * Only retryable failures (timeouts, network/5xx, 429) are retried; 404/403 fail at once.
+   * @throws {CollectionError}
+   */
+  async _fetchHTMLWithRetry(url, requestHeaders = {}, source = {}) {
+    const { maxRetries } = this.retryPolicy.options;
+
+    return this.retryPolicy.run(() => this._fetchHTML(url, requestHeaders, source), {
+      url,
+      onRetry: (error, attempt, delayMs) => {
+        this.stats.retried++;
+        console.log(`Retry ${attempt}/${maxRetries} for ${url} after ${delayMs}ms (${error.category})`);
+      }
+    });
   }
 
   /**
    * Fetch HTML from URL
+   * @param {string} url - Page URL
+   * @param {object} requestHeaders - Extra headers (e.g. conditional request headers)
+   * @param {object} source - Source entry (`access`: proxy, headers, cookie file)
+   * @returns {Promise<object>} { status, data, headers, url } (status 304 means not modified)
    */
-  async _fetchHTML(url) {
+  async _fetchHTML(url, requestHeaders = {}, source = {}) {
     const timeout = this.downloadRules.global?.timeout_seconds || 30;
 
-    const response = await axios.get(url, {
-      headers: this.headers,
+    const { response, url: finalUrl } = await this._schedule(url, () => this.requestProfiles.get(url, {
+      headers: { ...this.headers, ...requestHeaders },
       timeout: timeout * 1000,
       maxRedirects: 5,
-      validateStatus: (status) => status >= 200 && status < 300
-    });
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+    }, source));
 
-    return response.data;
+    return {
+      status: response.status,
+      data: response.data,
+      headers: response.headers,
+      url: finalUrl  // After redirects
+    };
   }
 
   /**
-   * Detect platform from URL and HTML
+   * Get HTTP cache for an output directory (null if disabled)
+   * Defaults to {outputDir}/.cache/http
    */
-  _detectPlatform(url, html) {
-    const $ = cheerio.load(html);
+  _getHttpCache(outputDir) {
+    const cacheConfig = this.downloadRules.cache?.http || {};
+    if (cacheConfig.enabled === false) {
+      return null;
+    }
+
+    const cacheDir = this.options.cacheDir ||
+      (cacheConfig.dir ? path.resolve(outputDir, cacheConfig.dir) : path.join(outputDir, '.cache', 'http'));
+
+    if (!this.httpCaches.has(cacheDir)) {
+      this.httpCaches.set(cacheDir, new HttpCache(cacheDir));
+    }
+
+    return this.httpCaches.get(cacheDir);
+  }
+
+  /**
+   * Write a manual-import task for a partial artifact
+   * Tasks go next to ManualImporter's input dir ({mind}/sources/manual) so the
+   * pasted full text can be imported with scripts/legacy/import-manual.js
+   * @returns {Promise<string>} Task file path
+   */
+  async _writeManualImportTask(source, extracted, outputPath, outputDir) {
+    // {mind}/sources/downloads/... -> {mind}/sources/manual (split on path.sep so Windows paths match)
+    const segments = path.normalize(outputDir).split(path.sep);
+    const sourcesIndex = segments.findIndex((segment, i) => segment === 'sources' && segments[i + 1] === 'downloads');
+    const manualDir = sourcesIndex >= 0
+      ? getManualDir(segments.slice(0, sourcesIndex).join(path.sep))
+      : path.join(outputDir, 'manual');
+    const sourceId = source.id || path.basename(outputPath, '.md');
+    const taskPath = path.join(manualDir, `${sourceId}.task.yaml`);
+
+    const task = {
+      type: 'manual_import',
+      reason: 'partial_content',
+      source_id: sourceId,
+      title: extracted.metadata.title || source.title || null,
+      url: source.url,
+      platform: extracted.platform,
+      truncation_confidence: extracted.metadata.truncation_confidence ?? null,
+      truncation_signals: extracted.metadata.truncation_signals || [],
+      recovery_attempts: extracted.metadata.recovery_attempts || [],
+      partial_artifact: outputPath,
+      instructions: [
+        'Open the URL with access to the full article (e.g. logged-in member account)',
+        `Paste the full text into ${path.join(manualDir, `${sourceId}.md`)}`,
+        `Run: node scripts/legacy/import-manual.js --source ${sourceId} --file ${path.join(manualDir, `${sourceId}.md`)} --mind <mind>`
+      ],
+      created_at: new Date().toISOString()
+    };
 
-    // Try WordPress first (most common)
-    if (WordPressExtractor.detectWordPress($)) {
-      return 'wordpress';
+    await fs.mkdir(manualDir, { recursive: true });
+    await fs.writeFile(taskPath, yaml.dump(task, { lineWidth: 120, noRefs: true }));
+
+    return taskPath;
+  }
+
+  /**
+   * Check if a page should be rendered in a headless browser
+   * Requires opt-in (blogs.render.platforms / blogs.render.domains) and a
+   * static extraction that failed or produced less than min_text_length chars
+   */
+  _shouldRender(url, platform, extracted) {
+    const renderConfig = this.downloadRules.blogs?.render;
+    if (!renderConfig) {
+      return false;
     }
 
-    // Try Medium
-    if (MediumExtractor.detectMedium($)) {
-      return 'medium';
+    const hostname = new URL(url).hostname.toLowerCase();
+    const optedIn = (renderConfig.platforms || []).includes(platform) ||
+      (renderConfig.domains || []).some(domain => {
+        const normalized = domain.toLowerCase();
+        return hostname === normalized || hostname.endsWith(`.${normalized}`);
+      });
+
+    if (!optedIn) {
+      return false;
+    }
+
+    if (!extracted) {
+      return true;
     }
 
-    // Check URL for other platforms
-    const urlLower = url.toLowerCase();
+    const textLength = cheerio.load(extracted.html || '').text().replace(/\s+/g, ' ').trim().length;
+    return textLength < (renderConfig.min_text_length || 500);
+  }
 
-    if (urlLower.includes('substack.com')) {
-      return 'generic'; // TODO: Create SubstackExtractor
+  /**
+   * Get headless renderer (created on first use)
+   */
+  _getRenderer() {
+    if (!this.renderer) {
+      const renderConfig = this.downloadRules.blogs?.render || {};
+
+      this.renderer = new HeadlessRenderer({
+        userAgent: this.headers['User-Agent'],
+        timeout: (renderConfig.timeout_seconds || 30) * 1000,
+        waitUntil: renderConfig.wait_until
+      });
     }
 
-    if (urlLower.includes('ghost.io') || $('meta[name="generator"]').attr('content')?.includes('Ghost')) {
-      return 'generic'; // TODO: Create GhostExtractor
+    return this.renderer;
+  }
+
+  /**
+   * Release resources (headless browser)
+   */
+  async close() {
+    await this.renderer?.close();
+  }
+
+  /**
+   * Get (and load) the content manifest for an output directory
+   */
+  async _getManifest(outputDir) {
+    if (!this.manifests.has(outputDir)) {
+      this.manifests.set(outputDir, new CollectionManifest(outputDir));
     }
 
-    // Default to generic (Readability)
-    return 'generic';
+    return this.manifests.get(outputDir).load();
+  }
+
+  /**
+   * Deterministic output path for a source
+   * 1. Path recorded in the manifest for this source id (re-runs, edited titles)
+   * 2. source.slug, else transliterated title, else source id, else URL hash
+   * 3. On collision with another source: domain prefix, then numeric suffix
+   */
+  _resolveOutputPath(source, metadata, outputDir, manifest) {
+    const key = this._manifestKey(source);
+    const recorded = manifest.get(key);
+
+    if (recorded && !recorded.duplicate_of) {
+      manifest.reservePath(key, [recorded.output_path]);
+      return recorded.output_path;
+    }
+
+    const slug = slugify(source.slug || '') ||
+      slugify(metadata.title || '') ||
+      slugify(source.title || '') ||
+      slugify(source.id || '') ||
+      `post-${shortHash(source.url)}`;
+    const domain = domainSlug(source.url);
+    const blogsDir = path.join(outputDir, 'blogs');
+
+    function* candidates() {
+      yield path.join(blogsDir, `${slug}.md`);
+
+      const prefixed = domain ? `${domain}-${slug}` : slug;
+      if (prefixed !== slug) {
+        yield path.join(blogsDir, `${prefixed}.md`);
+      }
+
+      for (let n = 2; ; n++) {
+        yield path.join(blogsDir, `${prefixed}-${n}.md`);
+      }
+    }
+
+    return manifest.reservePath(key, candidates());
+  }
+
+  /**
+   * Manifest key for a source (id, falling back to URL)
+   */
+  _manifestKey(source) {
+    return source.id || source.url;
+  }
+
+  /**
+   * Read markdown written by a previous run (null if missing)
+   */
+  async _readPreviousOutput(outputPath) {
+    if (!outputPath) {
+      return null;
+    }
+
+    try {
+      return await fs.readFile(outputPath, 'utf8');
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Register an external extractor module by path
+   * @param {string} modulePath - Module whose default export extends ArticleExtractor
+   */
+  async registerExtractorModule(modulePath) {
+    await this.extractors.registerModule(modulePath);
+  }
+
+  /**
+   * Load extractor modules listed in download rules (once per collector)
+   */
+  async _loadExtractorModules() {
+    if (!this.extractorModulesLoaded) {
+      this.extractorModulesLoaded = this.extractors.loadConfiguredModules();
+    }
+
+    await this.extractorModulesLoaded;
+  }
+
+  /**
+   * Detect platform from URL and HTML
+   * Extractors are tried by priority; see ExtractorRegistry
+   */
+  _detectPlatform(url, html) {
+    return this.extractors.detect(url, html);
   }
 
   /**
@@ -288,6 +706,7 @@ export class WebCollector {
   getStats() {
     return {
       ...this.stats,
+      scheduler: this.scheduler.getStats(),
       success_rate: this.stats.attempted > 0
         ? ((this.stats.successful / this.stats.attempted) * 100).toFixed(1) + '%'
         : '0%'
@@ -296,23 +715,25 @@ export class WebCollector {
 
   /**
    * Clear caches (useful for testing)
+   * The scheduler is left alone: it is shared with every other collector in the process.
    */
   clearCaches() {
-    this.robotsCache.clear();
-    this.lastRequestTime.clear();
+    this.robots.clear();
+    this.requestProfiles.clear();
+  }
+
+  /**
+   * Delete the persistent HTTP cache for an output directory
+   */
+  async clearHttpCache(outputDir) {
+    await this._getHttpCache(outputDir)?.clear();
   }
 
   /**
-   * Convert title to URL-friendly slug
+   * Convert title to URL-friendly slug (transliterates non-Latin titles)
    */
   _slugify(text) {
-    return text
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '')  // Remove special chars
-      .replace(/[\s_-]+/g, '-')   // Replace spaces/underscores with single hyphen
-      .replace(/^-+|-+$/g, '')    // Remove leading/trailing hyphens
-      .substring(0, 100);          // Limit length
+    return slugify(text);
   }
 }
 
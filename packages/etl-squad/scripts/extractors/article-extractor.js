@@ -6,11 +6,14 @@
 
 import * as cheerio from 'cheerio';
 import { MarkdownConverter } from '../utils/markdown-converter.js';
+import { MetadataResolver } from '../utils/metadata-resolver.js';
+import { resolveLanguage } from '../utils/language-detector.js';
 
 export class ArticleExtractor {
   constructor(platform = 'generic') {
     this.platform = platform;
     this.converter = new MarkdownConverter();
+    this.metadataResolver = new MetadataResolver();
 
     // Default selectors (can be overridden by subclasses)
     this.contentSelectors = [
@@ -63,6 +66,31 @@ export class ArticleExtractor {
     };
   }
 
+  /**
+   * Apply platform config from download-rules.yaml `platforms.{name}`
+   * Config selectors take precedence over the extractor's built-in ones
+   * @param {object} platformConfig - { content_selectors, remove_elements, remove_classes, metadata_selectors }
+   */
+  applyPlatformConfig(platformConfig = {}) {
+    const merge = (preferred = [], existing = []) => [...new Set([...preferred, ...existing])];
+
+    if (Array.isArray(platformConfig.content_selectors)) {
+      this.contentSelectors = merge(platformConfig.content_selectors, this.contentSelectors);
+    }
+
+    const removeSelectors = [
+      ...(platformConfig.remove_elements || []),
+      ...(platformConfig.remove_classes || []).map(className => `.${className}`)
+    ];
+    this.removeSelectors = merge(this.removeSelectors, removeSelectors);
+
+    for (const [field, selectors] of Object.entries(platformConfig.metadata_selectors || {})) {
+      this.metadataSelectors[field] = merge(selectors, this.metadataSelectors[field]);
+    }
+
+    return this;
+  }
+
   /**
    * Extract article from HTML
    * @param {string} url - Article URL
@@ -76,6 +104,9 @@ export class ArticleExtractor {
 
     const $ = cheerio.load(html);
 
+    // Structured metadata lives in <script>/<head>, read it before cleanup
+    const structuredMetadata = this.metadataResolver.collect($);
+
     // Remove unwanted elements
     this._removeUnwantedElements($);
 
@@ -86,8 +117,8 @@ export class ArticleExtractor {
       throw new Error('Failed to extract main content');
     }
 
-    // Extract metadata
-    const metadata = this._extractMetadata($, url);
+    // Extract metadata (CSS selectors are the fallback for structured sources)
+    const metadata = this._resolveMetadata(structuredMetadata, this._extractMetadata($, url));
 
     // Clean content HTML
     const cleanHtml = this._cleanContent(content);
@@ -96,7 +127,7 @@ export class ArticleExtractor {
       url,
       platform: this.platform,
       html: cleanHtml,
-      metadata,
+      metadata: this._applyLanguage(metadata, cleanHtml),
       raw_html: html  // Keep original for reference
     };
   }
@@ -205,6 +236,69 @@ export class ArticleExtractor {
     return metadata;
   }
 
+  /**
+   * Merge structured metadata over selector-based metadata
+   * @param {object} structuredMetadata - MetadataResolver.collect() output
+   * @param {object} metadata - _extractMetadata() output
+   * @returns {object} metadata with resolved fields and metadata_sources (field -> winning source)
+   */
+  _resolveMetadata(structuredMetadata, metadata) {
+    const { values, sources } = this.metadataResolver.resolve(structuredMetadata, metadata);
+
+    return {
+      ...metadata,
+      ...values,
+      metadata_sources: sources
+    };
+  }
+
+  /**
+   * Set metadata.language from the content text
+   * The declared language (JSON-LD inLanguage, <html lang>, ...) is kept when
+   * the text is too short or mixed to tell; metadata_sources.language is
+   * 'detected' or the declaring source.
+   * @param {object} metadata - Resolved metadata
+   * @param {string} html - Clean content HTML
+   */
+  _applyLanguage(metadata, html) {
+    const text = cheerio.load(html || '').root().text();
+    const { language, method } = resolveLanguage({ declared: metadata.language, text });
+    const sources = { ...metadata.metadata_sources };
+
+    if (method === 'detected') {
+      sources.language = 'detected';
+    } else if (method === 'undetermined') {
+      delete sources.language;
+    }
+
+    return { ...metadata, language, metadata_sources: sources };
+  }
+
+  /**
+   * Run an extra request (platform API, recovery fetch) through the
+   * collector's scheduler when extract() was given options.schedule, after
+   * the robots.txt check in options.beforeRequest (throws when disallowed)
+   */
+  async _scheduled(options, url, request) {
+    await options.beforeRequest?.(url);
+    return options.schedule ? options.schedule(url, request) : request();
+  }
+
+  /**
+   * axios config for an extra request: options.headers/timeout plus the
+   * access profile for that URL (proxy agent, extra headers, cookies)
+   * when extract() was given options.access
+   */
+  async _requestConfig(options, url) {
+    const { headers = {}, ...access } = options.access ? await options.access(url) : {};
+
+    return {
+      ...access,
+      headers: { ...(options.headers || {}), ...headers },
+      timeout: options.timeout || 30000
+    };
+  }
+
   /**
    * Extract field using multiple selectors
    */
@@ -273,7 +367,8 @@ export class ArticleExtractor {
 
     return this.converter.addFrontmatter(markdown, {
       ...extractedData.metadata,
-      extraction_method: this.platform,
+      word_count: this.converter.getWordCount(markdown, extractedData.metadata.language),
+      extraction_method: extractedData.extraction_method || this.platform,
       source_type: 'blog'
     });
   }
@@ -0,0 +1,249 @@
+/**
+ * Extractor Registry
+ * Pluggable registry of platform extractors for WebCollector
+ *
+ * Extractors are picked by priority (highest first) using each entry's detect($, url).
+ * Sources of entries:
+ * 1. Built-in extractors (WordPress, Medium, Substack, Ghost)
+ * 2. YAML platforms in download-rules.yaml `platforms:` (selectors + detect patterns)
+ * 3. External modules registered by path (`blogs.extractor_modules`)
+ *
+ * The generic (Readability) extractor is the fallback and never needs detection.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import * as cheerio from 'cheerio';
+import { ArticleExtractor } from './article-extractor.js';
+import { WordPressExtractor } from './wordpress-extractor.js';
+import { MediumExtractor } from './medium-extractor.js';
+import { SubstackExtractor } from './substack-extractor.js';
+import { GhostExtractor } from './ghost-extractor.js';
+import { GenericExtractor } from './generic-extractor.js';
+
+const FALLBACK_PLATFORM = 'generic';
+const DEFAULT_CONFIG_PRIORITY = 50;
+
+export const BUILTIN_EXTRACTORS = [
+  WordPressExtractor,
+  MediumExtractor,
+  SubstackExtractor,
+  GhostExtractor
+];
+
+export class ExtractorRegistry {
+  /**
+   * @param {object} downloadRules - Parsed download-rules.yaml
+   */
+  constructor(downloadRules = {}) {
+    this.downloadRules = downloadRules;
+    this.platformConfigs = downloadRules.platforms || {};
+    this.commonRemoveElements = downloadRules.blogs?.remove_elements || [];
+
+    this.entries = new Map();    // platform -> { platform, priority, detect, create }
+    this.instances = new Map();  // platform -> extractor instance
+
+    this.fallback = this._configure(new GenericExtractor(), FALLBACK_PLATFORM);
+
+    for (const Extractor of BUILTIN_EXTRACTORS) {
+      this.register(Extractor);
+    }
+
+    this._registerConfigPlatforms();
+  }
+
+  /**
+   * Register an extractor class
+   * @param {Function} Extractor - ArticleExtractor subclass with static platform/priority/detect
+   * @param {object} overrides - Optional { platform, priority, detect }
+   */
+  register(Extractor, overrides = {}) {
+    const platform = overrides.platform || Extractor.platform;
+
+    if (!platform) {
+      throw new Error('Extractor must declare a static platform name');
+    }
+
+    if (platform === FALLBACK_PLATFORM) {
+      throw new Error(`Platform '${FALLBACK_PLATFORM}' is reserved for the fallback extractor`);
+    }
+
+    const builtinDetect = overrides.detect || Extractor.detect?.bind(Extractor);
+    if (typeof builtinDetect !== 'function') {
+      throw new Error(`Extractor '${platform}' must declare a static detect($, url) function`);
+    }
+
+    // YAML detect patterns extend (never replace) the extractor's own detection
+    const platformConfig = this.platformConfigs[platform] || {};
+    const patternDetect = platformConfig.detect
+      ? ExtractorRegistry.createPatternDetector(platformConfig.detect)
+      : null;
+    const detect = patternDetect
+      ? ($, url) => builtinDetect($, url) || patternDetect($, url)
+      : builtinDetect;
+    const priority = overrides.priority ?? platformConfig.priority ?? Extractor.priority ?? 0;
+
+    this.entries.set(platform, {
+      platform,
+      priority,
+      detect,
+      create: () => new Extractor()
+    });
+    this.instances.delete(platform);
+
+    return this;
+  }
+
+  /**
+   * Register an external extractor module by path
+   * Module default export (or `Extractor` export) must be an ArticleExtractor subclass
+   * @param {string} modulePath - Absolute path, or relative to process.cwd()
+   */
+  async registerModule(modulePath) {
+    const resolved = path.resolve(process.cwd(), modulePath);
+    const mod = await import(pathToFileURL(resolved).href);
+    const Extractor = mod.default || mod.Extractor;
+
+    if (typeof Extractor !== 'function') {
+      throw new Error(`Extractor module ${modulePath} has no default export`);
+    }
+
+    return this.register(Extractor);
+  }
+
+  /**
+   * Register all modules listed in download-rules.yaml `blogs.extractor_modules`
+   */
+  async loadConfiguredModules() {
+    const modules = this.downloadRules.blogs?.extractor_modules || [];
+
+    for (const modulePath of modules) {
+      await this.registerModule(modulePath);
+    }
+
+    return this;
+  }
+
+  /**
+   * Detect platform for a page
+   * @param {string} url - Page URL
+   * @param {string|CheerioAPI} html - HTML content or loaded Cheerio instance
+   * @returns {string} Platform name (falls back to 'generic')
+   */
+  detect(url, html) {
+    const $ = typeof html === 'string' ? cheerio.load(html) : html;
+
+    for (const entry of this.list()) {
+      try {
+        if (entry.detect($, url)) {
+          return entry.platform;
+        }
+      } catch (_e) {
+        // Faulty detector should not break collection
+      }
+    }
+
+    return FALLBACK_PLATFORM;
+  }
+
+  /**
+   * Get extractor instance for platform (generic fallback if unknown)
+   */
+  get(platform) {
+    const entry = this.entries.get(platform);
+    if (!entry) {
+      return this.fallback;
+    }
+
+    if (!this.instances.has(platform)) {
+      this.instances.set(platform, this._configure(entry.create(), platform));
+    }
+
+    return this.instances.get(platform);
+  }
+
+  /**
+   * List registered entries sorted by priority (highest first)
+   */
+  list() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => b.priority - a.priority);
+  }
+
+  /**
+   * Registered platform names (including fallback)
+   */
+  getPlatforms() {
+    return [...this.list().map(entry => entry.platform), FALLBACK_PLATFORM];
+  }
+
+  /**
+   * Register YAML-only platforms (those without a built-in extractor)
+   */
+  _registerConfigPlatforms() {
+    for (const [platform, platformConfig] of Object.entries(this.platformConfigs)) {
+      if (this.entries.has(platform) || platform === FALLBACK_PLATFORM) {
+        continue;
+      }
+
+      if (!platformConfig?.detect) {
+        console.warn(`Platform '${platform}' in download-rules.yaml has no detect rules, skipping`);
+        continue;
+      }
+
+      this.entries.set(platform, {
+        platform,
+        priority: platformConfig.priority ?? DEFAULT_CONFIG_PRIORITY,
+        detect: ExtractorRegistry.createPatternDetector(platformConfig.detect),
+        // YAML selectors are applied by _configure() on first use
+        create: () => new ArticleExtractor(platform)
+      });
+    }
+  }
+
+  /**
+   * Apply YAML platform config and common remove rules to an extractor instance
+   */
+  _configure(extractor, platform) {
+    const platformConfig = this.platformConfigs[platform] || {};
+
+    extractor.applyPlatformConfig({
+      ...platformConfig,
+      remove_elements: [...this.commonRemoveElements, ...(platformConfig.remove_elements || [])]
+    });
+
+    return extractor;
+  }
+
+  /**
+   * Build detect($, url) from YAML patterns
+   * @param {object} rules - { url_patterns, generator_patterns, selectors }
+   */
+  static createPatternDetector(rules = {}) {
+    const toRegExps = (patterns = []) => patterns.map(pattern => new RegExp(pattern, 'i'));
+    const urlPatterns = toRegExps(rules.url_patterns);
+    const generatorPatterns = toRegExps(rules.generator_patterns);
+    const selectors = rules.selectors || [];
+
+    return ($, url = '') => {
+      if (urlPatterns.some(pattern => pattern.test(url))) {
+        return true;
+      }
+
+      const generator = $('meta[name="generator"]').attr('content') || '';
+      if (generator && generatorPatterns.some(pattern => pattern.test(generator))) {
+        return true;
+      }
+
+      return selectors.some(selector => {
+        try {
+          return $(selector).length > 0;
+        } catch (_e) {
+          return false;
+        }
+      });
+    };
+  }
+}
+
+export default ExtractorRegistry;
@@ -6,6 +6,7 @@
 
 import { Readability } from '@mozilla/readability';
 import { JSDOM } from 'jsdom';
+import * as cheerio from 'cheerio';
 import { ArticleExtractor } from './article-extractor.js';
 
 export class GenericExtractor extends ArticleExtractor {
@@ -17,6 +18,8 @@ export class GenericExtractor extends ArticleExtractor {
    * Extract using Readability algorithm
    */
   async extract(url, html) {
+    const structuredMetadata = this.metadataResolver.collect(cheerio.load(html));
+
     const dom = new JSDOM(html, { url });
     const reader = new Readability(dom.window.document, {
       charThreshold: 100,
@@ -36,16 +39,17 @@ export class GenericExtractor extends ArticleExtractor {
       url,
       platform: this.platform,
       html: cleanedContent,
-      metadata: {
+      metadata: this._applyLanguage(this._resolveMetadata(structuredMetadata, {
         url,
         platform: 'generic',
         title: article.title,
         author: article.byline,
+        date: article.publishedTime,
         excerpt: article.excerpt,
         length: article.length,
         site_name: article.siteName,
         extraction_method: 'readability'
-      },
+      }), cleanedContent),
       raw_html: html
     };
   }
@@ -0,0 +1,285 @@
+/**
+ * Ghost Extractor
+ * Specialized extractor for Ghost CMS sites (ghost.io and self-hosted)
+ * Uses the Ghost Content API when a key is configured, otherwise scrapes rendered HTML
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { ArticleExtractor } from './article-extractor.js';
+
+const CONTENT_API_VERSION = 'v5.0';
+const WORDS_PER_MINUTE = 275; // Ghost's own reading time estimate
+
+export class GhostExtractor extends ArticleExtractor {
+  // Registry entry (see extractor-registry.js)
+  static platform = 'ghost';
+  static priority = 10;
+
+  constructor() {
+    super('ghost');
+
+    // Ghost-specific content selectors (priority order)
+    this.contentSelectors = [
+      '.gh-content',                 // Casper 4+, Source, Headline
+      '.post-content',               // Older themes
+      '.post-full-content',          // Casper 3
+      'article'
+    ];
+
+    // Ghost-specific elements to remove
+    this.removeSelectors = [
+      ...this.removeSelectors,       // Include base selectors
+
+      // Membership and subscribe UI
+      '.gh-post-upgrade-cta',
+      '.gh-cta',
+      '.subscribe-form',
+      '.footer-cta',
+      '[data-portal]',
+      '[data-members-form]',
+
+      // Engagement UI
+      '.gh-comments',
+      '.article-comments',
+      '.read-more-wrap',
+      '.kg-signup-card'
+    ];
+
+    // Ghost metadata selectors
+    this.metadataSelectors = {
+      title: [
+        'h1.gh-article-title',
+        'h1.article-title',
+        'h1.post-full-title',
+        'article h1',
+        'meta[property="og:title"]',
+        'title'
+      ],
+      author: [
+        'meta[name="twitter:data1"]',
+        '.gh-author-name a',
+        '.author-name a',
+        '.author-name',
+        '[rel="author"]'
+      ],
+      date: [
+        'meta[property="article:published_time"]',
+        'time[datetime]'
+      ],
+      excerpt: [
+        '.gh-article-excerpt',
+        '.article-excerpt',
+        '.post-full-custom-excerpt',
+        'meta[name="description"]',
+        'meta[property="og:description"]'
+      ],
+      read_time: [
+        '.byline-reading-time',
+        '.gh-article-meta-length',
+        '.reading-time',
+        '.post-full-meta'
+      ]
+    };
+  }
+
+  /**
+   * Detect if site is Ghost
+   * @param {CheerioAPI} $ - Cheerio instance
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  static detectGhost($, url = '') {
+    // Check generator meta tag
+    const generator = $('meta[name="generator"]').attr('content') || '';
+    if (generator.toLowerCase().includes('ghost')) {
+      return true;
+    }
+
+    // Check hosted Ghost domain
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      if (hostname.endsWith('.ghost.io')) {
+        return true;
+      }
+    } catch (_e) {
+      // Invalid URL, rely on markup
+    }
+
+    // Check for Ghost portal/members scripts
+    if ($('script[data-ghost]').length > 0 || $('script[src*="/ghost/"]').length > 0) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Registry detection hook
+   */
+  static detect($, url) {
+    return GhostExtractor.detectGhost($, url);
+  }
+
+  /**
+   * Extract article, preferring the Content API when a key is configured
+   * @param {string} url - Article URL
+   * @param {string} html - HTML content
+   * @param {object} options - { source, headers, timeout, schedule, access, beforeRequest }
+   * @returns {Promise<object>} Extraction result; `fallback` ({ method, reason }) when the Content API failed
+   */
+  async extract(url, html, options = {}) {
+    const apiKey = this._resolveApiKey(options.source);
+
+    let fallback = null;
+    if (apiKey) {
+      try {
+        return await this._extractViaContentAPI(url, apiKey, options);
+      } catch (error) {
+        fallback = { method: 'ghost-content-api', reason: error.message };
+      }
+    }
+
+    const extractedData = await super.extract(url, html);
+    if (fallback) {
+      extractedData.fallback = fallback;
+    }
+
+    if (!extractedData.metadata.read_time_minutes) {
+      extractedData.metadata.read_time_minutes = this._estimateReadTime(extractedData.html);
+    }
+
+    return extractedData;
+  }
+
+  /**
+   * Extract Ghost-specific metadata from rendered HTML
+   */
+  _extractMetadata($, url) {
+    const metadata = super._extractMetadata($, url);
+
+    // Ghost emits one article:tag per tag; the first is the primary tag
+    const tags = [];
+    $('meta[property="article:tag"]').each((i, el) => {
+      const tag = $(el).attr('content')?.trim();
+      if (tag && !tags.includes(tag)) {
+        tags.push(tag);
+      }
+    });
+
+    if (tags.length > 0) {
+      metadata.tags = tags;
+    }
+
+    const readTimeText = this._extractField($, this.metadataSelectors.read_time);
+    const readTimeMatch = readTimeText?.match(/(\d+)\s*min/i);
+    if (readTimeMatch) {
+      metadata.read_time_minutes = parseInt(readTimeMatch[1]);
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Fetch clean post HTML and metadata from the Ghost Content API
+   */
+  async _extractViaContentAPI(url, apiKey, options = {}) {
+    const slug = this._extractSlug(url);
+    if (!slug) {
+      throw new Error('Could not determine post slug from URL');
+    }
+
+    const apiBase = (options.source?.ghost?.api_url || new URL(url).origin).replace(/\/+$/, '');
+    const endpoint = `${apiBase}/ghost/api/content/posts/slug/${encodeURIComponent(slug)}/`;
+
+    const requestConfig = await this._requestConfig(options, endpoint);
+    const response = await this._scheduled(options, endpoint, () => axios.get(endpoint, {
+      ...requestConfig,
+      params: {
+        key: apiKey,
+        include: 'tags,authors'
+      },
+      headers: {
+        ...requestConfig.headers,
+        'Accept': 'application/json',
+        'Accept-Version': CONTENT_API_VERSION
+      }
+    }));
+
+    const post = response.data?.posts?.[0];
+    if (!post || !post.html) {
+      throw new Error(`No post returned for slug "${slug}"`);
+    }
+
+    const $ = cheerio.load(post.html);
+    const cleanHtml = this._cleanContent($('body'));
+
+    const tags = (post.tags || [])
+      .filter(tag => tag.visibility !== 'internal')
+      .map(tag => tag.name);
+
+    return {
+      url,
+      platform: this.platform,
+      html: cleanHtml,
+      metadata: {
+        url: post.url || url,
+        platform: this.platform,
+        title: post.title,
+        author: post.primary_author?.name || post.authors?.[0]?.name || null,
+        date: post.published_at || null,
+        updated: post.updated_at || null,
+        excerpt: post.custom_excerpt || post.excerpt || null,
+        categories: [],
+        primary_tag: post.primary_tag?.name || tags[0] || null,
+        tags,
+        read_time_minutes: post.reading_time || this._estimateReadTime(cleanHtml),
+        ghost: {
+          postId: post.id
+        }
+      },
+      extraction_method: 'ghost-content-api',
+      raw_html: post.html
+    };
+  }
+
+  /**
+   * Resolve Content API key for a source
+   * Accepts an inline key or the name of an environment variable holding it
+   */
+  _resolveApiKey(source) {
+    const ghost = source?.ghost;
+    if (!ghost) {
+      return null;
+    }
+
+    if (ghost.content_api_key_env) {
+      return process.env[ghost.content_api_key_env] || null;
+    }
+
+    return ghost.content_api_key || null;
+  }
+
+  /**
+   * Extract post slug (last path segment) from URL
+   */
+  _extractSlug(url) {
+    try {
+      const segments = new URL(url).pathname.split('/').filter(Boolean);
+      return segments.pop() || null;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * Estimate reading time in minutes from content HTML
+   */
+  _estimateReadTime(html) {
+    const text = cheerio.load(html || '').text();
+    const words = text.trim().split(/\s+/).filter(w => w.length > 0).length;
+    return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+  }
+}
+
+export default GhostExtractor;
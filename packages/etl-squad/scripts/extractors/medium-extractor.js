@@ -2,15 +2,35 @@
  * Medium Extractor
  * Specialized extractor for Medium.com articles
  * Handles paywall notices, member-only content, and Medium-specific formatting
+ *
+ * Paywalled previews get a truncation confidence; likely-truncated posts are
+ * recovered from the author's canonical copy or the RSS full-content item,
+ * otherwise marked partial so the collector can emit a manual-import task.
  */
 
+import axios from 'axios';
+import Parser from 'rss-parser';
 import { ArticleExtractor } from './article-extractor.js';
+import { GenericExtractor } from './generic-extractor.js';
 import * as cheerio from 'cheerio';
 
+const WORDS_PER_MINUTE = 265; // Medium's own reading time estimate
+
 export class MediumExtractor extends ArticleExtractor {
+  // Registry entry (see extractor-registry.js)
+  static platform = 'medium';
+  static priority = 30;
+
   constructor() {
     super('medium');
 
+    // Paywall handling (platforms.medium.paywall in download-rules.yaml)
+    this.paywall = {
+      partial_threshold: 0.5,
+      try_canonical: true,
+      try_rss: true
+    };
+
     // Medium-specific content selectors (priority order)
     this.contentSelectors = [
       'article',                           // Primary article tag
@@ -123,6 +143,13 @@ export class MediumExtractor extends ArticleExtractor {
     return false;
   }
 
+  /**
+   * Registry detection hook
+   */
+  static detect($) {
+    return MediumExtractor.detectMedium($);
+  }
+
   /**
    * Extract Medium-specific metadata
    */
@@ -231,11 +258,22 @@ export class MediumExtractor extends ArticleExtractor {
     return $.html();
   }
 
+  /**
+   * Apply platform config (selectors plus paywall options)
+   */
+  applyPlatformConfig(platformConfig = {}) {
+    super.applyPlatformConfig(platformConfig);
+
+    this.paywall = { ...this.paywall, ...(platformConfig.paywall || {}) };
+
+    return this;
+  }
+
   /**
    * Handle paywall warning
    */
   _addPaywallWarning(extractedData) {
-    if (extractedData.metadata.member_only) {
+    if (extractedData.metadata.partial) {
       const warning = '\n\n---\n\n**⚠️ Note:** This article is member-only on Medium. The extracted content may be incomplete.\n\n---\n\n';
       extractedData.html = warning + extractedData.html;
     }
@@ -245,15 +283,248 @@ export class MediumExtractor extends ArticleExtractor {
 
   /**
    * Override extract to add paywall handling
+   * @param {string} url - Article URL
+   * @param {string} html - HTML content
+   * @param {object} options - { source, headers, timeout, schedule, access, beforeRequest }
    */
-  async extract(url, html) {
+  async extract(url, html, options = {}) {
+    if (!html || typeof html !== 'string') {
+      throw new Error('Invalid HTML content');
+    }
+
+    // Paywall signals live in markup the base cleanup removes
+    const $raw = cheerio.load(html);
+    const signals = this._readPaywallSignals($raw);
+
     let extractedData = await super.extract(url, html);
+    const truncation = this._assessTruncation(extractedData, signals);
+
+    extractedData.metadata.truncation_confidence = truncation.confidence;
+    extractedData.metadata.truncation_signals = truncation.signals;
+    extractedData.metadata.partial = truncation.confidence >= this.paywall.partial_threshold;
+
+    if (extractedData.metadata.partial) {
+      const recovered = await this._recoverFullText(url, $raw, extractedData, options);
+
+      if (recovered) {
+        return recovered;
+      }
+    }
 
     // Add paywall warning if needed
     extractedData = this._addPaywallWarning(extractedData);
 
     return extractedData;
   }
+
+  /**
+   * Read paywall signals from the unmodified page
+   */
+  _readPaywallSignals($) {
+    const signals = {
+      memberOnly: this._isMemberOnly($),
+      paywallMarkup: false,
+      accessibleForFree: null,
+      readTimeMinutes: null,
+      canonicalUrl: $('link[rel="canonical"]').attr('href') || null
+    };
+
+    const bodyText = $('body').text();
+    signals.paywallMarkup = $('.paywall, .meteredContent, .membershipUpsell, .limitedAccess').length > 0 ||
+      /member-only story|create an account to read the full story|become a member to read/i.test(bodyText);
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        const json = JSON.parse($(el).contents().text());
+        if (json && json.isAccessibleForFree !== undefined) {
+          signals.accessibleForFree = json.isAccessibleForFree === true || json.isAccessibleForFree === 'True';
+        }
+      } catch (_e) {
+        // Ignore malformed JSON-LD
+      }
+    });
+
+    const readTimeText = $('meta[name="twitter:data1"]').attr('content') ||
+      $('[data-field="readingTime"], [data-testid="storyReadTime"]').first().text();
+    const readTimeMatch = readTimeText?.match(/(\d+)\s*min/i);
+    if (readTimeMatch) {
+      signals.readTimeMinutes = parseInt(readTimeMatch[1]);
+    }
+
+    return signals;
+  }
+
+  /**
+   * Estimate how likely the extracted text is a truncated preview
+   * @returns {object} { confidence: 0..1, signals: string[] }
+   */
+  _assessTruncation(extractedData, signals) {
+    const reasons = [];
+    let score = 0;
+
+    if (signals.memberOnly) {
+      score += 0.4;
+      reasons.push('member_only');
+    }
+
+    if (signals.paywallMarkup) {
+      score += 0.2;
+      reasons.push('paywall_markup');
+    }
+
+    if (signals.accessibleForFree === false) {
+      score += 0.2;
+      reasons.push('not_accessible_for_free');
+    }
+
+    // Medium states the full read time, so a short body gives the preview away
+    const words = this._countWords(extractedData.html);
+    if (signals.readTimeMinutes) {
+      const ratio = words / (signals.readTimeMinutes * WORDS_PER_MINUTE);
+
+      if (ratio < 0.5) {
+        score += 0.4;
+        reasons.push(`length_ratio_${ratio.toFixed(2)}`);
+      } else if (ratio >= 0.8) {
+        score -= 0.4;
+      }
+    }
+
+    const lastParagraph = cheerio.load(extractedData.html || '')('p').last().text().trim();
+    if (/(\.\.\.|…)$/.test(lastParagraph)) {
+      score += 0.1;
+      reasons.push('ends_with_ellipsis');
+    }
+
+    return {
+      confidence: Math.round(Math.min(1, Math.max(0, score)) * 100) / 100,
+      signals: reasons
+    };
+  }
+
+  /**
+   * Try the canonical (self-hosted) copy, then the RSS full-content item
+   * @returns {Promise<object|null>} Extracted data, or null if nothing longer was found
+   */
+  async _recoverFullText(url, $raw, extractedData, options = {}) {
+    const partialWords = this._countWords(extractedData.html);
+    const attempts = [];
+
+    const canonicalUrl = this._selfHostedCanonical(url, $raw);
+    if (this.paywall.try_canonical && canonicalUrl) {
+      try {
+        const requestConfig = await this._requestConfig(options, canonicalUrl);
+        const response = await this._scheduled(options, canonicalUrl, () => axios.get(canonicalUrl, requestConfig));
+        const canonical = await new GenericExtractor().extract(canonicalUrl, response.data);
+
+        if (this._countWords(canonical.html) > partialWords * 1.2) {
+          return this._recoveredResult(extractedData, canonical.html, 'medium-canonical', canonicalUrl, attempts);
+        }
+        attempts.push({ method: 'canonical', url: canonicalUrl, result: 'not_longer' });
+      } catch (error) {
+        attempts.push({ method: 'canonical', url: canonicalUrl, result: error.message });
+      }
+    }
+
+    // Feed items are matched by post id: without one in the URL none can be matched safely
+    const feedUrl = this._feedUrl(url);
+    const postId = this._postId(url);
+    if (this.paywall.try_rss && feedUrl && !postId) {
+      attempts.push({ method: 'rss', url: feedUrl, result: 'no_post_id' });
+    } else if (this.paywall.try_rss && feedUrl) {
+      try {
+        const { headers, timeout, httpsAgent } = await this._requestConfig(options, feedUrl);
+        const feed = await this._scheduled(options, feedUrl, () => new Parser({
+          headers,
+          timeout,
+          requestOptions: httpsAgent ? { agent: httpsAgent } : {}
+        }).parseURL(feedUrl));
+        const item = (feed.items || []).find(entry =>
+          this._postId(entry.link || '') === postId || this._postId(entry.guid || '') === postId
+        );
+        const content = item?.['content:encoded'] || item?.content;
+
+        if (content && this._countWords(content) > partialWords * 1.2) {
+          const $content = cheerio.load(content);
+          return this._recoveredResult(extractedData, this._cleanContent($content('body')), 'medium-rss', feedUrl, attempts);
+        }
+        attempts.push({ method: 'rss', url: feedUrl, result: item ? 'not_longer' : 'not_in_feed' });
+      } catch (error) {
+        attempts.push({ method: 'rss', url: feedUrl, result: error.message });
+      }
+    }
+
+    extractedData.metadata.recovery_attempts = attempts;
+    return null;
+  }
+
+  _recoveredResult(extractedData, html, method, recoveredFrom, attempts) {
+    return {
+      ...extractedData,
+      html,
+      metadata: {
+        ...extractedData.metadata,
+        partial: false,
+        recovered_from: recoveredFrom,
+        recovery_attempts: attempts
+      },
+      extraction_method: method
+    };
+  }
+
+  /**
+   * Canonical URL if it points off Medium (author's own site)
+   */
+  _selfHostedCanonical(url, $) {
+    const canonical = $('link[rel="canonical"]').attr('href');
+    if (!canonical) return null;
+
+    try {
+      const canonicalUrl = new URL(canonical, url);
+      const host = canonicalUrl.hostname.toLowerCase();
+
+      if (host === 'medium.com' || host.endsWith('.medium.com') || canonicalUrl.href === new URL(url).href) {
+        return null;
+      }
+
+      // Custom-domain Medium publications canonicalize to themselves
+      return canonicalUrl.hostname === new URL(url).hostname ? null : canonicalUrl.href;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * Medium RSS feed for the author or publication of a post
+   */
+  _feedUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      const [first] = urlObj.pathname.split('/').filter(Boolean);
+
+      if (urlObj.hostname === 'medium.com') {
+        return first ? `https://medium.com/feed/${first}` : null;
+      }
+
+      // username.medium.com and custom domains
+      return `${urlObj.origin}/feed`;
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  /**
+   * Medium post ID (hex suffix of the slug)
+   */
+  _postId(url) {
+    const match = String(url).match(/[-/]([0-9a-f]{10,12})(?:[/?#]|$)/);
+    return match ? match[1] : null;
+  }
+
+  _countWords(html) {
+    const text = cheerio.load(html || '').text();
+    return text.trim().split(/\s+/).filter(w => w.length > 0).length;
+  }
 }
 
 export default MediumExtractor;
@@ -0,0 +1,309 @@
+/**
+ * Substack Extractor
+ * Specialized extractor for Substack newsletters (substack.com and custom domains)
+ * Handles subtitles, publication info, paid/free audience, footnotes and subscribe boilerplate
+ */
+
+import { ArticleExtractor } from './article-extractor.js';
+import * as cheerio from 'cheerio';
+
+export class SubstackExtractor extends ArticleExtractor {
+  // Registry entry (see extractor-registry.js)
+  static platform = 'substack';
+  static priority = 20;
+
+  constructor() {
+    super('substack');
+
+    // Substack-specific content selectors (priority order)
+    this.contentSelectors = [
+      '.available-content .body.markup',   // Current post template
+      '.body.markup',                      // Older post template
+      '.post-content',
+      '.body',
+      'article'
+    ];
+
+    // Substack-specific elements to remove
+    this.removeSelectors = [
+      ...this.removeSelectors,             // Include base selectors
+
+      // Subscribe boilerplate
+      '.subscribe-widget',
+      '.subscription-widget-wrap',
+      '.subscription-widget-wrap-editor',
+      '.subscribe-footer',
+      '.captioned-button-wrap',
+      '.button-wrapper',
+      '[data-component-name="SubscribeWidgetToDOM"]',
+      '[data-component-name="ButtonCreateButton"]',
+
+      // Engagement and sharing UI
+      '.post-ufi',
+      '.share-dialog',
+      '.post-footer',
+      '.footer',
+
+      // Paywall teaser
+      '.paywall',
+      '[data-testid="paywall"]'
+    ];
+
+    // Substack metadata selectors
+    this.metadataSelectors = {
+      title: [
+        'h1.post-title',
+        'h1',
+        'meta[property="og:title"]',
+        'title'
+      ],
+      subtitle: [
+        'h3.subtitle',
+        '.subtitle',
+        'meta[property="og:description"]'
+      ],
+      author: [
+        'meta[name="author"]',
+        '.byline-names a',
+        '.profile-hover-card-target a',
+        '[rel="author"]'
+      ],
+      date: [
+        'meta[property="article:published_time"]',
+        'time[datetime]',
+        '.post-date'
+      ],
+      excerpt: [
+        'meta[name="description"]',
+        'meta[property="og:description"]'
+      ],
+      publication: [
+        'meta[property="og:site_name"]',
+        '.navbar-title a',
+        '.navbar-title'
+      ]
+    };
+
+    this._setupFootnoteRules();
+  }
+
+  /**
+   * Detect if page is a Substack post (substack.com or custom domain)
+   * @param {CheerioAPI} $ - Cheerio instance
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  static detectSubstack($, url = '') {
+    // Check URL
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      if (hostname === 'substack.com' || hostname.endsWith('.substack.com')) {
+        return true;
+      }
+    } catch (_e) {
+      // Invalid URL, rely on markup
+    }
+
+    // Check generator meta tag
+    const generator = $('meta[name="generator"]').attr('content') || '';
+    if (generator.toLowerCase().includes('substack')) {
+      return true;
+    }
+
+    // Custom domains still load assets from Substack's CDN
+    if ($('link[href*="substackcdn.com"], script[src*="substackcdn.com"]').length > 0) {
+      return true;
+    }
+
+    const ogImage = $('meta[property="og:image"]').attr('content') || '';
+    if (ogImage.includes('substackcdn.com') || ogImage.includes('substack-post-media')) {
+      return true;
+    }
+
+    // Check for Substack post markup
+    if ($('.available-content .body.markup').length > 0 ||
+        $('[data-component-name="SubscribeWidgetToDOM"]').length > 0) {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Registry detection hook
+   */
+  static detect($, url) {
+    return SubstackExtractor.detectSubstack($, url);
+  }
+
+  /**
+   * Override extract to read page data that base cleanup removes (scripts)
+   */
+  async extract(url, html) {
+    if (!html || typeof html !== 'string') {
+      throw new Error('Invalid HTML content');
+    }
+
+    const $raw = cheerio.load(html);
+    const pageData = this._readPageData($raw);
+
+    const extractedData = await super.extract(url, html);
+
+    const metadata = extractedData.metadata;
+    metadata.subtitle = metadata.subtitle || pageData.subtitle;
+    metadata.publication = metadata.publication || pageData.publication;
+    metadata.audience = pageData.audience;
+    metadata.custom_domain = this._isCustomDomain(url);
+
+    return extractedData;
+  }
+
+  /**
+   * Extract Substack-specific metadata
+   */
+  _extractMetadata($, url) {
+    const metadata = super._extractMetadata($, url);
+
+    const subtitle = this._extractField($, this.metadataSelectors.subtitle);
+    metadata.subtitle = subtitle ? this._cleanText(subtitle) : null;
+
+    const publication = this._extractField($, this.metadataSelectors.publication);
+    metadata.publication = publication ? this._cleanText(publication) : null;
+
+    return metadata;
+  }
+
+  /**
+   * Read JSON-LD and preloaded post data (must run before scripts are removed)
+   * Author and date are not read here: the base metadata resolver already
+   * takes them from JSON-LD.
+   */
+  _readPageData($) {
+    const data = {
+      subtitle: null,
+      publication: null,
+      audience: null
+    };
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        const json = JSON.parse($(el).contents().text());
+        const entries = Array.isArray(json) ? json : [json];
+
+        for (const entry of entries) {
+          if (!entry || !/(Article|BlogPosting|NewsArticle)$/.test(entry['@type'] || '')) {
+            continue;
+          }
+
+          data.subtitle = data.subtitle || entry.description || null;
+          data.publication = data.publication || entry.publisher?.name || null;
+
+          if (entry.isAccessibleForFree === false || entry.isAccessibleForFree === 'False') {
+            data.audience = 'paid';
+          } else if (entry.isAccessibleForFree === true || entry.isAccessibleForFree === 'True') {
+            data.audience = data.audience || 'free';
+          }
+        }
+      } catch (_e) {
+        // Ignore malformed JSON-LD
+      }
+    });
+
+    // The post's own preloaded state carries the audience setting (not
+    // related or embedded posts elsewhere in the page)
+    const audience = this._readPreloadedPost($)?.audience;
+    if (['everyone', 'only_free', 'only_paid', 'founding'].includes(audience)) {
+      data.audience = ['only_paid', 'founding'].includes(audience) ? 'paid' : 'free';
+    }
+
+    // Paywall markup is the final signal
+    if (!data.audience) {
+      const hasPaywall = $('.paywall, [data-testid="paywall"]').length > 0;
+      data.audience = hasPaywall ? 'paid' : 'free';
+    }
+
+    return data;
+  }
+
+  /**
+   * The `post` object of window._preloads (JSON.parse("...") or an object literal)
+   * @returns {object|null}
+   */
+  _readPreloadedPost($) {
+    let post = null;
+
+    $('script').each((i, el) => {
+      const text = $(el).contents().text();
+      const match = text.match(/window\._preloads\s*=\s*(JSON\.parse\(\s*)?/);
+      if (!match) {
+        return;
+      }
+
+      try {
+        const rest = text.slice(match.index + match[0].length);
+        let preloads;
+
+        if (match[1]) {
+          const literal = rest.match(/^"((?:[^"\\]|\\.)*)"/);
+          preloads = literal ? JSON.parse(JSON.parse(`"${literal[1]}"`)) : null;
+        } else {
+          preloads = JSON.parse(rest.slice(0, rest.lastIndexOf('}') + 1));
+        }
+
+        post = preloads?.post || null;
+      } catch (_e) {
+        // Ignore malformed preload state
+      }
+
+      return post ? false : undefined;
+    });
+
+    return post;
+  }
+
+  /**
+   * Check if post is served from a custom domain
+   */
+  _isCustomDomain(url) {
+    try {
+      const hostname = new URL(url).hostname.toLowerCase();
+      return hostname !== 'substack.com' && !hostname.endsWith('.substack.com');
+    } catch (_e) {
+      return false;
+    }
+  }
+
+  /**
+   * Render Substack footnotes as markdown footnotes
+   * Without these rules anchors collapse into bare numbers in the text
+   */
+  _setupFootnoteRules() {
+    const turndown = this.converter.turndown;
+
+    turndown.addRule('substackFootnoteAnchors', {
+      filter: (node) => {
+        return node.nodeName === 'A' && node.classList.contains('footnote-anchor');
+      },
+      replacement: (content) => `[^${content.trim()}]`
+    });
+
+    turndown.addRule('substackFootnotes', {
+      filter: (node) => {
+        return node.nodeName === 'DIV' && node.classList.contains('footnote');
+      },
+      replacement: (content, node) => {
+        const number = node.querySelector('.footnote-number')?.textContent.trim();
+        const body = node.querySelector('.footnote-content');
+
+        if (!number || !body) {
+          return content;
+        }
+
+        const text = turndown.turndown(body.innerHTML).replace(/\n+/g, ' ').trim();
+        return `\n\n[^${number}]: ${text}\n\n`;
+      }
+    });
+  }
+}
+
+export default SubstackExtractor;
@@ -2,14 +2,25 @@
  * WordPress Extractor
  * Specialized extractor for WordPress sites
  * Handles common WordPress themes and structures
+ * Uses the REST API (wp/v2) when available, otherwise scrapes rendered HTML
  */
 
 import { ArticleExtractor } from './article-extractor.js';
+import { WordPressAPI } from '../utils/wordpress-api.js';
+import { PaywalledError } from '../utils/collection-errors.js';
+import * as cheerio from 'cheerio';
 
 export class WordPressExtractor extends ArticleExtractor {
+  // Registry entry (see extractor-registry.js)
+  static platform = 'wordpress';
+  static priority = 40;
+
   constructor() {
     super('wordpress');
 
+    // REST API mode (disable with platforms.wordpress.rest_api: false)
+    this.restApi = true;
+
     // WordPress-specific content selectors (in priority order)
     this.contentSelectors = [
       '.entry-content',          // Twenty Twenty, Twenty Twenty-One
@@ -116,6 +127,143 @@ export class WordPressExtractor extends ArticleExtractor {
     return false;
   }
 
+  /**
+   * Registry detection hook
+   */
+  static detect($) {
+    return WordPressExtractor.detectWordPress($);
+  }
+
+  /**
+   * Apply platform config (selectors plus rest_api toggle)
+   */
+  applyPlatformConfig(platformConfig = {}) {
+    super.applyPlatformConfig(platformConfig);
+
+    if (platformConfig.rest_api === false) {
+      this.restApi = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * Extract article, preferring the REST API over theme markup
+   * @param {string} url - Article URL
+   * @param {string} html - HTML content
+   * @param {object} options - { source, headers, timeout, schedule, access, beforeRequest }
+   * @returns {Promise<object>} Extraction result; `fallback` ({ method, reason }) when the REST API failed
+   */
+  async extract(url, html, options = {}) {
+    const useRestApi = this.restApi && options.source?.wordpress?.rest_api !== false;
+
+    let fallback = null;
+    if (useRestApi && html && typeof html === 'string') {
+      try {
+        return await this._extractViaRestAPI(url, html, options);
+      } catch (error) {
+        // The rendered page only shows the password form
+        if (error instanceof PaywalledError) {
+          throw error;
+        }
+        fallback = { method: 'wordpress-rest-api', reason: error.message };
+      }
+    }
+
+    const extractedData = await super.extract(url, html);
+    return fallback ? { ...extractedData, fallback } : extractedData;
+  }
+
+  /**
+   * Fetch raw post content and metadata from /wp-json/wp/v2/posts
+   */
+  async _extractViaRestAPI(url, html, options = {}) {
+    const $ = cheerio.load(html);
+    const apiRoot = options.source?.wordpress?.api_url || WordPressAPI.findApiRoot($, url);
+    const api = new WordPressAPI(apiRoot, {
+      headers: options.headers,
+      timeout: options.timeout,
+      schedule: options.schedule,
+      access: options.access,
+      beforeRequest: options.beforeRequest   // robots.txt (many sites disallow /wp-json/)
+    });
+
+    const postId = this._extractPostId($);
+    const slug = this._extractSlug(url);
+
+    const post = postId
+      ? await api.getPost({ id: postId })
+      : await api.getPost({ slug });
+
+    if (!post || !post.content?.rendered) {
+      throw new Error(`No post returned for ${postId ? `id ${postId}` : `slug "${slug}"`}`);
+    }
+
+    if (post.content.protected) {
+      throw new PaywalledError('Post is password protected', { url });
+    }
+
+    const $content = cheerio.load(post.content.rendered);
+    const cleanHtml = this._cleanContent($content('body'));
+
+    const terms = (post._embedded?.['wp:term'] || []).flat();
+    const termNames = (taxonomy) => terms
+      .filter(term => term.taxonomy === taxonomy)
+      .map(term => WordPressAPI.decodeHtml(term.name));
+
+    const date = WordPressAPI.parseGmtDate(post.date_gmt);
+    const modified = WordPressAPI.parseGmtDate(post.modified_gmt);
+
+    const metadata = {
+      url: post.link || url,
+      platform: this.platform,
+      title: WordPressAPI.decodeHtml(post.title?.rendered),
+      author: post._embedded?.author?.[0]?.name || null,
+      date: date ? date.toISOString() : post.date || null,
+      updated: modified ? modified.toISOString() : post.modified || null,
+      excerpt: WordPressAPI.decodeHtml(post.excerpt?.rendered) || null,
+      categories: termNames('category'),
+      tags: termNames('post_tag'),
+      language: $('html').attr('lang') || null,
+      wordpress: {
+        version: this._extractWPVersion($),
+        theme: this._extractTheme($),
+        postId: String(post.id)
+      }
+    };
+
+    // Every populated field came from the API (see MetadataResolver for HTML pages)
+    metadata.metadata_sources = Object.fromEntries(
+      ['title', 'author', 'date', 'updated', 'excerpt', 'tags']
+        .filter(field => metadata[field] && metadata[field].length !== 0)
+        .map(field => [field, 'wordpress-rest-api'])
+    );
+    if (metadata.language) {
+      metadata.metadata_sources.language = 'meta';
+    }
+
+    return {
+      url,
+      platform: this.platform,
+      html: cleanHtml,
+      metadata: this._applyLanguage(metadata, cleanHtml),
+      extraction_method: 'wordpress-rest-api',
+      raw_html: post.content.rendered
+    };
+  }
+
+  /**
+   * Extract post slug (last path segment) from URL
+   */
+  _extractSlug(url) {
+    try {
+      const segments = new URL(url).pathname.split('/').filter(Boolean);
+      return segments.pop() || null;
+    } catch (_e) {
+      return null;
+    }
+  }
+
   /**
    * Extract WordPress-specific metadata
    */
@@ -9,6 +9,11 @@ import { YoutubeTranscript } from 'youtube-transcript';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+import { getRequestScheduler } from '../utils/request-scheduler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOWNLOAD_RULES_PATH = path.join(__dirname, '../../config/download-rules.yaml');
 
 async function extractVideoId(url) {
   const match = url.match(/(?:youtube\.com\/watch\?v=|youtu\.be\/)([^&]+)/);
@@ -19,7 +24,11 @@ async function fetchTranscript(videoId, title = '') {
   try {
     console.log(`\n📥 Fetching transcript for: ${title || videoId}`);
 
-    const transcript = await YoutubeTranscript.fetchTranscript(videoId);
+    const transcript = await getRequestScheduler().schedule(
+      `https://www.youtube.com/watch?v=${videoId}`,
+      () => YoutubeTranscript.fetchTranscript(videoId),
+      { collector: 'youtube' }
+    );
 
     if (!transcript || transcript.length === 0) {
       throw new Error('No transcript available');
@@ -89,6 +98,9 @@ async function collectAll(sourcesYaml, outputDir) {
   console.log(`📋 Sources: ${sourcesYaml}`);
   console.log(`📁 Output: ${outputDir}\n`);
 
+  // Politeness budgets (rate_limits) for the shared scheduler
+  getRequestScheduler(yaml.load(await fs.readFile(DOWNLOAD_RULES_PATH, 'utf8')));
+
   // Load sources
   const content = await fs.readFile(sourcesYaml, 'utf8');
   const data = yaml.load(content);
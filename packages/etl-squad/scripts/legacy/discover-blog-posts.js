@@ -14,6 +14,10 @@ import { BlogDiscovery } from './scripts/utils/blog-discovery.js';
 import fs from 'fs/promises';
 import yaml from 'js-yaml';
 import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOWNLOAD_RULES_PATH = path.join(__dirname, '../../config/download-rules.yaml');
 
 async function main() {
   const blogUrl = process.argv[2];
@@ -34,7 +38,8 @@ async function main() {
     // Initialize discovery
     const discovery = new BlogDiscovery({
       minPostsForFilter: 50,
-      yearsToCapture: 3
+      yearsToCapture: 3,
+      downloadRules: yaml.load(await fs.readFile(DOWNLOAD_RULES_PATH, 'utf8'))
     });
 
     // Discover posts
@@ -12,24 +12,38 @@ import TurndownService from 'turndown';
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
+import { fileURLToPath } from 'url';
+import { resolveLanguage, countWords } from '../utils/language-detector.js';
+import { serializeFrontmatter, FRONTMATTER_VERSION } from '../utils/frontmatter.js';
+import { getRequestScheduler } from '../utils/request-scheduler.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DOWNLOAD_RULES_PATH = path.join(__dirname, '../../config/download-rules.yaml');
 
 class TranscriptDownloader {
-  constructor() {
+  constructor(options = {}) {
     this.turndown = new TurndownService({
       headingStyle: 'atx',
       codeBlockStyle: 'fenced'
     });
+
+    // Shared politeness budgets (collector 'transcripts'); options.downloadRules applies rate_limits
+    this.scheduler = options.scheduler || getRequestScheduler(options.downloadRules);
+  }
+
+  async _get(url) {
+    return this.scheduler.schedule(url, () => axios.get(url, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+      }
+    }), { collector: 'transcripts' });
   }
 
   async downloadFromYTScribe(url, sourceId) {
     console.log(`\n📥 Downloading from YTScribe: ${url}`);
 
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-        }
-      });
+      const response = await this._get(url);
 
       const $ = cheerio.load(response.data);
 
@@ -59,11 +73,7 @@ class TranscriptDownloader {
     console.log(`\n📥 Downloading from HappyScribe: ${url}`);
 
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-        }
-      });
+      const response = await this._get(url);
 
       const dom = new JSDOM(response.data, { url });
       const reader = new Readability(dom.window.document);
@@ -92,11 +102,7 @@ class TranscriptDownloader {
     console.log(`\n📥 Downloading from PodScripts: ${url}`);
 
     try {
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
-        }
-      });
+      const response = await this._get(url);
 
       const dom = new JSDOM(response.data, { url });
       const reader = new Readability(dom.window.document);
@@ -192,13 +198,27 @@ class TranscriptDownloader {
 
     await fs.mkdir(outputDir, { recursive: true });
 
+    const downloadTimestamp = new Date().toISOString();
+    const { language } = resolveLanguage({ declared: sourceData.language, text: result.text });
+    const wordCount = countWords(result.text, language);
+
     // Format as markdown with metadata
-    let markdown = `# ${sourceData.title}\n\n`;
+    let markdown = serializeFrontmatter({
+      title: sourceData.title,
+      url: sourceData.url,
+      source_type: 'youtube',
+      language,
+      word_count: wordCount,
+      extracted: downloadTimestamp,
+      extraction_method: result.source,
+      frontmatter_version: FRONTMATTER_VERSION
+    }) + '\n';
+    markdown += `# ${sourceData.title}\n\n`;
     markdown += `**Source ID:** ${_sourceId}\n`;
     markdown += `**Original URL:** ${sourceData.url}\n`;
     markdown += `**Transcript Source:** ${result.source}\n`;
     markdown += `**Transcript URL:** ${result.url}\n`;
-    markdown += `**Downloaded:** ${new Date().toISOString()}\n`;
+    markdown += `**Downloaded:** ${downloadTimestamp}\n`;
     markdown += `**Layers:** ${sourceData.layers.join(', ')}\n\n`;
 
     if (sourceData.layer_8_evidence) {
@@ -218,8 +238,9 @@ class TranscriptDownloader {
       original_url: sourceData.url,
       transcript_source: result.source,
       transcript_url: result.url,
-      download_timestamp: new Date().toISOString(),
-      word_count: result.text.split(/\s+/).length,
+      download_timestamp: downloadTimestamp,
+      language,
+      word_count: wordCount,
       char_count: result.text.length
     }, null, 2), 'utf-8');
 
@@ -229,7 +250,8 @@ class TranscriptDownloader {
 
 // Main execution
 async function main() {
-  const downloader = new TranscriptDownloader();
+  const downloadRules = yaml.load(await fs.readFile(DOWNLOAD_RULES_PATH, 'utf8'));
+  const downloader = new TranscriptDownloader({ downloadRules });
 
   // Config for verified sources
   const sources = [
@@ -12,6 +12,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
 import { fileURLToPath } from 'url';
+import { resolveLanguage, countWords } from '../utils/language-detector.js';
+import { serializeFrontmatter, FRONTMATTER_VERSION } from '../utils/frontmatter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -109,12 +111,28 @@ class ManualImporter {
   }
 
   _processManualContent(rawContent, source) {
+    const importTimestamp = new Date().toISOString();
+
+    // Source config may declare the language; detection wins on clear text
+    const { language } = resolveLanguage({ declared: source.language, text: rawContent });
+    const wordCount = countWords(rawContent, language);
+
     // Format as markdown with metadata
-    let markdown = `# ${source.title}\n\n`;
+    let markdown = serializeFrontmatter({
+      title: source.title,
+      url: source.url,
+      source_type: 'manual',
+      language,
+      word_count: wordCount,
+      extracted: importTimestamp,
+      extraction_method: 'manual_import',
+      frontmatter_version: FRONTMATTER_VERSION
+    }) + '\n';
+    markdown += `# ${source.title}\n\n`;
     markdown += `**Source ID:** ${source.id}\n`;
     markdown += `**URL:** ${source.url}\n`;
     markdown += `**Collection Method:** Manual Import\n`;
-    markdown += `**Import Date:** ${new Date().toISOString()}\n`;
+    markdown += `**Import Date:** ${importTimestamp}\n`;
     markdown += `**Layers:** ${source.layers.join(', ')}\n\n`;
 
     if (source.layer_8_evidence) {
@@ -129,9 +147,10 @@ class ManualImporter {
       title: source.title,
       url: source.url,
       collection_method: 'manual_import',
-      import_timestamp: new Date().toISOString(),
+      import_timestamp: importTimestamp,
       layers: source.layers,
-      word_count: rawContent.split(/\s+/).length,
+      language,
+      word_count: wordCount,
       char_count: rawContent.length
     };
 
@@ -7,9 +7,27 @@
 import axios from 'axios';
 import fs from 'fs/promises';
 import { createReadStream, statSync } from 'fs';
+import path from 'path';
 import { EventEmitter } from 'events';
-
-const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5 MB (AssemblyAI recommendation)
+import { UploadCache, hashFile } from '../utils/upload-cache.js';
+import { RetryPolicy } from '../utils/collection-errors.js';
+import { WebhookListener } from '../utils/webhook-listener.js';
+import { TranscriptionLedger, getTranscriptionLedger } from '../utils/transcription-ledger.js';
+import { getCostLedger } from '../utils/cost-ledger.js';
+import { getTranscriptionBudget } from '../utils/transcription-budget.js';
+
+const MB = 1024 * 1024;
+const DEFAULT_UPLOAD_CACHE = path.join('.cache', 'assemblyai-uploads.json');
+const DEFAULT_WEBHOOK_TIMEOUT_SECONDS = 3600;
+const DEFAULT_LEDGER = path.join('state', 'assemblyai-jobs.json');
+const ADOPT_WINDOW_MS = 24 * 3600 * 1000;
+const DEFAULT_COST_LEDGER = path.join('state', 'assemblyai-costs.json');
+const DEFAULT_COST_WARNING = 10;
+
+export const DEFAULT_PRICE_PER_HOUR = 0.65; // USD (pricing.per_hour_audio overrides)
+
+// One listener per address, shared by every AssemblyAIMCP in the process
+const webhookListeners = new Map();
 const DEFAULT_POLL_INTERVAL = 2000;
 const MAX_POLL_INTERVAL = 10000;
 
@@ -23,8 +41,9 @@ export class AssemblyAIMCP extends EventEmitter {
       throw new Error('AssemblyAI API key required. Set ASSEMBLYAI_API_KEY environment variable.');
     }
 
-    this.baseURL = 'https://api.assemblyai.com/v2';
-    this.uploadURL = 'https://api.assemblyai.com/v2/upload';
+    // base_url points the client at a local stand-in (tests)
+    this.baseURL = (config.base_url || 'https://api.assemblyai.com/v2').replace(/\/+$/, '');
+    this.uploadURL = `${this.baseURL}/upload`;
 
     this.config = {
       language_code: 'en',
@@ -43,59 +62,113 @@ export class AssemblyAIMCP extends EventEmitter {
       }
     });
 
+    // Uploads (mcp-config.yaml: upload): retries, and a content-hash cache of upload URLs
+    const upload = this.config.upload || {};
+    this.uploadRetry = new RetryPolicy({
+      maxRetries: upload.max_retries,
+      retryDelaySeconds: upload.retry_delay_seconds
+    });
+    this.uploadCache = upload.cache === false
+      ? null
+      : new UploadCache(upload.cache_path || DEFAULT_UPLOAD_CACHE, { ttlHours: upload.cache_ttl_hours });
+
+    // Webhook completion (mcp-config.yaml: webhook); started on first transcription
+    this.webhookConfig = this.config.webhook || {};
+    this.webhook = null;
+
+    // Submitted jobs survive crashes (mcp-config.yaml: ledger); reconciled once per instance
+    this.ledger = this.config.ledger === false
+      ? null
+      : getTranscriptionLedger(this.config.ledger?.path || DEFAULT_LEDGER);
+    this.recovering = null;
+
+    // Spending (mcp-config.yaml: pricing, budgets, cost_ledger); caps are checked before upload.
+    // Ledger and budget are shared by every client in the process, so caps cover all collectors.
+    this.costLedger = getCostLedger(this.config.cost_ledger?.path || DEFAULT_COST_LEDGER);
+    this.budget = getTranscriptionBudget(this.config.budgets || {}, this.costLedger);
+
     this.totalCost = 0;
     this.transcriptionCount = 0;
-    this.jobs = new Map(); // transcript_id -> metadata
+    this.jobs = new Map(); // transcript_id -> metadata (this process)
   }
 
+  /**
+   * Client configured from the `assemblyai` entry of mcp-config.yaml
+   * @param {object} mcpConfig - MCPClient.getMCPConfig('assemblyai')
+   * @param {string} apiKey - Defaults to the env var named by config.api_key_env
+   */
+  static fromMCPConfig(mcpConfig = {}, apiKey = null) {
+    const { config = {}, pricing, upload, webhook, ledger, budgets, cost_ledger: costLedger } = mcpConfig || {};
+
+    return new AssemblyAIMCP(apiKey || process.env[config.api_key_env || 'ASSEMBLYAI_API_KEY'], {
+      ...config,
+      pricing,
+      upload,
+      webhook,
+      ledger,
+      budgets,
+      cost_ledger: costLedger
+    });
+  }
+
+  /**
+   * Upload a local audio file and return its upload_url
+   * Not resumable: AssemblyAI's upload endpoint takes the whole file as one
+   * request body and has no API to append to or resume a partial upload, so
+   * chunked upload with per-chunk retry is not possible. A failed attempt
+   * re-sends the whole file (upload_retry). Finished uploads are cached by
+   * content hash and reused instead of uploading again.
+   * @param {string} filePath - Local audio file
+   * @param {object} options - { hash: precomputed content hash, force: skip the upload cache }
+   * @returns {Promise<string>} upload_url
+   */
   async uploadAudio(filePath, options = {}) {
     this.emit('upload_start', { file: filePath });
 
     try {
-      const stats = statSync(filePath);
-      const fileSizeBytes = stats.size;
-      const fileSizeMB = (fileSizeBytes / 1024 / 1024).toFixed(2);
-      const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+      const fileSizeBytes = statSync(filePath).size;
+      const hash = options.hash || await hashFile(filePath);
+
+      const cached = options.force ? null : await this.uploadCache?.get(hash);
+      if (cached) {
+        this.emit('upload_cached', {
+          file: filePath,
+          hash,
+          url: cached.upload_url,
+          uploaded_at: cached.uploaded_at
+        });
+        return cached.upload_url;
+      }
 
       this.emit('upload_info', {
         file: filePath,
-        size_mb: fileSizeMB,
-        chunk_size_mb: (chunkSize / 1024 / 1024).toFixed(2)
+        size_mb: (fileSizeBytes / MB).toFixed(2)
       });
 
-      const stream = createReadStream(filePath, { highWaterMark: chunkSize });
-      let uploadedBytes = 0;
-      let part = 0;
-
-      for await (const chunk of stream) {
-        part += 1;
-
-        await axios.post(this.uploadURL, chunk, {
-          headers: {
-            authorization: this.apiKey,
-            'content-type': 'application/octet-stream'
-          },
-          maxContentLength: Infinity,
-          maxBodyLength: Infinity
-        });
-
-        uploadedBytes += chunk.length;
-        const progress = uploadedBytes / fileSizeBytes;
-
-        this.emit('upload_progress', {
-          file: filePath,
-          part,
-          uploaded_bytes: uploadedBytes,
-          total_bytes: fileSizeBytes,
-          progress
-        });
-      }
+      const uploadURL = await this.uploadRetry.run(
+        () => this._streamUpload(filePath, fileSizeBytes),
+        {
+          url: this.uploadURL,
+          onRetry: (error, attempt, delayMs) => {
+            this.emit('upload_retry', {
+              file: filePath,
+              attempt,
+              error: error.message,
+              retry_in_ms: delayMs
+            });
+          }
+        }
+      );
 
-      // Retrieve final upload URL
-      const uploadURL = `${this.uploadURL}/${part}`.replace(/\/\d+$/, ''); // AssemblyAI returns same endpoint
+      await this.uploadCache?.set(hash, {
+        upload_url: uploadURL,
+        file: path.resolve(filePath),
+        size_bytes: fileSizeBytes
+      });
 
       this.emit('upload_complete', {
         file: filePath,
+        hash,
         url: uploadURL
       });
 
@@ -109,31 +182,48 @@ export class AssemblyAIMCP extends EventEmitter {
     }
   }
 
-  async transcribe(audioPathOrURL, options = {}) {
-    let audioURL = audioPathOrURL;
+  /**
+   * One upload attempt: stream the whole file as a single request body
+   */
+  async _streamUpload(filePath, fileSizeBytes) {
+    const response = await axios.post(this.uploadURL, createReadStream(filePath), {
+      headers: {
+        authorization: this.apiKey,
+        'content-type': 'application/octet-stream',
+        'content-length': fileSizeBytes
+      },
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
 
-    if (!audioPathOrURL.startsWith('http')) {
-      audioURL = await this.uploadAudio(audioPathOrURL, options.upload || {});
+    if (!response.data?.upload_url) {
+      throw new Error('Upload response did not include upload_url');
     }
 
-    if (options.duration_seconds) {
-      const estimatedCost = this.estimateCost(options.duration_seconds);
-      this.emit('cost_estimate', {
-                duration_seconds: options.duration_seconds,
-                estimated_cost: estimatedCost
-      });
+    return response.data.upload_url;
+  }
 
-      if (parseFloat(estimatedCost) > (options.cost_warning_threshold || 10)) {
-        this.emit('cost_warning', {
-          cost: estimatedCost,
-          message: 'Transcription cost exceeds threshold'
-        });
-      }
-    }
+  /**
+   * Transcribe a local audio file or URL
+   * The job is written to the ledger before and after submission; a job for
+   * the same source, audio and options that already completed (or is still
+   * running) is picked up instead of being paid for again. New jobs are
+   * checked against the budget caps before anything is uploaded.
+   * @param {string} audioPathOrURL - Local file (uploaded) or audio URL
+   * @param {object} options - { source_id, mind, duration_seconds, language_code, language_detection, speakers_expected, webhook, onProgress, ... }
+   * @throws {BudgetExceededError} When a cap would be exceeded (refused or queued for approval)
+   */
+  async transcribe(audioPathOrURL, options = {}) {
+    const isURL = audioPathOrURL.startsWith('http');
+
+    await this.recover();
+
+    // language_code and language_detection are mutually exclusive; with
+    // detection the transcript's language_code reports the detected language
+    const languageDetection = !options.language_code && !!options.language_detection;
 
     const transcriptConfig = {
-      audio_url: audioURL,
-      language_code: options.language_code || this.config.language_code,
+      language_code: languageDetection ? undefined : options.language_code || this.config.language_code,
       speaker_labels: options.speaker_labels !== false,
       speakers_expected: options.speakers_expected || this.config.speakers_expected,
       punctuate: this.config.punctuate,
@@ -143,23 +233,125 @@ export class AssemblyAIMCP extends EventEmitter {
       sentiment_analysis: options.sentiment_analysis || false,
       auto_highlights: options.auto_highlights || false,
       filter_profanity: options.filter_profanity || false,
-      language_detection: options.language_detection || false
+      language_detection: languageDetection
     };
 
+    const audioHash = isURL ? `url:${audioPathOrURL}` : await hashFile(audioPathOrURL);
+    const optionsHash = TranscriptionLedger.hashOptions(transcriptConfig);
+    const jobKey = TranscriptionLedger.jobKey({ sourceId: options.source_id, audioHash, optionsHash });
+
+    const previous = await this._resumeFromLedger(jobKey, options);
+    if (previous) {
+      return previous;
+    }
+
+    const estimatedCost = this.estimateCost(options.duration_seconds || this.budget.assumedDurationSeconds);
+    if (options.duration_seconds) {
+      this.emit('cost_estimate', {
+        duration_seconds: options.duration_seconds,
+        estimated_cost: estimatedCost
+      });
+
+      const threshold = options.cost_warning_threshold || this.config.pricing?.warn_if_cost_exceeds || DEFAULT_COST_WARNING;
+      if (parseFloat(estimatedCost) > threshold) {
+        this.emit('cost_warning', {
+          cost: estimatedCost,
+          message: 'Transcription cost exceeds threshold'
+        });
+      }
+    }
+
+    try {
+      const { approved } = await this.budget.reserve({
+        key: jobKey,
+        sourceId: options.source_id,
+        mind: options.mind,
+        estimate: parseFloat(estimatedCost)
+      });
+      if (approved) {
+        this.emit('budget_approved', { source_id: options.source_id || null, estimated_cost: estimatedCost });
+      }
+    } catch (error) {
+      this.emit('budget_exceeded', {
+        source_id: options.source_id || null,
+        estimated_cost: estimatedCost,
+        exceeded: error.exceeded,
+        approval_id: error.approvalId ?? null,
+        error: error.message
+      });
+      throw error;
+    }
+
+    try {
+      return await this._submit(audioPathOrURL, { isURL, audioHash, optionsHash, jobKey, transcriptConfig, options });
+    } finally {
+      this.budget.release(jobKey);   // No-op once the charge was settled
+    }
+  }
+
+  /**
+   * Upload (local files), record in the ledger, submit and wait
+   */
+  async _submit(audioPathOrURL, { isURL, audioHash, optionsHash, jobKey, transcriptConfig, options }) {
+    const audioURL = isURL
+      ? audioPathOrURL
+      : await this.uploadAudio(audioPathOrURL, { ...options.upload, hash: audioHash });
+    transcriptConfig.audio_url = audioURL;
+
+    const webhook = await this._getWebhook(options);
+    if (webhook) {
+      transcriptConfig.webhook_url = webhook.url;
+      transcriptConfig.webhook_auth_header_name = webhook.authHeader.name;
+      transcriptConfig.webhook_auth_header_value = webhook.authHeader.value;
+    }
+
+    const publicConfig = { ...transcriptConfig, webhook_auth_header_value: undefined };
+
     this.emit('transcription_start', {
       audio_url: audioURL,
-      config: transcriptConfig
+      config: publicConfig
     });
 
-    const response = await this.client.post('/transcript', transcriptConfig);
+    // Recorded before the POST: a crash before the id is saved is matched by audio_url on recovery
+    await this.ledger?.record(jobKey, {
+      source_id: options.source_id || null,
+      mind: options.mind || null,
+      audio_hash: audioHash,
+      options_hash: optionsHash,
+      options: publicConfig,
+      audio_url: audioURL,
+      transcript_id: null,
+      status: 'submitting'
+    });
+
+    let response;
+    try {
+      response = await this.client.post('/transcript', transcriptConfig);
+    } catch (error) {
+      // Rejected with a response = never created; otherwise recovery looks for it
+      if (error.response) {
+        await this.ledger?.update(jobKey, { status: 'abandoned', error: error.message });
+      }
+      throw error;
+    }
+
     const transcriptId = response.data.id;
+    await this.ledger?.update(jobKey, { transcript_id: transcriptId, status: 'submitted' });
 
+    return this._awaitJob(jobKey, transcriptId, { audioURL, webhook, options });
+  }
+
+  /**
+   * Wait for a submitted job, then record cost and outcome
+   */
+  async _awaitJob(jobKey, transcriptId, { audioURL, webhook = null, options = {} }) {
     const job = {
       id: transcriptId,
       status: 'submitted',
       created_at: Date.now(),
       audio_url: audioURL,
       options,
+      completion: webhook ? 'webhook' : 'polling',
       polling: {
         interval: options.poll_interval || DEFAULT_POLL_INTERVAL,
         max_attempts: options.max_attempts || 300
@@ -170,13 +362,28 @@ export class AssemblyAIMCP extends EventEmitter {
 
     this.emit('transcription_submitted', {
       transcript_id: transcriptId,
+      completion: job.completion,
       polling: job.polling
     });
 
-    const transcript = await this._pollTranscript(transcriptId, options);
+    let transcript;
+    try {
+      transcript = webhook
+        ? await this._awaitWebhook(transcriptId, options)
+        : await this._pollTranscript(transcriptId, options);
+    } catch (error) {
+      // Timeouts leave the job pending in the ledger: the next run resumes it
+      if (job.cancelled || job.status === 'error') {
+        await this.ledger?.update(jobKey, { status: job.cancelled ? 'cancelled' : 'error', error: error.message });
+      }
+      throw error;
+    } finally {
+      this.jobs.delete(transcriptId);
+    }
 
+    let actualCost = null;
     if (transcript.audio_duration) {
-      const actualCost = this.estimateCost(transcript.audio_duration);
+      actualCost = this.estimateCost(transcript.audio_duration);
       this.totalCost += parseFloat(actualCost);
       this.transcriptionCount += 1;
 
@@ -188,11 +395,262 @@ export class AssemblyAIMCP extends EventEmitter {
       });
     }
 
-    this.jobs.delete(transcriptId);
+    await this.ledger?.update(jobKey, {
+      status: 'completed',
+      audio_duration: transcript.audio_duration || null,
+      cost: actualCost,
+      completed_at: new Date().toISOString()
+    });
+
+    await this._recordCharge(jobKey, transcript, options);
 
     return transcript;
   }
 
+  /**
+   * Charge a completed transcript to the cost ledger (once per transcript)
+   * The transcript is already paid for, so a ledger write failure is reported, not thrown.
+   */
+  async _recordCharge(jobKey, transcript, options = {}) {
+    if (!transcript.audio_duration) {
+      this.budget.release(jobKey);
+      return null;
+    }
+
+    try {
+      return await this.budget.settle(jobKey, {
+        transcript_id: transcript.id,
+        source_id: options.source_id || null,
+        mind: options.mind || null,
+        audio_duration: transcript.audio_duration,
+        cost: parseFloat(this.estimateCost(transcript.audio_duration))
+      });
+    } catch (error) {
+      this.emit('cost_ledger_error', { transcript_id: transcript.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Transcript from an earlier run of the same job, if any
+   * Completed: fetched without resubmitting. Still running: waited for (polling).
+   * Failed, cancelled or deleted on AssemblyAI: null (submit again).
+   */
+  async _resumeFromLedger(jobKey, options = {}) {
+    const entry = await this.ledger?.get(jobKey);
+    if (!entry?.transcript_id) {
+      return null;
+    }
+
+    if (entry.status === 'completed') {
+      try {
+        const transcript = await this.getTranscript(entry.transcript_id);
+        if (transcript.status === 'completed') {
+          this.emit('transcription_reused', {
+            transcript_id: entry.transcript_id,
+            source_id: entry.source_id,
+            submitted_at: entry.submitted_at
+          });
+
+          // Finished while the process was down: not charged yet
+          await this._recordCharge(jobKey, transcript, { ...options, mind: options.mind || entry.mind });
+          return transcript;
+        }
+      } catch (error) {
+        if (error.response?.status !== 404) throw error;
+        await this.ledger.update(jobKey, { status: 'missing' });
+      }
+      return null;
+    }
+
+    if (TranscriptionLedger.isPending(entry)) {
+      this.emit('transcription_resumed', {
+        transcript_id: entry.transcript_id,
+        source_id: entry.source_id,
+        submitted_at: entry.submitted_at
+      });
+      return this._awaitJob(jobKey, entry.transcript_id, { audioURL: entry.audio_url, options });
+    }
+
+    return null;
+  }
+
+  /**
+   * Reconcile the ledger with AssemblyAI (once per instance; transcribe() calls it)
+   * Pending entries get their current status from listTranscripts/getTranscript;
+   * entries whose id was never saved (crash right after submitting) are matched
+   * by audio_url among recent transcripts not yet in the ledger.
+   * @returns {Promise<object|null>} { checked, completed, pending, failed, adopted, abandoned }
+   */
+  recover() {
+    if (!this.ledger) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.recovering) {
+      this.recovering = this._reconcileLedger().catch(error => {
+        this.recovering = null;   // Try again on the next call
+        this.emit('ledger_recovery_error', { error: error.message });
+        return null;
+      });
+    }
+    return this.recovering;
+  }
+
+  async _reconcileLedger() {
+    const pending = await this.ledger.pending();
+    const summary = { checked: pending.length, completed: 0, pending: 0, failed: 0, adopted: 0, abandoned: 0 };
+
+    if (pending.length === 0) {
+      return summary;
+    }
+
+    const recent = await this.listTranscripts(200);
+    const byId = new Map(recent.map(transcript => [transcript.id, transcript]));
+    const recorded = new Set((await this.ledger.all()).map(entry => entry.transcript_id).filter(Boolean));
+
+    for (const entry of pending) {
+      let transcriptId = entry.transcript_id;
+
+      if (!transcriptId) {
+        const since = Date.parse(entry.submitted_at) - ADOPT_WINDOW_MS;
+        const match = recent.find(transcript =>
+          transcript.audio_url === entry.audio_url &&
+          !recorded.has(transcript.id) &&
+          !(Date.parse(transcript.created) < since)
+        );
+
+        if (!match) {
+          await this.ledger.update(entry.key, { status: 'abandoned' });
+          summary.abandoned++;
+          continue;
+        }
+
+        transcriptId = match.id;
+        recorded.add(match.id);
+        summary.adopted++;
+      }
+
+      let status = byId.get(transcriptId)?.status;
+      if (!status) {
+        try {
+          status = (await this.getTranscript(transcriptId)).status;
+        } catch (error) {
+          if (error.response?.status !== 404) throw error;
+          status = 'missing';
+        }
+      }
+
+      await this.ledger.update(entry.key, { transcript_id: transcriptId, status });
+
+      if (status === 'completed') summary.completed++;
+      else if (TranscriptionLedger.isPending({ status })) summary.pending++;
+      else summary.failed++;
+    }
+
+    this.emit('ledger_recovered', summary);
+    return summary;
+  }
+
+  /**
+   * Webhook listener for a transcription, or null to poll
+   * Enabled by webhook.enabled (per call: options.webhook). Without a public
+   * URL AssemblyAI cannot reach the local listener, so the job is polled;
+   * a listener that fails to start falls back to polling too.
+   */
+  async _getWebhook(options = {}) {
+    if (!(options.webhook ?? this.webhookConfig.enabled)) {
+      return null;
+    }
+
+    const publicUrlEnv = this.webhookConfig.public_url_env || 'ASSEMBLYAI_WEBHOOK_URL';
+    const publicUrl = this.webhookConfig.public_url || process.env[publicUrlEnv];
+    if (!publicUrl) {
+      this.emit('webhook_fallback', { reason: `no public URL (set webhook.public_url or ${publicUrlEnv})` });
+      return null;
+    }
+
+    const isNew = !this.webhook;
+
+    try {
+      if (isNew) {
+        const { host = '127.0.0.1', port = 0, path: webhookPath = 'assemblyai' } = this.webhookConfig;
+        const key = `${host}:${port}/${webhookPath}`;
+
+        if (!webhookListeners.has(key)) {
+          webhookListeners.set(key, new WebhookListener({
+            host,
+            port,
+            path: webhookPath,
+            publicUrl,
+            authHeaderName: this.webhookConfig.auth_header_name
+          }));
+        }
+        this.webhook = webhookListeners.get(key);
+      }
+
+      await this.webhook.start();
+      if (isNew) {
+        this.emit('webhook_listening', { url: this.webhook.url });
+      }
+      return this.webhook;
+    } catch (error) {
+      for (const [key, listener] of webhookListeners) {
+        if (listener === this.webhook) webhookListeners.delete(key);
+      }
+      this.webhook = null;
+      this.emit('webhook_fallback', { reason: `listener failed: ${error.message}` });
+      return null;
+    }
+  }
+
+  /**
+   * Wait for the completion callback, then fetch the transcript
+   * Falls back to polling when no callback arrives in webhook.timeout_seconds.
+   */
+  async _awaitWebhook(transcriptId, options = {}) {
+    const job = this.jobs.get(transcriptId);
+    const timeoutSeconds = options.webhook_timeout_seconds || this.webhookConfig.timeout_seconds || DEFAULT_WEBHOOK_TIMEOUT_SECONDS;
+
+    let payload;
+    try {
+      payload = await this.webhook.waitFor(transcriptId, timeoutSeconds * 1000);
+    } catch (error) {
+      if (job?.cancelled) {
+        throw new Error(`Transcription ${transcriptId} cancelled`);
+      }
+
+      this.emit('webhook_fallback', { transcript_id: transcriptId, reason: error.message });
+      if (job) job.completion = 'polling';
+      return this._pollTranscript(transcriptId, options);
+    }
+
+    this.emit('transcription_webhook', { transcript_id: transcriptId, status: payload.status });
+
+    const data = await this.getTranscript(transcriptId);
+    if (job) job.status = data.status;
+
+    if (typeof options.onProgress === 'function') {
+      options.onProgress({ status: data.status, attempt: 0, progress: null });
+    }
+
+    if (data.status === 'completed') {
+      return data;
+    }
+
+    if (data.status === 'error') {
+      const errorMessage = data.error || 'Unknown transcription error';
+      this.emit('transcription_error', {
+        transcript_id: transcriptId,
+        error: errorMessage
+      });
+      throw new Error(`Transcription failed: ${errorMessage}`);
+    }
+
+    // Callback before the transcript settled: finish by polling
+    return this._pollTranscript(transcriptId, options);
+  }
+
   async _pollTranscript(transcriptId, options = {}) {
     const job = this.jobs.get(transcriptId);
     if (!job) {
@@ -214,6 +672,7 @@ export class AssemblyAIMCP extends EventEmitter {
         const response = await this.client.get(`/transcript/${transcriptId}`);
         const data = response.data;
         const status = data.status;
+        job.status = status;
 
         if (status !== lastStatus || status === 'processing') {
           this.emit('transcription_status', {
@@ -284,6 +743,7 @@ export class AssemblyAIMCP extends EventEmitter {
     }
 
     job.cancelled = true;
+    this.webhook?.cancel(transcriptId);
 
     try {
       await this.client.delete(`/transcript/${transcriptId}`);
@@ -293,6 +753,19 @@ export class AssemblyAIMCP extends EventEmitter {
     }
   }
 
+  /**
+   * Stop the webhook listener (shared: stops it for every instance)
+   */
+  async close() {
+    if (!this.webhook) return;
+
+    for (const [key, listener] of webhookListeners) {
+      if (listener === this.webhook) webhookListeners.delete(key);
+    }
+    await this.webhook.close();
+    this.webhook = null;
+  }
+
   getJob(transcriptId) {
     return this.jobs.get(transcriptId) || null;
   }
@@ -307,16 +780,21 @@ export class AssemblyAIMCP extends EventEmitter {
     return response.data;
   }
 
-  async listTranscripts(limit = 10) {
+  /**
+   * Recent transcripts, newest first ({ id, status, audio_url, created, ... })
+   * @param {number} limit - Up to 200
+   * @param {object} filters - { status, created_on, before_id, after_id }
+   */
+  async listTranscripts(limit = 10, filters = {}) {
     const response = await this.client.get('/transcript', {
-      params: { limit }
+      params: { limit, ...filters }
     });
     return response.data.transcripts || [];
   }
 
   estimateCost(durationSeconds) {
     const hours = durationSeconds / 3600;
-    const cost = hours * 0.65;
+    const cost = hours * (this.config.pricing?.per_hour_audio ?? DEFAULT_PRICE_PER_HOUR);
     return cost.toFixed(2);
   }
 
@@ -0,0 +1,57 @@
+/**
+ * AssemblyAI Provider
+ * Cloud transcription with speaker diarization through AssemblyAIMCP
+ * (uploads, job ledger, webhooks, budget caps and cost ledger)
+ */
+
+import { TranscriptionProvider, normalizeTranscript } from './transcription-provider.js';
+import { AssemblyAIMCP, DEFAULT_PRICE_PER_HOUR } from '../mcps/assemblyai-mcp.js';
+
+export class AssemblyAIProvider extends TranscriptionProvider {
+  static provider = 'assemblyai';
+
+  constructor(config = {}) {
+    super(config);
+    this.client = null;   // Created on first use (the constructor requires the API key)
+  }
+
+  async isAvailable() {
+    return this.config.enabled !== false &&
+      Boolean(process.env[this.config.config?.api_key_env || 'ASSEMBLYAI_API_KEY']);
+  }
+
+  estimateCost(durationSeconds) {
+    return (durationSeconds / 3600) * (this.config.pricing?.per_hour_audio ?? DEFAULT_PRICE_PER_HOUR);
+  }
+
+  /**
+   * @throws {BudgetExceededError} When a budget cap refuses (or queues) the job
+   */
+  async transcribe(audioPath, options = {}) {
+    if (!this.client) {
+      this.client = AssemblyAIMCP.fromMCPConfig(this.config);
+    }
+
+    const transcript = await this.client.transcribe(audioPath, options);
+
+    return normalizeTranscript({
+      provider: this.name,
+      id: transcript.id,
+      text: transcript.text,
+      language_code: transcript.language_code,
+      audio_duration: transcript.audio_duration,
+      confidence: transcript.confidence,
+      diarization: options.speaker_labels !== false && (transcript.utterances || []).length > 0,
+      utterances: transcript.utterances,
+      words: transcript.words,
+      chapters: transcript.chapters,
+      entities: transcript.entities
+    });
+  }
+
+  async close() {
+    await this.client?.close();
+  }
+}
+
+export default AssemblyAIProvider;
@@ -0,0 +1,126 @@
+/**
+ * Transcription Provider
+ * Base class for transcription backends (AssemblyAI, local Whisper, ...)
+ *
+ * Every provider returns the same normalized transcript, which the collectors
+ * and speaker-filter.js consume:
+ *   {
+ *     provider, id, text, language_code, audio_duration (seconds), confidence (0-1),
+ *     diarization (true when speakers were detected, not assumed),
+ *     utterances: [{ speaker, start, end (ms), text, confidence, words }],
+ *     words: [{ text, start, end (ms), confidence, speaker }],
+ *     chapters, entities (only when the provider produces them)
+ *   }
+ *
+ * Subclasses declare `static provider` and implement transcribe(); they may
+ * override isAvailable() and estimateCost().
+ */
+
+import { EventEmitter } from 'events';
+
+export const DEFAULT_SPEAKER = 'A';
+
+export class TranscriptionProvider extends EventEmitter {
+  static provider = null;
+
+  /**
+   * @param {object} config - Provider entry from mcp-config.yaml (`mcps.<provider>`)
+   */
+  constructor(config = {}) {
+    super();
+    this.config = config;
+  }
+
+  get name() {
+    return this.constructor.provider;
+  }
+
+  /**
+   * Whether the provider can run here (credentials, binaries, models)
+   * @returns {Promise<boolean>}
+   */
+  async isAvailable() {
+    return this.config.enabled !== false;
+  }
+
+  /**
+   * Estimated cost in USD (0 for local providers)
+   */
+  estimateCost(_durationSeconds) {
+    return 0;
+  }
+
+  /**
+   * Transcribe a local audio file
+   * @param {string} audioPath - Local audio file
+   * @param {object} options - { source_id, mind, duration_seconds, language_code, language_detection, speakers_expected, onProgress, ... }
+   * @returns {Promise<object>} Normalized transcript
+   */
+  async transcribe(_audioPath, _options = {}) {
+    throw new Error(`Transcription provider '${this.name}' does not implement transcribe()`);
+  }
+
+  /**
+   * Release resources (listeners, processes)
+   */
+  async close() {}
+}
+
+/**
+ * Build a normalized transcript; missing text, words, durations and
+ * confidences are derived from the utterances
+ * @param {object} transcript - { provider, id, text, language_code, audio_duration, confidence, diarization, utterances, words, chapters, entities }
+ * @returns {object} Normalized transcript
+ */
+export function normalizeTranscript(transcript = {}) {
+  const utterances = (transcript.utterances || [])
+    .map(utterance => {
+      const words = (utterance.words || []).map(word => normalizeWord(word, utterance.speaker));
+      return {
+        speaker: String(utterance.speaker ?? DEFAULT_SPEAKER),
+        start: Math.round(utterance.start ?? words[0]?.start ?? 0),
+        end: Math.round(utterance.end ?? words[words.length - 1]?.end ?? 0),
+        text: (utterance.text ?? words.map(word => word.text).join(' ')).trim(),
+        confidence: utterance.confidence ?? average(words.map(word => word.confidence)),
+        words
+      };
+    })
+    .filter(utterance => utterance.text);
+
+  const words = transcript.words?.length
+    ? transcript.words.map(word => normalizeWord(word))
+    : utterances.flatMap(utterance => utterance.words);
+
+  const lastEnd = utterances.length > 0 ? utterances[utterances.length - 1].end : 0;
+
+  return {
+    provider: transcript.provider || null,
+    id: transcript.id ?? null,
+    text: transcript.text ?? utterances.map(utterance => utterance.text).join(' '),
+    language_code: transcript.language_code ?? null,
+    audio_duration: transcript.audio_duration ?? Math.round(lastEnd / 1000),
+    confidence: transcript.confidence ?? average(utterances.map(utterance => utterance.confidence)) ?? 0,
+    diarization: Boolean(transcript.diarization),
+    utterances,
+    words,
+    ...(transcript.chapters ? { chapters: transcript.chapters } : {}),
+    ...(transcript.entities ? { entities: transcript.entities } : {})
+  };
+}
+
+function normalizeWord(word, speaker = null) {
+  return {
+    text: String(word.text ?? word.word ?? '').trim(),
+    start: Math.round(word.start ?? 0),
+    end: Math.round(word.end ?? 0),
+    confidence: word.confidence ?? word.probability ?? null,
+    speaker: word.speaker ?? speaker ?? null
+  };
+}
+
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0
+    ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+    : null;
+}
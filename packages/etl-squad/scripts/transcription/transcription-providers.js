@@ -0,0 +1,171 @@
+/**
+ * Transcription Providers
+ * Registry and selection of transcription backends for the collectors
+ *
+ * Selection (mcp-config.yaml `transcription`):
+ * 1. A source's `transcription.provider` in sources.yaml always wins
+ * 2. Otherwise the default `provider`, re-routed to `budget_rules.fallback_provider` when
+ *    - the estimated cost is above `budget_rules.max_job_cost_usd`,
+ *    - the provider is unavailable (no API key, binary or model), or
+ *    - a budget cap refuses the job (BudgetExceededError)
+ *
+ * Provider config comes from `mcps.<provider>`. External providers are ES
+ * modules listed in `transcription.provider_modules`.
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { EventEmitter } from 'events';
+import { AssemblyAIProvider } from './assemblyai-provider.js';
+import { WhisperProvider } from './whisper-provider.js';
+
+const DEFAULT_PROVIDER = 'assemblyai';
+
+export const BUILTIN_PROVIDERS = [
+  AssemblyAIProvider,
+  WhisperProvider
+];
+
+export class TranscriptionProviders extends EventEmitter {
+  /**
+   * @param {object} mcpConfig - Parsed mcp-config.yaml
+   */
+  constructor(mcpConfig = {}) {
+    super();
+    this.mcpConfig = mcpConfig || {};
+    this.settings = this.mcpConfig.transcription || {};
+    this.budgetRules = this.settings.budget_rules || {};
+
+    this.classes = new Map();    // name -> TranscriptionProvider subclass
+    this.instances = new Map();  // name -> instance
+
+    for (const Provider of BUILTIN_PROVIDERS) {
+      this.register(Provider);
+    }
+  }
+
+  /**
+   * Register a provider class
+   * @param {Function} Provider - TranscriptionProvider subclass with static provider
+   */
+  register(Provider) {
+    if (!Provider.provider) {
+      throw new Error('Transcription provider must declare a static provider name');
+    }
+
+    this.classes.set(Provider.provider, Provider);
+    this.instances.delete(Provider.provider);
+    return this;
+  }
+
+  /**
+   * Register an external provider module by path
+   * Module default export (or `Provider` export) must be a TranscriptionProvider subclass
+   * @param {string} modulePath - Absolute path, or relative to process.cwd()
+   */
+  async registerModule(modulePath) {
+    const resolved = path.resolve(process.cwd(), modulePath);
+    const mod = await import(pathToFileURL(resolved).href);
+    const Provider = mod.default || mod.Provider;
+
+    if (typeof Provider !== 'function') {
+      throw new Error(`Transcription provider module ${modulePath} has no default export`);
+    }
+
+    return this.register(Provider);
+  }
+
+  /**
+   * Register all modules listed in `transcription.provider_modules`
+   */
+  async loadConfiguredModules() {
+    for (const modulePath of this.settings.provider_modules || []) {
+      await this.registerModule(modulePath);
+    }
+
+    return this;
+  }
+
+  /**
+   * Provider instance by name (configured from mcps.<name>)
+   */
+  get(name) {
+    const Provider = this.classes.get(name);
+    if (!Provider) {
+      throw new Error(`Unknown transcription provider: ${name} (registered: ${this.getProviders().join(', ')})`);
+    }
+
+    if (!this.instances.has(name)) {
+      this.instances.set(name, new Provider(this.mcpConfig.mcps?.[name] || {}));
+    }
+
+    return this.instances.get(name);
+  }
+
+  getProviders() {
+    return [...this.classes.keys()];
+  }
+
+  /**
+   * Pick the provider for a source
+   * @param {object} source - Source entry (optional `transcription.provider`)
+   * @param {object} options - { duration_seconds }
+   * @returns {Promise<object>} { provider, reason: 'source' | 'default' | 'max_job_cost' | 'unavailable' }
+   */
+  async select(source = {}, options = {}) {
+    const requested = source.transcription?.provider;
+    if (requested) {
+      return { provider: this.get(requested), reason: 'source' };
+    }
+
+    const provider = this.get(this.settings.provider || DEFAULT_PROVIDER);
+    const fallback = this.budgetRules.fallback_provider;
+    if (!fallback || fallback === provider.name) {
+      return { provider, reason: 'default' };
+    }
+
+    const maxJobCost = this.budgetRules.max_job_cost_usd ?? null;
+    if (maxJobCost !== null && options.duration_seconds && provider.estimateCost(options.duration_seconds) > maxJobCost) {
+      return { provider: this.get(fallback), reason: 'max_job_cost' };
+    }
+
+    if (!(await provider.isAvailable())) {
+      return { provider: this.get(fallback), reason: 'unavailable' };
+    }
+
+    return { provider, reason: 'default' };
+  }
+
+  /**
+   * Transcribe with the selected provider
+   * @param {string} audioPath - Local audio file
+   * @param {object} options - { source, ...provider options (source_id, mind, duration_seconds, language_code, ...) }
+   * @returns {Promise<object>} Normalized transcript (see transcription-provider.js)
+   */
+  async transcribe(audioPath, options = {}) {
+    const { source = {}, ...transcribeOptions } = options;
+    const { provider, reason } = await this.select(source, transcribeOptions);
+
+    this.emit('provider_selected', { source_id: source.id || null, provider: provider.name, reason });
+
+    try {
+      return await provider.transcribe(audioPath, transcribeOptions);
+    } catch (error) {
+      const fallback = this.budgetRules.fallback_provider;
+      if (error.category !== 'budget_exceeded' || reason === 'source' || !fallback || fallback === provider.name) {
+        throw error;
+      }
+
+      this.emit('provider_fallback', { source_id: source.id || null, from: provider.name, to: fallback, reason: error.message });
+      return this.get(fallback).transcribe(audioPath, transcribeOptions);
+    }
+  }
+
+  async close() {
+    for (const provider of this.instances.values()) {
+      await provider.close();
+    }
+  }
+}
+
+export default TranscriptionProviders;
@@ -0,0 +1,298 @@
+/**
+ * Whisper Provider
+ * Offline transcription with a local whisper.cpp or faster-whisper binary
+ *
+ * Engines (mcp-config.yaml: mcps.whisper.config.engine):
+ *   whisper.cpp      whisper-cli -m <ggml model> -ojf; audio other than WAV is
+ *                    converted to 16 kHz mono with ffmpeg first
+ *   faster-whisper   whisper-ctranslate2 --output_format json --word_timestamps True
+ *
+ * Whisper does not identify speakers. With whisper.cpp and a tinydiarize
+ * model (diarize: true) speaker turns are detected and alternate between
+ * A and B; otherwise every utterance is speaker A and `diarization` is false.
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { TranscriptionProvider, normalizeTranscript, DEFAULT_SPEAKER } from './transcription-provider.js';
+
+const execFileAsync = promisify(execFile);
+
+const ENGINES = {
+  'whisper.cpp': { command: 'whisper-cli', model: null },
+  'faster-whisper': { command: 'whisper-ctranslate2', model: 'small' }
+};
+const DEFAULT_TIMEOUT_MINUTES = 180;
+const MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+const TURN_SPEAKERS = ['A', 'B'];
+
+export class WhisperProvider extends TranscriptionProvider {
+  static provider = 'whisper';
+
+  constructor(config = {}) {
+    super(config);
+
+    const settings = config.config || {};
+    this.engine = settings.engine || 'whisper.cpp';
+    if (!ENGINES[this.engine]) {
+      throw new Error(`Unknown whisper engine: ${this.engine} (use ${Object.keys(ENGINES).join(' or ')})`);
+    }
+
+    this.settings = {
+      command: ENGINES[this.engine].command,
+      threads: Math.max(1, os.cpus().length - 1),
+      ffmpeg: 'ffmpeg',
+      diarize: false,
+      extra_args: [],
+      timeout_minutes: DEFAULT_TIMEOUT_MINUTES,
+      ...settings
+    };
+
+    // Model paths differ per machine: model_env names an env var that overrides `model`
+    this.model = (settings.model_env && process.env[settings.model_env]) || settings.model || ENGINES[this.engine].model;
+  }
+
+  /**
+   * Available when the binary is on PATH (and, for whisper.cpp, the model file exists)
+   */
+  async isAvailable() {
+    if (this.config.enabled === false || !this.model) {
+      return false;
+    }
+
+    if (!(await findExecutable(this.settings.command))) {
+      return false;
+    }
+
+    if (this.engine === 'whisper.cpp') {
+      return fs.access(this.model).then(() => true, () => false);
+    }
+
+    return true;
+  }
+
+  async transcribe(audioPath, options = {}) {
+    if (!this.model) {
+      throw new Error(`No whisper model configured (mcps.whisper.config.model or ${this.settings.model_env || 'model_env'})`);
+    }
+
+    const language = options.language_code || (options.language_detection ? 'auto' : this.settings.language || 'auto');
+    const startedAt = Date.now();
+
+    this.emit('transcription_start', { engine: this.engine, model: this.model, file: audioPath, language });
+    options.onProgress?.({ status: 'processing', attempt: 0, progress: null });
+
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-whisper-'));
+    try {
+      const result = this.engine === 'faster-whisper'
+        ? await this._runFasterWhisper(audioPath, workDir, language)
+        : await this._runWhisperCpp(audioPath, workDir, language);
+
+      const transcript = normalizeTranscript({
+        provider: this.name,
+        language_code: result.language || (language === 'auto' ? null : language),
+        audio_duration: options.duration_seconds,
+        diarization: result.diarized,
+        utterances: toUtterances(result.segments, result.diarized)
+      });
+
+      this.emit('transcription_complete', {
+        engine: this.engine,
+        duration: transcript.audio_duration,
+        elapsed_seconds: Math.round((Date.now() - startedAt) / 1000)
+      });
+      options.onProgress?.({ status: 'completed', attempt: 0, progress: null });
+
+      return transcript;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * whisper.cpp: full JSON output (segments with per-token offsets and probabilities)
+   * @returns {Promise<object>} { language, diarized, segments: [{ start, end, text, speaker, words }] }
+   */
+  async _runWhisperCpp(audioPath, workDir, language) {
+    let input = audioPath;
+    if (path.extname(audioPath).toLowerCase() !== '.wav') {
+      input = path.join(workDir, 'audio.wav');
+      await this._run(this.settings.ffmpeg, [
+        '-nostdin', '-loglevel', 'error', '-y', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', input
+      ]);
+    }
+
+    const outputBase = path.join(workDir, 'transcript');
+    await this._run(this.settings.command, [
+      '-m', this.model,
+      '-f', input,
+      '-l', language,
+      '-t', String(this.settings.threads),
+      '-ojf',
+      '-of', outputBase,
+      ...(this.settings.diarize ? ['-tdrz'] : []),
+      ...this.settings.extra_args
+    ]);
+
+    const data = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+    const diarized = Boolean(this.settings.diarize);
+    let turn = 0;
+
+    const segments = (data.transcription || []).map(segment => {
+      const speaker = segment.speaker ?? (diarized ? TURN_SPEAKERS[turn % TURN_SPEAKERS.length] : DEFAULT_SPEAKER);
+      if (segment.speaker_turn_next) turn++;
+
+      return {
+        start: segment.offsets?.from ?? 0,
+        end: segment.offsets?.to ?? 0,
+        text: segment.text,
+        speaker,
+        words: wordsFromTokens(segment.tokens)
+      };
+    });
+
+    return { language: data.result?.language || null, diarized, segments };
+  }
+
+  /**
+   * faster-whisper (whisper-ctranslate2): openai-whisper JSON, times in seconds
+   * @returns {Promise<object>} { language, diarized, segments: [{ start, end, text, speaker, words }] }
+   */
+  async _runFasterWhisper(audioPath, workDir, language) {
+    const { device, compute_type: computeType } = this.settings;
+
+    await this._run(this.settings.command, [
+      audioPath,
+      '--model', this.model,
+      '--output_format', 'json',
+      '--output_dir', workDir,
+      '--word_timestamps', 'True',
+      '--threads', String(this.settings.threads),
+      ...(language !== 'auto' ? ['--language', language] : []),
+      ...(device ? ['--device', device] : []),
+      ...(computeType ? ['--compute_type', computeType] : []),
+      ...this.settings.extra_args
+    ]);
+
+    const data = JSON.parse(await fs.readFile(path.join(workDir, `${path.parse(audioPath).name}.json`), 'utf8'));
+    const diarized = (data.segments || []).some(segment => segment.speaker);
+
+    const segments = (data.segments || []).map(segment => ({
+      start: segment.start * 1000,
+      end: segment.end * 1000,
+      text: segment.text,
+      speaker: segment.speaker ?? DEFAULT_SPEAKER,
+      words: (segment.words || []).map(word => ({
+        text: word.word,
+        start: word.start * 1000,
+        end: word.end * 1000,
+        confidence: word.probability
+      }))
+    }));
+
+    return { language: data.language || null, diarized, segments };
+  }
+
+  async _run(command, args) {
+    try {
+      return await execFileAsync(command, args, {
+        timeout: this.settings.timeout_minutes * 60 * 1000,
+        maxBuffer: MAX_OUTPUT_BYTES
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`${command} not found (install it or set mcps.whisper.config.command)`);
+      }
+      if (error.killed) {
+        throw new Error(`${command} timed out after ${this.settings.timeout_minutes} minutes`);
+      }
+      const detail = String(error.stderr || '').trim().split('\n').slice(-3).join(' ');
+      throw new Error(`${command} failed: ${detail || error.message}`);
+    }
+  }
+}
+
+/**
+ * Segments to utterances: consecutive segments of one speaker are merged
+ * when speakers are known; otherwise each segment is an utterance
+ */
+function toUtterances(segments, diarized) {
+  const utterances = [];
+
+  for (const segment of segments) {
+    const text = String(segment.text || '').trim();
+    if (!text) continue;
+
+    const previous = utterances[utterances.length - 1];
+    if (diarized && previous?.speaker === segment.speaker) {
+      previous.end = segment.end;
+      previous.text += ` ${text}`;
+      previous.words.push(...segment.words);
+      continue;
+    }
+
+    utterances.push({ speaker: segment.speaker, start: segment.start, end: segment.end, text, words: [...segment.words] });
+  }
+
+  return utterances;
+}
+
+/**
+ * whisper.cpp tokens to words: a token starting with a space starts a new word;
+ * special tokens ([_BEG_], [_TT_150], ...) are dropped
+ */
+function wordsFromTokens(tokens = []) {
+  const words = [];
+
+  for (const token of tokens) {
+    if (!token.text || token.text.startsWith('[_')) continue;
+
+    const last = words[words.length - 1];
+    if (last && !/^\s/.test(token.text)) {
+      last.text += token.text;
+      last.end = token.offsets?.to ?? last.end;
+      last.probabilities.push(token.p);
+      continue;
+    }
+
+    words.push({
+      text: token.text.trim(),
+      start: token.offsets?.from ?? 0,
+      end: token.offsets?.to ?? 0,
+      probabilities: [token.p]
+    });
+  }
+
+  return words
+    .filter(word => word.text)
+    .map(({ probabilities, ...word }) => {
+      const known = probabilities.filter(p => typeof p === 'number');
+      return { ...word, confidence: known.length > 0 ? known.reduce((sum, p) => sum + p, 0) / known.length : null };
+    });
+}
+
+/**
+ * Resolve a command on PATH (or check an explicit path)
+ * @returns {Promise<string|null>}
+ */
+async function findExecutable(command) {
+  const candidates = command.includes(path.sep) || command.includes('/')
+    ? [command]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, command));
+
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch (_error) {
+      // Not here
+    }
+  }
+
+  return null;
+}
+
+export default WhisperProvider;
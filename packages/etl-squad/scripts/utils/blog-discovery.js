@@ -12,6 +12,11 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import Parser from 'rss-parser';
+import { RobotsChecker } from './robots-parser.js';
+import { SitemapParser } from './sitemap-parser.js';
+import { RequestScheduler, getRequestScheduler } from './request-scheduler.js';
+import { WordPressAPI } from './wordpress-api.js';
+import { WordPressExtractor } from '../extractors/wordpress-extractor.js';
 
 export class BlogDiscovery {
   constructor(options = {}) {
@@ -20,9 +25,36 @@ export class BlogDiscovery {
       yearsToCapture: options.yearsToCapture || 3,
       maxRetries: options.maxRetries || 2,
       timeout: options.timeout || 30000,
-      userAgent: options.userAgent || 'AIOS-ETL-BlogDiscovery/1.0'
+      userAgent: options.userAgent || 'AIOS-ETL-BlogDiscovery/1.0',
+      useSitemap: options.useSitemap !== false,
+      maxSitemaps: options.maxSitemaps || 50,
+      maxSitemapUrls: options.maxSitemapUrls || 10000,
+      maxArchivePages: options.maxArchivePages || 100,
+      maxArchiveDepth: options.maxArchiveDepth || 20,
+      requestsPerDomainPerMinute: options.requestsPerDomainPerMinute || null,  // null: shared scheduler budgets
+      useWordPressApi: options.useWordPressApi !== false,
+      maxApiPages: options.maxApiPages || 50
     };
 
+    // Same RFC 9309 parser as WebCollector
+    this.robots = new RobotsChecker({ userAgent: this.options.userAgent });
+
+    // Same budgets as WebCollector: the process-wide scheduler unless given one
+    // (options.downloadRules applies its rate_limits; an explicit
+    // requestsPerDomainPerMinute gets a private scheduler)
+    this.scheduler = options.scheduler || (options.requestsPerDomainPerMinute
+      ? new RequestScheduler({ domain: { requestsPerMinute: options.requestsPerDomainPerMinute } })
+      : getRequestScheduler(options.downloadRules));
+
+    this.sitemapParser = new SitemapParser({
+      userAgent: this.options.userAgent,
+      timeout: this.options.timeout,
+      maxSitemaps: this.options.maxSitemaps,
+      maxUrls: this.options.maxSitemapUrls,
+      assertAllowed: (url) => this._assertAllowedByRobots(url),
+      schedule: (url, request) => this._schedule(url, request)
+    });
+
     this.rssParser = new Parser({
       customFields: {
         item: [
@@ -40,39 +72,90 @@ export class BlogDiscovery {
    * @param {Object} options - Discovery options
    * @returns {Promise<Array>} - List of post URLs to collect
    */
-  async discoverPosts(_blogUrl, options = {}) {
+  async discoverPosts(blogUrl, options = {}) {
     const _strategy = options.strategy || 'auto';
 
     try {
-      // Step 1: Try to find RSS/Atom feed
-      const feedUrl = await this._findFeed(_blogUrl);
+      const landingHtml = await this._fetchHTML(blogUrl).catch(() => null);
+
+      // Step 1: WordPress REST API lists every post with exact dates
+      if (this.options.useWordPressApi && landingHtml) {
+        const apiPosts = await this._discoverViaWordPressAPI(blogUrl, landingHtml);
+
+        if (apiPosts.length > 0) {
+          const posts = await this._filterByRobots(apiPosts);
+
+          // Apply smart rules
+          const selected = this._applySmartRules(posts);
+
+          console.log(`✅ Selected ${selected.length} posts based on smart rules`);
+          return selected;
+        }
+      }
+
+      // Step 2: Try to find RSS/Atom feed (titles, dates, featured flags)
+      const feedUrl = await this._findFeed(blogUrl, landingHtml);
+      let feedPosts = [];
 
       if (feedUrl) {
         console.log(`📡 RSS feed found: ${feedUrl}`);
-        return await this._discoverViaRSS(feedUrl, blogUrl);
+        feedPosts = await this._fetchFeedPosts(feedUrl);
       }
 
-      // Step 2: Fallback to HTML scraping
-      console.log('🔍 No RSS feed, using HTML scraping...');
-      return await this._discoverViaHTML(_blogUrl);
+      // Step 3: Sitemaps list the full post history (feeds only carry recent posts)
+      const sitemapPosts = this.options.useSitemap
+        ? await this._discoverViaSitemap(blogUrl)
+        : [];
 
-    } catch (_error) {
-      console.error(`❌ Blog discovery failed for ${_blogUrl}:`, error.message);
+      if (feedPosts.length > 0 || sitemapPosts.length > 0) {
+        const merged = this._mergePosts(feedPosts, sitemapPosts);
+        const posts = await this._filterByRobots(merged);
+
+        console.log(`📊 Total posts discovered: ${posts.length} (feed: ${feedPosts.length}, sitemap: ${sitemapPosts.length})`);
+
+        // Apply smart rules
+        const selected = this._applySmartRules(posts);
+
+        console.log(`✅ Selected ${selected.length} posts based on smart rules`);
+        return selected;
+      }
+
+      // Step 4: Fallback to HTML scraping
+      console.log('🔍 No RSS feed or sitemap, using HTML scraping...');
+      return await this._discoverViaHTML(blogUrl);
+
+    } catch (error) {
+      console.error(`❌ Blog discovery failed for ${blogUrl}:`, error.message);
       throw error;
     }
   }
 
   /**
-   * Discover posts via RSS/Atom feed (preferred method)
+   * Discover posts via RSS/Atom feed only
+   */
+  async _discoverViaRSS(feedUrl, _blogUrl) {
+    const posts = await this._filterByRobots(await this._fetchFeedPosts(feedUrl));
+
+    // Apply smart rules
+    const selected = this._applySmartRules(posts);
+
+    console.log(`✅ Selected ${selected.length} posts based on smart rules`);
+    return selected;
+  }
+
+  /**
+   * Fetch and map RSS/Atom feed items to posts
    */
-  async _discoverViaRSS(feedUrl, blogUrl) {
-    const feed = await this.rssParser.parseURL(feedUrl);
+  async _fetchFeedPosts(feedUrl) {
+    await this._assertAllowedByRobots(feedUrl);
+
+    const feed = await this._schedule(feedUrl, () => this.rssParser.parseURL(feedUrl));
     const allPosts = feed.items || [];
 
     console.log(`📊 Total posts in feed: ${allPosts.length}`);
 
     // Extract post metadata
-    const posts = allPosts.map(item => ({
+    return allPosts.map(item => ({
       url: item.link || item.guid,
       title: item.title,
       published: new Date(item.pubDate || item.isoDate),
@@ -81,6 +164,199 @@ export class BlogDiscovery {
       categories: item.categories || [],
       slug: this._extractSlugFromUrl(item.link || item.guid)
     }));
+  }
+
+  /**
+   * Discover posts via WordPress REST API (/wp-json/wp/v2/posts, 100 per page)
+   * Returns [] for non-WordPress sites or when the API is disabled
+   */
+  async _discoverViaWordPressAPI(blogUrl, landingHtml) {
+    const $ = cheerio.load(landingHtml);
+    const hasApiLink = $('link[rel="https://api.w.org/"]').length > 0;
+
+    if (!hasApiLink && !WordPressExtractor.detectWordPress($)) {
+      return [];
+    }
+
+    const api = new WordPressAPI(WordPressAPI.findApiRoot($, blogUrl), {
+      headers: { 'User-Agent': this.options.userAgent },
+      timeout: this.options.timeout,
+      beforeRequest: (url) => this._assertAllowedByRobots(url),
+      schedule: (url, request) => this._schedule(url, request)
+    });
+
+    try {
+      const wpPosts = await api.listPosts({
+        fields: 'id,link,slug,title,date_gmt,modified_gmt,sticky,categories',
+        maxPages: this.options.maxApiPages
+      });
+
+      const categoryNames = await api.getTermNames('categories').catch(() => new Map());
+
+      const posts = wpPosts.map(post => {
+        const categories = (post.categories || [])
+          .map(id => categoryNames.get(id))
+          .filter(Boolean);
+
+        return {
+          url: post.link,
+          title: WordPressAPI.decodeHtml(post.title?.rendered),
+          published: WordPressAPI.parseGmtDate(post.date_gmt),
+          lastmod: WordPressAPI.parseGmtDate(post.modified_gmt),
+          isFeatured: this._isFeatured({ categories }),
+          isSticky: !!post.sticky,
+          categories,
+          slug: post.slug || this._extractSlugFromUrl(post.link)
+        };
+      });
+
+      console.log(`🔌 WordPress REST API: ${posts.length} posts`);
+      return posts;
+
+    } catch (error) {
+      console.warn(`⚠️ WordPress REST API unavailable for ${blogUrl}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Discover posts via sitemap.xml (robots.txt Sitemap lines, then common paths)
+   * Sitemaps have no titles or publish dates; lastmod stands in for the date
+   */
+  async _discoverViaSitemap(blogUrl) {
+    try {
+      const robots = await this.robots.getRobots(blogUrl);
+      const entries = await this.sitemapParser.discover(blogUrl, robots.getSitemaps());
+
+      const posts = entries
+        .filter(entry => this._isSitemapPostUrl(entry.url, blogUrl))
+        .map(entry => {
+          const slug = this._extractSlugFromUrl(entry.url);
+
+          return {
+            url: entry.url,
+            title: this._titleFromSlug(slug),
+            published: entry.lastmod,
+            lastmod: entry.lastmod,
+            isFeatured: false,
+            isSticky: false,
+            categories: [],
+            slug
+          };
+        });
+
+      if (posts.length > 0) {
+        console.log(`🗺️  Sitemap: ${posts.length} posts (${entries.length} URLs listed)`);
+      }
+
+      return posts;
+
+    } catch (error) {
+      console.warn(`⚠️ Sitemap discovery failed for ${blogUrl}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Merge feed and sitemap posts by URL
+   * Feed entries win (real titles, publish dates, featured flags)
+   */
+  _mergePosts(feedPosts, sitemapPosts) {
+    const merged = new Map();
+
+    for (const post of feedPosts) {
+      merged.set(this._postKey(post.url), post);
+    }
+
+    for (const post of sitemapPosts) {
+      const key = this._postKey(post.url);
+      const existing = merged.get(key);
+
+      if (existing) {
+        existing.lastmod = post.lastmod;
+      } else {
+        merged.set(key, post);
+      }
+    }
+
+    return Array.from(merged.values());
+  }
+
+  /**
+   * Dedup key for a post URL (ignores protocol, www, trailing slash, query and hash)
+   */
+  _postKey(url) {
+    try {
+      const urlObj = new URL(url);
+      const host = urlObj.hostname.replace(/^www\./, '');
+      return `${host}${urlObj.pathname.replace(/\/+$/, '')}`;
+    } catch (_error) {
+      return url;
+    }
+  }
+
+  /**
+   * Dedup key for an archive page (like _postKey, but ?paged=N pages are distinct)
+   */
+  _pageKey(url) {
+    try {
+      const urlObj = new URL(url);
+      const params = new URLSearchParams(urlObj.search);
+      params.sort();
+
+      const query = params.toString();
+      return query ? `${this._postKey(url)}?${query}` : this._postKey(url);
+    } catch (_error) {
+      return url;
+    }
+  }
+
+  /**
+   * Check if a sitemap URL is a post of this blog
+   * Sitemaps list the whole site, so keep URLs under the blog path only
+   */
+  _isSitemapPostUrl(url, blogUrl) {
+    if (!this._isValidPostUrl(url, blogUrl)) return false;
+
+    try {
+      const urlObj = new URL(url);
+      const blogObj = new URL(blogUrl);
+
+      if (urlObj.hostname.replace(/^www\./, '') !== blogObj.hostname.replace(/^www\./, '')) {
+        return false;
+      }
+
+      const blogPath = blogObj.pathname.replace(/\/+$/, '');
+      const postPath = urlObj.pathname.replace(/\/+$/, '');
+
+      // Blog root itself is not a post
+      if (postPath === blogPath) return false;
+
+      return blogPath === '' || postPath.startsWith(`${blogPath}/`);
+
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * Build a readable title from a slug (sitemaps carry no titles)
+   */
+  _titleFromSlug(slug) {
+    const words = slug.replace(/[-_]+/g, ' ').trim();
+    return words ? words.charAt(0).toUpperCase() + words.slice(1) : slug;
+  }
+
+  /**
+   * Discover posts via HTML scraping (fallback)
+   * Crawls paginated and date archives so older posts are reachable
+   */
+  async _discoverViaHTML(blogUrl) {
+    let posts = await this._crawlArchive(blogUrl);
+
+    posts = await this._filterByRobots(posts);
+
+    console.log(`📊 Found ${posts.length} posts via HTML scraping`);
 
     // Apply smart rules
     const selected = this._applySmartRules(posts);
@@ -90,12 +366,69 @@ export class BlogDiscovery {
   }
 
   /**
-   * Discover posts via HTML scraping (fallback)
+   * Bounded breadth-first crawl of archive pages
+   * Follows rel="next", /page/N/, ?paged=N, "Older posts" links and date archives
    */
-  async _discoverViaHTML(_blogUrl) {
-    const html = await this._fetchHTML(_blogUrl);
-    const $ = cheerio.load(html);
+  async _crawlArchive(blogUrl) {
+    const posts = new Map();                 // post key -> post
+    const visited = new Set();               // canonical page keys
+    const queue = [{ url: blogUrl, depth: 0 }];
+    let pagesCrawled = 0;
+
+    while (queue.length > 0 && pagesCrawled < this.options.maxArchivePages) {
+      const { url, depth } = queue.shift();
+      const key = this._pageKey(url);
 
+      if (visited.has(key)) continue;
+      visited.add(key);
+
+      let html;
+      try {
+        html = await this._fetchHTML(url);
+      } catch (error) {
+        // Landing page failure is fatal, archive pages are best effort
+        if (depth === 0) throw error;
+        console.warn(`⚠️ Skipping archive page ${url}: ${error.message}`);
+        continue;
+      }
+
+      pagesCrawled++;
+      const $ = cheerio.load(html);
+
+      // Different URL, same page (e.g. /page/1/ canonicalizing to the blog root)
+      const canonicalKey = this._pageKey(this._canonicalUrl($, url));
+      if (canonicalKey !== key) {
+        if (visited.has(canonicalKey)) continue;
+        visited.add(canonicalKey);
+      }
+
+      for (const post of this._extractPostsFromPage($, url, blogUrl)) {
+        const postKey = this._postKey(post.url);
+        if (!posts.has(postKey)) {
+          posts.set(postKey, post);
+        }
+      }
+
+      if (depth >= this.options.maxArchiveDepth) continue;
+
+      for (const nextUrl of this._findArchiveLinks($, url, blogUrl)) {
+        if (!visited.has(this._pageKey(nextUrl))) {
+          queue.push({ url: nextUrl, depth: depth + 1 });
+        }
+      }
+    }
+
+    if (pagesCrawled > 1) {
+      console.log(`📚 Crawled ${pagesCrawled} archive pages`);
+    }
+
+    return Array.from(posts.values());
+  }
+
+  /**
+   * Extract post links from a listing page
+   */
+  _extractPostsFromPage($, pageUrl, blogUrl) {
     const posts = [];
 
     // Common blog post selectors
@@ -110,20 +443,27 @@ export class BlogDiscovery {
       '[class*="post"] a[href]'
     ];
 
+    // Posts listed on a date archive are at least as old as the archive period
+    const archiveDate = this._inferDateFromUrl(pageUrl, { archive: true });
+
     for (const selector of selectors) {
       $(selector).each((i, elem) => {
         const url = $(elem).attr('href');
         const title = $(elem).text().trim();
 
         if (url && title && this._isValidPostUrl(url, blogUrl)) {
-          const absoluteUrl = this._makeAbsolute(url, blogUrl);
+          const absoluteUrl = this._makeAbsolute(url, pageUrl);
+
+          if (this._isArchiveUrl(absoluteUrl)) return;
 
           // Check if already added
           if (!posts.find(p => p.url === absoluteUrl)) {
             posts.push({
               url: absoluteUrl,
               title,
-              published: null, // Unknown from HTML
+              published: this._detectDateFromHTML($, elem) ||
+                this._inferDateFromUrl(absoluteUrl) ||
+                archiveDate,
               isFeatured: this._detectFeaturedFromHTML($, elem),
               isSticky: false,
               categories: [],
@@ -136,13 +476,114 @@ export class BlogDiscovery {
       if (posts.length > 0) break; // Found posts with this selector
     }
 
-    console.log(`📊 Found ${posts.length} posts via HTML scraping`);
+    return posts;
+  }
 
-    // Apply smart rules
-    const selected = this._applySmartRules(posts);
+  /**
+   * Find pagination and date archive links on a page
+   */
+  _findArchiveLinks($, pageUrl, blogUrl) {
+    const links = new Set();
+    const blogHost = new URL(blogUrl).hostname.replace(/^www\./, '');
 
-    console.log(`✅ Selected ${selected.length} posts based on smart rules`);
-    return selected;
+    const add = (href) => {
+      if (!href) return;
+
+      try {
+        const absoluteUrl = new URL(href, pageUrl);
+        absoluteUrl.hash = '';
+
+        if (absoluteUrl.hostname.replace(/^www\./, '') === blogHost) {
+          links.add(absoluteUrl.href);
+        }
+      } catch (_error) {
+        // Invalid href
+      }
+    };
+
+    // Explicit pagination
+    $('link[rel~="next"], a[rel~="next"]').each((i, el) => add($(el).attr('href')));
+
+    // WordPress/theme navigation ("Older posts" lives in .nav-previous)
+    $('.nav-previous a, .next.page-numbers, .pagination a, .page-numbers a, .older-posts a, a.older-posts')
+      .each((i, el) => add($(el).attr('href')));
+
+    $('a[href]').each((i, el) => {
+      const href = $(el).attr('href');
+      const text = $(el).text().trim();
+
+      if (/older (posts|entries)|previous (posts|entries)|next page|more posts/i.test(text) ||
+          this._isArchiveUrl(this._makeAbsoluteSafe(href, pageUrl))) {
+        add(href);
+      }
+    });
+
+    return Array.from(links);
+  }
+
+  /**
+   * Check if URL is a pagination or date archive page
+   */
+  _isArchiveUrl(url) {
+    if (!url) return false;
+
+    try {
+      const urlObj = new URL(url);
+
+      return /\/page\/\d+\/?$/.test(urlObj.pathname) ||
+        /^\d+$/.test(urlObj.searchParams.get('paged') || '') ||
+        /^\d+$/.test(urlObj.searchParams.get('page') || '') ||
+        /\/\d{4}(\/\d{2}){0,2}\/?$/.test(urlObj.pathname);
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  /**
+   * Canonical URL declared by a page (falls back to the fetched URL)
+   */
+  _canonicalUrl($, pageUrl) {
+    const canonical = $('link[rel="canonical"]').attr('href');
+    return canonical ? this._makeAbsoluteSafe(canonical, pageUrl) || pageUrl : pageUrl;
+  }
+
+  /**
+   * Read a post date from the listing markup around a link
+   */
+  _detectDateFromHTML($, elem) {
+    const datetime = $(elem).closest('article, .post, .entry').find('time[datetime]').first().attr('datetime');
+    if (!datetime) return null;
+
+    const date = new Date(datetime);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Infer date from /YYYY/MM/(DD/) URL segments
+   * @param {object} options - { archive: true } to accept archive URLs ending at the date
+   */
+  _inferDateFromUrl(url, options = {}) {
+    try {
+      const pathname = new URL(url).pathname;
+      const pattern = options.archive
+        ? /\/(\d{4})(?:\/(\d{2}))?(?:\/(\d{2}))?(?:\/page\/\d+)?\/?$/
+        : /\/(\d{4})\/(\d{2})(?:\/(\d{2}))?\/[^/]+/;
+      const match = pathname.match(pattern);
+
+      if (!match) return null;
+
+      const year = parseInt(match[1]);
+      const month = match[2] ? parseInt(match[2]) - 1 : 0;
+      const day = match[3] ? parseInt(match[3]) : 1;
+
+      if (year < 1990 || year > new Date().getFullYear() + 1 || month > 11 || day > 31) {
+        return null;
+      }
+
+      return new Date(Date.UTC(year, month, day));
+    } catch (_error) {
+      return null;
+    }
   }
 
   /**
@@ -181,9 +622,9 @@ export class BlogDiscovery {
   /**
    * Find RSS/Atom feed URL
    */
-  async _findFeed(_blogUrl) {
+  async _findFeed(blogUrl, landingHtml = null) {
     try {
-      const html = await this._fetchHTML(_blogUrl);
+      const html = landingHtml || await this._fetchHTML(blogUrl);
       const $ = cheerio.load(html);
 
       // Try standard feed autodiscovery
@@ -213,7 +654,11 @@ export class BlogDiscovery {
         const feedUrl = new URL(feedPath, blogUrl).href;
 
         try {
-          await axios.head(feedUrl, { timeout: 5000 });
+          await this._assertAllowedByRobots(feedUrl);
+          await this._schedule(feedUrl, () => axios.head(feedUrl, {
+            headers: { 'User-Agent': this.options.userAgent },
+            timeout: 5000
+          }));
           return feedUrl;
         } catch (_error) {
           // Feed doesn't exist, try next
@@ -223,11 +668,58 @@ export class BlogDiscovery {
       return null;
 
     } catch (_error) {
-      console.warn(`⚠️ Could not find RSS feed for ${_blogUrl}`);
+      console.warn(`⚠️ Could not find RSS feed for ${blogUrl}`);
       return null;
     }
   }
 
+  /**
+   * Throw if robots.txt disallows fetching URL (applies its Crawl-delay to the host)
+   */
+  async _assertAllowedByRobots(url) {
+    const decision = await this.robots.check(url);
+
+    if (!decision.allowed) {
+      const rule = decision.rule ? ` (${decision.rule.directive}: ${decision.rule.pattern})` : '';
+      throw new Error(`Blocked by robots.txt${rule}: ${url}`);
+    }
+
+    this.scheduler.setCrawlDelay(url, decision.crawl_delay);
+    return decision;
+  }
+
+  /**
+   * Run a request through the shared scheduler (collector 'discovery')
+   */
+  _schedule(url, request) {
+    return this.scheduler.schedule(url, request, { collector: 'discovery' });
+  }
+
+  /**
+   * Drop discovered posts that robots.txt disallows
+   */
+  async _filterByRobots(posts) {
+    const allowed = [];
+
+    for (const post of posts) {
+      try {
+        const decision = await this.robots.check(post.url);
+        if (decision.allowed) {
+          allowed.push(post);
+        }
+      } catch (_error) {
+        // Invalid post URL, nothing to collect
+      }
+    }
+
+    const blocked = posts.length - allowed.length;
+    if (blocked > 0) {
+      console.log(`🤖 Skipped ${blocked} posts disallowed by robots.txt`);
+    }
+
+    return allowed;
+  }
+
   /**
    * Check if post is featured
    */
@@ -334,25 +826,38 @@ export class BlogDiscovery {
     return new URL(url, baseUrl).href;
   }
 
+  /**
+   * Make URL absolute, returning null for invalid hrefs
+   */
+  _makeAbsoluteSafe(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (_error) {
+      return null;
+    }
+  }
+
   /**
    * Fetch HTML with retry
    */
   async _fetchHTML(url) {
+    await this._assertAllowedByRobots(url);
+
     let lastError;
 
     for (let attempt = 1; attempt <= this.options.maxRetries; attempt++) {
       try {
-        const response = await axios.get(url, {
+        const response = await this._schedule(url, () => axios.get(url, {
           headers: {
             'User-Agent': this.options.userAgent,
             'Accept': 'text/html,application/xhtml+xml'
           },
           timeout: this.options.timeout
-        });
+        }));
 
         return response.data;
 
-      } catch (_error) {
+      } catch (error) {
         lastError = error;
 
         if (attempt < this.options.maxRetries) {
@@ -0,0 +1,114 @@
+/**
+ * Canonical URL - Resolve the canonical address of an article
+ *
+ * Order: <link rel="canonical">, og:url, final URL after redirects, request URL.
+ * Tracking parameters (utm_*, fbclid, Substack ?r=, Medium ?source=, ...) are
+ * stripped from every candidate so share links and feed links compare equal.
+ */
+
+// Removed on every host
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'twclid', 'li_fat_id',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src', 'ref_url',
+  'trk', 'trkCampaign', 'spm', 'cmpid'
+];
+
+const TRACKING_PREFIXES = ['utm_', 'pk_', 'mtm_'];
+
+// Removed on specific platforms (hostname suffix -> params)
+const PLATFORM_TRACKING_PARAMS = {
+  'medium.com': ['source', 'gi', 'sk_campaign', 'postPublishedType', 'triedRedirect'],
+  'substack.com': ['r', 's', 'showWelcome', 'publication_id', 'post_id', 'isFreemail', 'triedRedirect']
+};
+
+/**
+ * Remove tracking parameters and the fragment from a URL
+ * @param {string} url - Absolute URL
+ * @param {object} options - { extraParams: additional names to strip }
+ * @returns {string} Cleaned URL (input unchanged if not a valid URL)
+ * @example
+ * stripTrackingParams('https://x.substack.com/p/post?r=abc&utm_medium=email#footnote-1')
+ * // Returns: 'https://x.substack.com/p/post'
+ */
+export function stripTrackingParams(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_error) {
+    return url;
+  }
+
+  const hostname = parsed.hostname.toLowerCase();
+  const platformParams = Object.entries(PLATFORM_TRACKING_PARAMS)
+    .filter(([suffix]) => hostname === suffix || hostname.endsWith(`.${suffix}`))
+    .flatMap(([, params]) => params);
+
+  const strip = new Set([...TRACKING_PARAMS, ...platformParams, ...(options.extraParams || [])]);
+
+  for (const key of [...parsed.searchParams.keys()]) {
+    if (strip.has(key) || TRACKING_PREFIXES.some(prefix => key.toLowerCase().startsWith(prefix))) {
+      parsed.searchParams.delete(key);
+    }
+  }
+
+  parsed.hash = '';
+  return parsed.href;
+}
+
+/**
+ * Resolve canonical URL of a fetched page
+ * @param {object} page - { requestUrl, finalUrl, $ } ($ = Cheerio instance of the raw page)
+ * @param {object} options - { extraParams }
+ * @returns {object} { url, source: 'link'|'og:url'|'redirect'|'request' }
+ */
+export function resolveCanonicalUrl({ requestUrl, finalUrl = null, $ = null }, options = {}) {
+  const base = finalUrl || requestUrl;
+  const candidates = [];
+
+  if ($) {
+    candidates.push(['link', $('link[rel="canonical"]').first().attr('href')]);
+    candidates.push(['og:url', $('meta[property="og:url"]').first().attr('content')]);
+  }
+
+  if (finalUrl && finalUrl !== requestUrl) {
+    candidates.push(['redirect', finalUrl]);
+  }
+
+  for (const [source, href] of candidates) {
+    const absolute = toHttpUrl(href, base);
+    if (absolute) {
+      return { url: stripTrackingParams(absolute, options), source };
+    }
+  }
+
+  return { url: stripTrackingParams(requestUrl, options), source: 'request' };
+}
+
+/**
+ * Comparison key for URLs (scheme, www., trailing slash and case of host ignored)
+ * @example
+ * canonicalKey('https://www.Example.com/post/') === canonicalKey('http://example.com/post')
+ */
+export function canonicalKey(url) {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+    parsed.searchParams.sort();
+    const query = parsed.searchParams.toString();
+    return `${host}${pathname}${query ? `?${query}` : ''}`;
+  } catch (_error) {
+    return String(url);
+  }
+}
+
+function toHttpUrl(href, base) {
+  if (!href || !href.trim()) return null;
+
+  try {
+    const url = new URL(href.trim(), base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch (_error) {
+    return null;
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Collection Errors - Typed failures and the retry policy for collectors
+ *
+ * Every failure is classified into a category with a retryable flag, so
+ * retries are only spent on transient problems (timeouts, network errors,
+ * rate limits) and the run report can group failures by category.
+ *
+ *   category           retryable   typical cause
+ *   not_found          no          404/410
+ *   forbidden          no          401/403
+ *   rate_limited       yes         429 (retryAfterMs from Retry-After)
+ *   paywalled          no          402, password-protected posts
+ *   robots_blocked     no          robots.txt Disallow
+ *   extraction_failed  no          page fetched but no article content
+ *   timeout            yes         request timed out
+ *   network            yes         DNS/connection errors, 5xx responses
+ *   budget_exceeded    no          transcription would exceed a budget cap
+ *   unknown            no          anything else
+ */
+
+import { parseRetryAfter } from './request-scheduler.js';
+
+const TIMEOUT_CODES = new Set(['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT']);
+const NETWORK_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT'
+]);
+
+const DEFAULT_POLICY = {
+  maxRetries: 3,
+  retryDelaySeconds: 5,
+  exponentialBackoff: true,
+  maxDelaySeconds: 300
+};
+
+export class CollectionError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options - { category, retryable, status, url, attempts, cause }
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.category = options.category || 'unknown';
+    this.retryable = options.retryable ?? false;
+    this.status = options.status ?? null;
+    this.url = options.url || null;
+    this.attempts = options.attempts ?? null;   // Set once a RetryPolicy gave up
+  }
+
+  /**
+   * Plain fields for collection results and reports
+   */
+  toJSON() {
+    return {
+      error: this.message,
+      error_category: this.category,
+      retryable: this.retryable,
+      http_status: this.status,
+      attempts: this.attempts
+    };
+  }
+}
+
+export class NotFoundError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'not_found', retryable: false });
+  }
+}
+
+export class ForbiddenError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'forbidden', retryable: false });
+  }
+}
+
+export class RateLimitedError extends CollectionError {
+  /**
+   * @param {object} options - { retryAfterMs, ... }
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'rate_limited', retryable: true });
+    this.retryAfterMs = options.retryAfterMs ?? null;
+  }
+}
+
+export class PaywalledError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'paywalled', retryable: false });
+  }
+}
+
+export class RobotsBlockedError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'robots_blocked', retryable: false });
+  }
+}
+
+export class ExtractionFailedError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'extraction_failed', retryable: false });
+  }
+}
+
+export class TimeoutError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'timeout', retryable: true });
+  }
+}
+
+export class NetworkError extends CollectionError {
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'network', retryable: true });
+  }
+}
+
+export class BudgetExceededError extends CollectionError {
+  /**
+   * @param {object} options - { exceeded: [{ cap, limit, spent, estimate }], approvalId, ... }
+   *   approvalId is set when the job was queued for approval instead of refused
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, category: 'budget_exceeded', retryable: false });
+    this.exceeded = options.exceeded || [];
+    this.approvalId = options.approvalId ?? null;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), exceeded: this.exceeded, approval_id: this.approvalId };
+  }
+}
+
+/**
+ * Classify any error (axios errors by status/code); CollectionErrors pass through
+ * @param {Error} error
+ * @param {object} context - { url }
+ * @returns {CollectionError}
+ */
+export function classifyError(error, context = {}) {
+  if (error instanceof CollectionError) {
+    return error;
+  }
+
+  const message = error?.message || String(error);
+  const options = { url: context.url || error?.config?.url || null, cause: error };
+  const status = error?.response?.status;
+
+  if (status) {
+    const withStatus = { ...options, status };
+    const label = `HTTP ${status}${options.url ? ` for ${options.url}` : ''}`;
+
+    if (status === 404 || status === 410) return new NotFoundError(label, withStatus);
+    if (status === 401 || status === 403) return new ForbiddenError(label, withStatus);
+    if (status === 402) return new PaywalledError(label, withStatus);
+    if (status === 429) {
+      const retryAfter = error.response.headers?.['retry-after'] ?? error.response.headers?.get?.('retry-after');
+      return new RateLimitedError(label, { ...withStatus, retryAfterMs: parseRetryAfter(retryAfter) });
+    }
+    if (status === 408 || status === 504) return new TimeoutError(label, withStatus);
+    if (status >= 500) return new NetworkError(label, withStatus);
+
+    return new CollectionError(label, withStatus);
+  }
+
+  if (TIMEOUT_CODES.has(error?.code) || error?.name === 'TimeoutError') {
+    return new TimeoutError(message, options);
+  }
+
+  if (NETWORK_CODES.has(error?.code) || error?.request) {
+    return new NetworkError(message, options);
+  }
+
+  return new CollectionError(message, options);
+}
+
+/**
+ * Rebuild a typed error from a failed collection result ({ error, error_category, retryable, http_status, attempts })
+ */
+export function errorFromResult(result = {}) {
+  return new CollectionError(result.error || 'Unknown error', {
+    category: result.error_category,
+    retryable: result.retryable,
+    status: result.http_status,
+    attempts: result.attempts
+  });
+}
+
+/**
+ * Whether a task-level retry is worthwhile
+ * Typed non-retryable failures (404, robots, paywall) and errors whose
+ * RetryPolicy already ran out are final; unclassified errors may be retried.
+ */
+export function isWorthRetrying(error) {
+  if (error.attempts) return false;
+  return error.category === 'unknown' || error.retryable;
+}
+
+/**
+ * Retry policy from download-rules.yaml (`errors`)
+ */
+export class RetryPolicy {
+  /**
+   * @param {object} options - { maxRetries, retryDelaySeconds, exponentialBackoff, maxDelaySeconds }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_POLICY };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null) {
+        this.options[key] = value;
+      }
+    }
+  }
+
+  static fromDownloadRules(downloadRules = {}) {
+    const config = downloadRules.errors || {};
+
+    return new RetryPolicy({
+      maxRetries: config.max_retries,
+      retryDelaySeconds: config.retry_delay_seconds,
+      exponentialBackoff: config.exponential_backoff,
+      maxDelaySeconds: config.max_retry_delay_seconds
+    });
+  }
+
+  /**
+   * Whether to retry after a failed attempt
+   * @param {CollectionError} error
+   * @param {number} attempt - Attempts made so far (1-based)
+   */
+  shouldRetry(error, attempt) {
+    return error.retryable && attempt <= this.options.maxRetries;
+  }
+
+  /**
+   * Delay before the next attempt (Retry-After wins when longer)
+   * @returns {number} ms
+   */
+  delayFor(error, attempt) {
+    const { retryDelaySeconds, exponentialBackoff, maxDelaySeconds } = this.options;
+    const seconds = exponentialBackoff ? retryDelaySeconds * Math.pow(2, attempt - 1) : retryDelaySeconds;
+    const delayMs = Math.min(seconds, maxDelaySeconds) * 1000;
+
+    return Math.max(delayMs, Math.min(error.retryAfterMs || 0, maxDelaySeconds * 1000));
+  }
+
+  /**
+   * Run fn until it succeeds, fails with a non-retryable error or retries run out
+   * @param {Function} fn - async (attempt) => result
+   * @param {object} options - { url, onRetry: (error, attempt, delayMs) => void }
+   * @returns {Promise<*>} fn() result
+   * @throws {CollectionError}
+   */
+  async run(fn, options = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (rawError) {
+        const error = classifyError(rawError, { url: options.url });
+
+        if (!this.shouldRetry(error, attempt)) {
+          if (error.retryable) error.attempts = attempt;
+          throw error;
+        }
+
+        const delayMs = this.delayFor(error, attempt);
+        options.onRetry?.(error, attempt, delayMs);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+}
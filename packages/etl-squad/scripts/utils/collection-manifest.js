@@ -0,0 +1,326 @@
+/**
+ * Collection Manifest - Content hashes and revisions for collected artifacts
+ *
+ * One JSON file per output directory, keyed by source id:
+ *   { source_id, source_url, output_path, content_hash, revision, revisions[] }
+ *
+ * On re-run, unchanged content is not rewritten; changed content becomes a
+ * new revision and the previous file is kept under .revisions/.
+ * Paths are stored relative to the output directory, and an entry's
+ * output_path is the source id -> file mapping re-runs reuse.
+ *
+ * Sources found to duplicate another artifact (syndicated copies) get an
+ * entry with duplicate_of instead of a file of their own.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+const MANIFEST_VERSION = 1;
+const VOLATILE_FIELD_PATTERN = /^extracted:.*$/m;
+
+export class CollectionManifest {
+  /**
+   * @param {string} outputDir - Collection output directory
+   * @param {string} fileName - Manifest file name inside outputDir
+   */
+  constructor(outputDir, fileName = '.manifest.json') {
+    this.outputDir = outputDir;
+    this.manifestPath = path.join(outputDir, fileName);
+    this.entries = null;
+    this.reservations = new Map(); // relative path -> key (paths claimed this run)
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Hash artifact content, ignoring the per-run extraction timestamp
+   * @param {string} content - Markdown with optional YAML frontmatter
+   * @returns {string} 'sha256:<hex>'
+   */
+  static hashContent(content) {
+    const body = String(content).replace(VOLATILE_FIELD_PATTERN, '').trim();
+    return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+  }
+
+  /**
+   * Load manifest from disk (once)
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = this._read();
+    }
+
+    await this.loading;
+    return this;
+  }
+
+  /**
+   * Get entry for a source
+   * @param {string} key - Source id
+   * @returns {object|null} Entry with absolute output_path
+   */
+  get(key) {
+    const entry = this.entries?.[key];
+    if (!entry) return null;
+
+    // Duplicates point at their primary's file
+    const outputPath = entry.duplicate_of ? this.entries[entry.duplicate_of]?.output_path : entry.output_path;
+    return { ...entry, output_path: outputPath ? this._absolute(outputPath) : null };
+  }
+
+  /**
+   * Artifacts with a file of their own, oldest first
+   * @returns {Array<[string, object]>} [key, entry] pairs
+   */
+  primaries() {
+    return Object.entries(this.entries || {})
+      .filter(([, entry]) => !entry.duplicate_of && entry.output_path)
+      .sort(([, a], [, b]) => String(a.first_collected).localeCompare(String(b.first_collected)));
+  }
+
+  /**
+   * Claim the first candidate path not owned by another source
+   * Synchronous so concurrent collections cannot pick the same file
+   * @param {string} key - Source id
+   * @param {Iterable<string>} candidates - Absolute paths in order of preference
+   * @returns {string|null} Claimed absolute path
+   */
+  reservePath(key, candidates) {
+    for (const candidate of candidates) {
+      const relative = this._relative(candidate);
+      const owner = this.getOwner(candidate);
+
+      if (owner === null || owner === key) {
+        this.reservations.set(relative, key);
+        return candidate;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Source id that owns a path (recorded or reserved this run), or null
+   */
+  getOwner(filePath) {
+    const relative = this._relative(filePath);
+
+    if (this.reservations.has(relative)) {
+      return this.reservations.get(relative);
+    }
+
+    for (const [key, entry] of Object.entries(this.entries || {})) {
+      if (entry.output_path === relative) {
+        return key;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Write artifact unless content is unchanged, keeping the previous revision
+   * @param {string} key - Source id
+   * @param {object} artifact - { sourceUrl, outputPath, content, platform, canonicalUrl, signature }
+   * @returns {Promise<object>} { change: 'added'|'changed'|'unchanged', output_path, content_hash, revision, previous_revision_path }
+   */
+  async writeArtifact(key, { sourceUrl, outputPath, content, platform = null, canonicalUrl = null, signature = null }) {
+    await this.load();
+
+    const now = new Date().toISOString();
+    const contentHash = CollectionManifest.hashContent(content);
+    const linked = this.entries[key]?.duplicate_of ? this.entries[key] : null;
+    const previous = linked ? null : this.entries[key] || null;
+    const dedupe = { canonical_url: canonicalUrl, minhash: signature };
+
+    if (previous && previous.content_hash === contentHash) {
+      const existingPath = this._absolute(previous.output_path);
+
+      // Output deleted by hand: restore it, content is still the same revision
+      if (!(await this._exists(existingPath))) {
+        await this._writeFile(existingPath, content);
+      }
+
+      this.entries[key] = { ...previous, ...dedupe, source_url: sourceUrl, last_checked: now };
+      await this.save();
+
+      return {
+        change: 'unchanged',
+        output_path: existingPath,
+        content_hash: contentHash,
+        revision: previous.revision,
+        previous_revision_path: null
+      };
+    }
+
+    let previousRevisionPath = null;
+    const revisions = previous?.revisions ? [...previous.revisions] : [];
+
+    if (previous) {
+      previousRevisionPath = await this._archiveRevision(previous);
+
+      if (previousRevisionPath) {
+        revisions.push({
+          revision: previous.revision,
+          content_hash: previous.content_hash,
+          path: this._relative(previousRevisionPath),
+          collected_at: previous.last_changed
+        });
+      }
+    }
+
+    await this._writeFile(outputPath, content);
+
+    this.entries[key] = {
+      source_id: key,
+      source_url: sourceUrl,
+      platform,
+      output_path: this._relative(outputPath),
+      content_hash: contentHash,
+      ...dedupe,
+      revision: previous ? previous.revision + 1 : 1,
+      revisions,
+      first_collected: previous?.first_collected || linked?.first_collected || now,
+      last_changed: now,
+      last_checked: now
+    };
+    await this.save();
+
+    return {
+      change: previous ? 'changed' : 'added',
+      output_path: outputPath,
+      content_hash: contentHash,
+      revision: this.entries[key].revision,
+      previous_revision_path: previousRevisionPath
+    };
+  }
+
+  /**
+   * Record a source as a duplicate of another artifact (no file of its own)
+   * A file this source had before (collected as independent) is moved to .revisions/
+   * @param {string} key - Source id
+   * @param {object} link - { sourceUrl, primaryKey, similarity, match, canonicalUrl }
+   * @returns {Promise<object>} { output_path (primary's file, null if not written yet), previous_revision_path }
+   */
+  async linkDuplicate(key, { sourceUrl, primaryKey, similarity = null, match = null, canonicalUrl = null }) {
+    await this.load();
+
+    const now = new Date().toISOString();
+    const previous = this.entries[key] || null;
+    const previousRevisionPath = previous && !previous.duplicate_of && previous.output_path
+      ? await this._archiveRevision(previous)
+      : null;
+
+    this.entries[key] = {
+      source_id: key,
+      source_url: sourceUrl,
+      canonical_url: canonicalUrl,
+      duplicate_of: primaryKey,
+      similarity,
+      match,
+      first_collected: previous?.first_collected || now,
+      last_checked: now
+    };
+    await this.save();
+
+    return {
+      output_path: this.get(key).output_path,
+      previous_revision_path: previousRevisionPath
+    };
+  }
+
+  /**
+   * Sources recorded as duplicates of an artifact
+   * @returns {Array<object>} Duplicate entries
+   */
+  getDuplicates(primaryKey) {
+    return Object.values(this.entries || {}).filter(entry => entry.duplicate_of === primaryKey);
+  }
+
+  /**
+   * Record that a source was revalidated without refetching (HTTP 304)
+   */
+  async touch(key) {
+    await this.load();
+
+    if (this.entries[key]) {
+      this.entries[key].last_checked = new Date().toISOString();
+      await this.save();
+    }
+  }
+
+  /**
+   * Persist manifest (writes are serialized; write-then-rename)
+   */
+  async save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(this.outputDir, { recursive: true });
+
+      const data = {
+        version: MANIFEST_VERSION,
+        updated_at: new Date().toISOString(),
+        entries: this.entries
+      };
+
+      const tempPath = `${this.manifestPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+      await fs.rename(tempPath, this.manifestPath);
+    });
+
+    return this.saving;
+  }
+
+  /**
+   * Move the current file of an entry to .revisions/{name}.r{revision}.md
+   * @returns {Promise<string|null>} Archived path (null if the file is gone)
+   */
+  async _archiveRevision(entry) {
+    const currentPath = this._absolute(entry.output_path);
+    const extension = path.extname(currentPath);
+    const name = path.basename(currentPath, extension);
+    const revisionPath = path.join(path.dirname(currentPath), '.revisions', `${name}.r${entry.revision}${extension}`);
+
+    try {
+      await fs.mkdir(path.dirname(revisionPath), { recursive: true });
+      await fs.rename(currentPath, revisionPath);
+      return revisionPath;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  async _read() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.manifestPath, 'utf8'));
+      this.entries = data.entries || {};
+    } catch (_error) {
+      this.entries = {};
+    }
+  }
+
+  async _writeFile(filePath, content) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, content);
+  }
+
+  async _exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch (_error) {
+      return false;
+    }
+  }
+
+  _relative(filePath) {
+    return path.relative(this.outputDir, filePath);
+  }
+
+  _absolute(filePath) {
+    return path.resolve(this.outputDir, filePath);
+  }
+}
+
+export default CollectionManifest;
@@ -0,0 +1,241 @@
+/**
+ * Cost Ledger - Persistent record of transcription charges and budget approvals
+ *
+ * One JSON file:
+ *   charges:   [{ transcript_id, source_id, mind, provider, audio_duration, cost, currency, recorded_at }]
+ *   approvals: { job key -> { source_id, mind, estimated_cost, exceeded, status, requested_at } }
+ *
+ * Charges are unique per transcript id. Approvals are requests written when a
+ * job would exceed a budget cap; setting status to 'approved' (by hand or with
+ * scripts/cli/transcription-costs.js) lets the job through on the next run.
+ *
+ * Use getCostLedger(): one instance per file in the process. Each save locks
+ * and re-reads the file, adds this instance's new charges and approval
+ * changes, and keeps everything else written by other processes.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock } from './file-lock.js';
+
+const LEDGER_VERSION = 1;
+const CSV_COLUMNS = ['source_id', 'mind', 'transcripts', 'audio_hours', 'cost', 'currency', 'first_recorded', 'last_recorded'];
+
+// Resolved path -> CostLedger shared by the process
+const sharedLedgers = new Map();
+
+export class CostLedger {
+  /**
+   * @param {string} ledgerPath - JSON file path
+   */
+  constructor(ledgerPath) {
+    this.ledgerPath = ledgerPath;
+    this.data = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+    this.newCharges = [];            // Recorded by this process since the last save
+    this.changedApprovals = new Set();
+  }
+
+  /**
+   * Record a charge (ignored when the transcript was already charged)
+   * @returns {Promise<object|null>} The new charge, or null if already recorded
+   */
+  async record(charge) {
+    await this._load();
+
+    if (charge.transcript_id && this.data.charges.some(entry => entry.transcript_id === charge.transcript_id)) {
+      return null;
+    }
+
+    const entry = {
+      provider: 'assemblyai',
+      currency: 'USD',
+      ...charge,
+      cost: Number(charge.cost) || 0,
+      recorded_at: charge.recorded_at || new Date().toISOString()
+    };
+
+    this.data.charges.push(entry);
+    this.newCharges.push(entry);
+    await this._save();
+    return entry;
+  }
+
+  /**
+   * Total spent, optionally for one mind and/or one month
+   * @param {object} filter - { mind, month: 'YYYY-MM' }
+   */
+  async total(filter = {}) {
+    await this._load();
+
+    return this.data.charges
+      .filter(entry => !filter.mind || entry.mind === filter.mind)
+      .filter(entry => !filter.month || String(entry.recorded_at).startsWith(filter.month))
+      .reduce((sum, entry) => sum + entry.cost, 0);
+  }
+
+  /**
+   * Charges aggregated per source
+   * @param {object} filter - { mind, month }
+   * @returns {Promise<Array<object>>} { source_id, mind, transcripts, audio_hours, cost, currency, first_recorded, last_recorded }
+   */
+  async bySource(filter = {}) {
+    await this._load();
+
+    const rows = new Map();
+    for (const entry of this.data.charges) {
+      if (filter.mind && entry.mind !== filter.mind) continue;
+      if (filter.month && !String(entry.recorded_at).startsWith(filter.month)) continue;
+
+      const key = entry.source_id || '-';
+      const row = rows.get(key) || {
+        source_id: entry.source_id || null,
+        mind: entry.mind || null,
+        transcripts: 0,
+        audio_hours: 0,
+        cost: 0,
+        currency: entry.currency,
+        first_recorded: entry.recorded_at,
+        last_recorded: entry.recorded_at
+      };
+
+      row.transcripts++;
+      row.audio_hours += (entry.audio_duration || 0) / 3600;
+      row.cost += entry.cost;
+      row.last_recorded = entry.recorded_at > row.last_recorded ? entry.recorded_at : row.last_recorded;
+      rows.set(key, row);
+    }
+
+    return [...rows.values()].map(row => ({
+      ...row,
+      audio_hours: Math.round(row.audio_hours * 100) / 100,
+      cost: Math.round(row.cost * 100) / 100
+    }));
+  }
+
+  /**
+   * Export per-source totals
+   * @param {string} format - 'json' or 'csv'
+   * @param {object} filter - { mind, month }
+   * @returns {Promise<string>}
+   */
+  async export(format = 'json', filter = {}) {
+    const rows = await this.bySource(filter);
+
+    if (format === 'csv') {
+      const lines = rows.map(row => CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+      return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+    }
+
+    if (format !== 'json') {
+      throw new Error(`Unknown export format: ${format} (use json or csv)`);
+    }
+
+    return JSON.stringify({
+      generated_at: new Date().toISOString(),
+      total_cost: Math.round(rows.reduce((sum, row) => sum + row.cost, 0) * 100) / 100,
+      sources: rows
+    }, null, 2) + '\n';
+  }
+
+  async getApproval(key) {
+    await this._load();
+    return this.data.approvals[key] || null;
+  }
+
+  async approvals(status = null) {
+    await this._load();
+    return Object.entries(this.data.approvals)
+      .map(([key, approval]) => ({ key, ...approval }))
+      .filter(approval => !status || approval.status === status);
+  }
+
+  /**
+   * Create or update an approval request
+   */
+  async setApproval(key, approval) {
+    await this._load();
+
+    this.data.approvals[key] = { ...this.data.approvals[key], ...approval, updated_at: new Date().toISOString() };
+    this.changedApprovals.add(key);
+    await this._save();
+    return this.data.approvals[key];
+  }
+
+  async _load() {
+    if (!this.loading) {
+      this.loading = this._readData().then(data => { this.data = data; });
+    }
+    await this.loading;
+  }
+
+  _readData() {
+    return fs.readFile(this.ledgerPath, 'utf8')
+      .then(content => JSON.parse(content))
+      .catch(() => ({}))
+      .then(data => ({ charges: data.charges || [], approvals: data.approvals || {} }));
+  }
+
+  /**
+   * Persist (writes are serialized; write-then-rename to a temp file unique per write)
+   * The file is re-read under a lock: new charges are appended unless another
+   * process already charged the transcript, changed approvals win.
+   */
+  async _save() {
+    this.saving = this.saving.catch(() => {}).then(() => withFileLock(this.ledgerPath, async () => {
+      const onDisk = await this._readData();
+      const newCharges = this.newCharges.splice(0);
+      const changedApprovals = [...this.changedApprovals];
+      this.changedApprovals.clear();
+
+      const charged = new Set(onDisk.charges.map(entry => entry.transcript_id).filter(Boolean));
+      const added = newCharges.filter(entry => !entry.transcript_id || !charged.has(entry.transcript_id));
+      this.data.charges = [...onDisk.charges, ...added];
+
+      for (const [key, approval] of Object.entries(onDisk.approvals)) {
+        if (!changedApprovals.includes(key)) this.data.approvals[key] = approval;
+      }
+
+      const tempPath = `${this.ledgerPath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      try {
+        await fs.writeFile(tempPath, JSON.stringify({
+          version: LEDGER_VERSION,
+          updated_at: new Date().toISOString(),
+          ...this.data
+        }, null, 2));
+        await fs.rename(tempPath, this.ledgerPath);
+      } catch (error) {
+        this.newCharges.unshift(...added);   // Retried on the next save
+        changedApprovals.forEach(key => this.changedApprovals.add(key));
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    }));
+
+    return this.saving;
+  }
+}
+
+/**
+ * Process-wide cost ledger for a file (shared by every AssemblyAIMCP and its budget)
+ * @param {string} ledgerPath - JSON file path
+ * @returns {CostLedger}
+ */
+export function getCostLedger(ledgerPath) {
+  const key = path.resolve(ledgerPath);
+
+  if (!sharedLedgers.has(key)) {
+    sharedLedgers.set(key, new CostLedger(ledgerPath));
+  }
+
+  return sharedLedgers.get(key);
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
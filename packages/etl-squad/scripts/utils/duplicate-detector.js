@@ -0,0 +1,214 @@
+/**
+ * Duplicate Detector - Near-duplicate articles via MinHash over word shingles
+ *
+ * Syndicated essays (personal blog, Medium, Substack, LinkedIn) differ in
+ * boilerplate but share almost all word shingles. Each artifact gets a
+ * MinHash signature; the estimated Jaccard similarity of two signatures is
+ * the fraction of equal slots.
+ *
+ * Signatures are deterministic (fixed seeds) so they can be stored in the
+ * collection manifest and compared across runs.
+ */
+
+import { canonicalKey } from './canonical-url.js';
+
+const DEFAULT_OPTIONS = {
+  numHashes: 64,
+  shingleSize: 5,
+  similarityThreshold: 0.8,
+  minWords: 50,
+  canonicalMinSimilarity: 0.5   // Same canonical URL still needs related text (guards site-wide canonicals)
+};
+
+export class DuplicateDetector {
+  /**
+   * @param {object} options - { numHashes, shingleSize, similarityThreshold, minWords, canonicalMinSimilarity }
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS };
+    for (const [key, value] of Object.entries(options)) {
+      if (value !== undefined && value !== null) {
+        this.options[key] = value;
+      }
+    }
+
+    this.seeds = Array.from({ length: this.options.numHashes }, (_, i) => mix32(i + 1, 0x9e3779b9));
+    this.entries = new Map(); // key -> { canonicalKey, signature, order }
+    this.order = 0;
+  }
+
+  /**
+   * Create detector from download-rules.yaml (blogs.deduplication)
+   */
+  static fromDownloadRules(rules = {}) {
+    const config = rules.blogs?.deduplication || {};
+
+    return new DuplicateDetector({
+      similarityThreshold: config.similarity_threshold,
+      shingleSize: config.shingle_size,
+      minWords: config.min_words
+    });
+  }
+
+  /**
+   * MinHash signature of a text (null if too short to compare reliably)
+   * @param {string} text - Plain text or markdown body
+   * @returns {number[]|null}
+   */
+  signature(text) {
+    const words = normalizeWords(text);
+    if (words.length < this.options.minWords) {
+      return null;
+    }
+
+    const size = Math.min(this.options.shingleSize, words.length);
+    const signature = new Array(this.options.numHashes).fill(0xffffffff);
+
+    for (let i = 0; i + size <= words.length; i++) {
+      const shingle = fnv1a(words.slice(i, i + size).join(' '));
+
+      for (let h = 0; h < this.seeds.length; h++) {
+        const value = mix32(shingle, this.seeds[h]);
+        if (value < signature[h]) {
+          signature[h] = value;
+        }
+      }
+    }
+
+    return signature;
+  }
+
+  /**
+   * Compact signature form for the manifest (8 hex chars per slot)
+   */
+  static encodeSignature(signature) {
+    return signature ? signature.map(value => value.toString(16).padStart(8, '0')).join('') : null;
+  }
+
+  static decodeSignature(encoded) {
+    if (typeof encoded !== 'string' || encoded.length % 8 !== 0) return null;
+    return encoded.match(/.{8}/g).map(hex => parseInt(hex, 16));
+  }
+
+  /**
+   * Estimated Jaccard similarity of two signatures (0..1)
+   */
+  similarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+
+    return equal / a.length;
+  }
+
+  /**
+   * Add an artifact (e.g. loaded from the manifest) as a possible primary
+   * Entries added earlier win when several match.
+   */
+  add(key, { canonicalUrl = null, signature = null } = {}) {
+    this.entries.set(key, {
+      canonicalKey: canonicalUrl ? canonicalKey(canonicalUrl) : null,
+      signature: Array.isArray(signature) && signature.length === this.options.numHashes ? signature : null,
+      order: this.entries.get(key)?.order ?? this.order++
+    });
+  }
+
+  remove(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Find the primary artifact an item duplicates
+   * @param {string} key - Item key (its own entry is ignored, as are entries added after it)
+   * @param {object} item - { canonicalUrl, signature }
+   * @returns {object|null} { key, similarity, match: 'canonical'|'content' }
+   */
+  findPrimary(key, { canonicalUrl = null, signature = null } = {}) {
+    const itemCanonical = canonicalUrl && !isSiteRoot(canonicalUrl) ? canonicalKey(canonicalUrl) : null;
+    const ownOrder = this.entries.get(key)?.order ?? Infinity;
+    let best = null;
+
+    for (const [otherKey, entry] of this.entries) {
+      if (otherKey === key || entry.order > ownOrder) continue;
+
+      const similarity = this.similarity(signature, entry.signature);
+      const bothSigned = !!(signature && entry.signature);
+      let match = null;
+
+      if (itemCanonical && entry.canonicalKey === itemCanonical &&
+        (!bothSigned || similarity >= this.options.canonicalMinSimilarity)) {
+        match = 'canonical';
+      } else if (bothSigned && similarity >= this.options.similarityThreshold) {
+        match = 'content';
+      }
+
+      if (match && (!best || entry.order < best.order)) {
+        best = { key: otherKey, similarity: Number(similarity.toFixed(3)), match, order: entry.order };
+      }
+    }
+
+    if (!best) return null;
+
+    const { order: _order, ...primary } = best;
+    return primary;
+  }
+
+  /**
+   * Find primary or register the item as a new one (synchronous, so concurrent
+   * collections of two syndicated copies cannot both become primaries)
+   * @returns {object|null} Primary (see findPrimary) or null if item was registered
+   */
+  claim(key, item) {
+    const primary = this.findPrimary(key, item);
+
+    if (!primary) {
+      this.add(key, item);
+    }
+
+    return primary;
+  }
+}
+
+/**
+ * Lowercased words without diacritics/punctuation (markdown syntax dropped)
+ */
+function normalizeWords(text = '') {
+  return String(text)
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')  // Frontmatter
+    .replace(/\]\([^)]*\)/g, ']')                     // Link targets
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+function isSiteRoot(url) {
+  try {
+    return new URL(url).pathname.replace(/\/+$/, '') === '';
+  } catch (_error) {
+    return true;
+  }
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer over value ^ seed
+function mix32(value, seed) {
+  let h = (value ^ seed) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+export default DuplicateDetector;
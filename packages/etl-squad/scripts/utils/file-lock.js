@@ -0,0 +1,49 @@
+/**
+ * File Lock - Serialize read-modify-write of a shared JSON file across processes
+ *
+ * The lock is a `<file>.lock` created exclusively; holders that crashed are
+ * detected by the lock's age (staleMs) and their lock is taken over.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Run fn while holding the lock for filePath
+ * @param {string} filePath - File being protected
+ * @param {Function} fn - async () => result
+ * @param {object} options - { staleMs, retryMs, timeoutMs }
+ * @returns {Promise<*>} fn's result
+ */
+export async function withFileLock(filePath, fn, options = {}) {
+  const { staleMs = 30000, retryMs = 25, timeoutMs = 60000 } = options;
+  const lockPath = `${filePath}.lock`;
+  const startedAt = Date.now();
+
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+
+  while (true) {
+    try {
+      await (await fs.open(lockPath, 'wx')).close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > staleMs) {
+        await fs.rm(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() - startedAt > timeoutMs) {
+        throw new Error(`Timed out waiting for lock on ${filePath}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, retryMs));
+    }
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
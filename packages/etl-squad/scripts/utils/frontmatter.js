@@ -0,0 +1,182 @@
+/**
+ * Frontmatter - YAML frontmatter for collected markdown artifacts
+ *
+ * Serialization goes through js-yaml so titles with colons, tags with commas
+ * and quotes always produce valid YAML. Field order is fixed by the schema
+ * below, which keeps artifacts diffable and content hashes stable.
+ *
+ * Schema version 1 (`frontmatter_version: 1`):
+ *
+ *   title                  string    Article title
+ *   url                    string    Source URL
+ *   canonical_url          string    rel=canonical / og:url / redirect target, tracking params stripped
+ *   date                   string    Publish date (ISO-8601 UTC when resolved from page metadata)
+ *   updated                string    Last modified date (ISO-8601 UTC)
+ *   author                 string
+ *   subtitle               string
+ *   publication            string    e.g. Medium publication, Substack name
+ *   audience               string    'paid' | 'free' (Substack)
+ *   custom_domain          boolean   Publication served from its own domain (Substack)
+ *   excerpt                string
+ *   platform               string    Extractor platform (wordpress, medium, ...)
+ *   source_type            string    blog | pdf | social | ...
+ *   language               string    ISO 639-1 code ('und' = undetermined), see language-detector.js
+ *   primary_tag            string    Primary tag (Ghost)
+ *   tags                   string[]
+ *   categories             string[]
+ *   read_time_minutes      number
+ *   word_count             number
+ *   partial                boolean   Content is a truncated preview (paywall)
+ *   truncation_confidence  number    0..1
+ *   recovered_from         string    URL the full text was recovered from
+ *   extracted              string    ISO-8601 extraction timestamp (ignored by content hashes)
+ *   extraction_method      string
+ *   metadata_sources       map       Field -> source it was resolved from (json-ld, opengraph, ...)
+ *   frontmatter_version    number    Schema version
+ *
+ * Bump FRONTMATTER_VERSION when a field is renamed or changes type;
+ * adding an optional field does not require a bump.
+ */
+
+import yaml from 'js-yaml';
+
+export const FRONTMATTER_VERSION = 1;
+
+/**
+ * Ordered field definitions (name, type)
+ */
+export const FRONTMATTER_FIELDS = [
+  ['title', 'string'],
+  ['url', 'string'],
+  ['canonical_url', 'string'],
+  ['date', 'string'],
+  ['updated', 'string'],
+  ['author', 'string'],
+  ['subtitle', 'string'],
+  ['publication', 'string'],
+  ['audience', 'string'],
+  ['custom_domain', 'boolean'],
+  ['excerpt', 'string'],
+  ['platform', 'string'],
+  ['source_type', 'string'],
+  ['language', 'string'],
+  ['primary_tag', 'string'],
+  ['tags', 'string[]'],
+  ['categories', 'string[]'],
+  ['read_time_minutes', 'number'],
+  ['word_count', 'number'],
+  ['partial', 'boolean'],
+  ['truncation_confidence', 'number'],
+  ['recovered_from', 'string'],
+  ['extracted', 'string'],
+  ['extraction_method', 'string'],
+  ['metadata_sources', 'map'],
+  ['frontmatter_version', 'number']
+];
+
+const FRONTMATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Serialize metadata as a YAML frontmatter block (fields outside the schema are dropped)
+ * @param {object} data - Field values (undefined/null/empty values are omitted)
+ * @returns {string} '---\n...\n---\n'
+ * @example
+ * serializeFrontmatter({ title: 'Why: A Story', tags: ['a, b', 'c'] })
+ * // Returns: "---\ntitle: 'Why: A Story'\ntags:\n  - a, b\n  - c\n---\n"
+ */
+export function serializeFrontmatter(data = {}) {
+  const ordered = {};
+
+  for (const [name, type] of FRONTMATTER_FIELDS) {
+    const value = normalizeValue(data[name], type);
+    if (value !== undefined) {
+      ordered[name] = value;
+    }
+  }
+
+  const body = yaml.dump(ordered, {
+    lineWidth: -1,   // Never fold long titles/excerpts
+    noRefs: true,
+    sortKeys: false
+  });
+
+  return `---\n${body}---\n`;
+}
+
+/**
+ * Split markdown into frontmatter data and body
+ * Values are read with the core schema, so dates stay strings (also for
+ * artifacts written before schema versioning, which had unquoted dates).
+ * @param {string} markdown - Markdown, with or without frontmatter
+ * @returns {object} { data, body, version } (data is {} and version null without frontmatter)
+ * @throws {Error} If the frontmatter block is not valid YAML
+ */
+export function parseFrontmatter(markdown = '') {
+  const text = String(markdown).replace(/^﻿/, '');
+  const match = text.match(FRONTMATTER_PATTERN);
+
+  if (!match) {
+    return { data: {}, body: text, version: null };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1], { schema: yaml.CORE_SCHEMA }) || {};
+  } catch (error) {
+    throw new Error(`Invalid YAML frontmatter: ${error.reason || error.message}`);
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Invalid YAML frontmatter: expected a mapping');
+  }
+
+  return {
+    data,
+    body: text.slice(match[0].length).replace(/^\r?\n/, ''),
+    version: typeof data.frontmatter_version === 'number' ? data.frontmatter_version : null
+  };
+}
+
+/**
+ * Coerce a value to its schema type (undefined = omit)
+ */
+function normalizeValue(value, type) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  switch (type) {
+    case 'string': {
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      const cleaned = text.replace(/\s*\r?\n\s*/g, ' ').trim();  // Keep fields single-line
+      return cleaned || undefined;
+    }
+
+    case 'string[]': {
+      const items = (Array.isArray(value) ? value : [value])
+        .map(item => normalizeValue(item, 'string'))
+        .filter(item => item !== undefined);
+      return items.length > 0 ? items : undefined;
+    }
+
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : undefined;
+    }
+
+    case 'boolean':
+      return Boolean(value);
+
+    case 'map': {
+      if (typeof value !== 'object' || Array.isArray(value)) return undefined;
+
+      const entries = Object.entries(value)
+        .map(([key, item]) => [key, normalizeValue(item, 'string')])
+        .filter(([, item]) => item !== undefined);
+      return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+    }
+
+    default:
+      return value;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * Headless Renderer - Render client-side pages in a headless browser
+ *
+ * Used by WebCollector when static HTML is an empty shell (Next.js/React SPAs,
+ * Notion-hosted sites). Puppeteer is loaded lazily so it stays optional:
+ * without it installed, rendering is reported as unavailable.
+ *
+ * Pages are rendered with the source's access profile (RequestProfiles.browserOptions):
+ * one browser per proxy (Chromium takes the proxy at launch, credentials go
+ * through page.authenticate), profile headers only on requests to the page's
+ * own host, and the profile's cookies set before navigation.
+ */
+
+const DEFAULT_TIMEOUT = 30000;
+
+export class HeadlessRenderer {
+  /**
+   * @param {object} options - { userAgent, timeout, waitUntil }
+   */
+  constructor(options = {}) {
+    this.options = {
+      userAgent: options.userAgent || null,
+      timeout: options.timeout || DEFAULT_TIMEOUT,
+      waitUntil: options.waitUntil || 'networkidle2'
+    };
+
+    this.browsers = new Map(); // proxy server ('' = direct) -> Promise<Browser>, launched on first render
+  }
+
+  /**
+   * Render page and return the resulting DOM as HTML
+   * @param {string} url - Page URL
+   * @param {object} access - { headers, cookies, proxy } from RequestProfiles.browserOptions
+   * @returns {Promise<string>} Rendered HTML
+   */
+  async render(url, access = {}) {
+    const proxy = access.proxy ? new URL(access.proxy) : null;
+    const browser = await this._getBrowser(proxy ? `${proxy.protocol}//${proxy.host}` : '');
+    const page = await browser.newPage();
+    const host = new URL(url).host;
+    const headers = access.headers || {};
+
+    try {
+      if (this.options.userAgent) {
+        await page.setUserAgent(this.options.userAgent);
+      }
+
+      if (proxy?.username) {
+        await page.authenticate({
+          username: decodeURIComponent(proxy.username),
+          password: decodeURIComponent(proxy.password)
+        });
+      }
+
+      if (access.cookies?.length) {
+        await page.setCookie(...access.cookies);
+      }
+
+      // Text is all we keep, so skip heavy resources
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (['image', 'media', 'font'].includes(request.resourceType())) {
+          request.abort();
+        } else if (Object.keys(headers).length > 0 && new URL(request.url()).host === host) {
+          request.continue({ headers: { ...request.headers(), ...headers } });
+        } else {
+          request.continue();
+        }
+      });
+
+      await page.goto(url, {
+        waitUntil: this.options.waitUntil,
+        timeout: this.options.timeout
+      });
+
+      return await page.content();
+
+    } finally {
+      await page.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Close browsers (call once collection is done)
+   */
+  async close() {
+    const browsers = [...this.browsers.values()];
+    this.browsers.clear();
+
+    for (const browser of await Promise.all(browsers.map(launch => launch.catch(() => null)))) {
+      await browser?.close();
+    }
+  }
+
+  /**
+   * @param {string} proxyServer - scheme://host:port without credentials ('' = direct)
+   */
+  _getBrowser(proxyServer = '') {
+    if (!this.browsers.has(proxyServer)) {
+      const launch = HeadlessRenderer._loadPuppeteer().then(puppeteer => puppeteer.launch({
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-dev-shm-usage',
+          ...(proxyServer ? [`--proxy-server=${proxyServer}`] : [])
+        ]
+      }));
+
+      // Allow a retry after a failed launch
+      launch.catch(() => {
+        this.browsers.delete(proxyServer);
+      });
+
+      this.browsers.set(proxyServer, launch);
+    }
+
+    return this.browsers.get(proxyServer);
+  }
+
+  static async _loadPuppeteer() {
+    try {
+      const module = await import('puppeteer');
+      return module.default || module;
+    } catch (_error) {
+      throw new Error('Headless rendering requires puppeteer (npm install puppeteer)');
+    }
+  }
+}
+
+export default HeadlessRenderer;
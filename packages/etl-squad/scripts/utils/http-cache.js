@@ -0,0 +1,111 @@
+/**
+ * HTTP Cache - Persistent on-disk response cache keyed by URL
+ *
+ * Stores ETag, Last-Modified and body so re-runs can send conditional
+ * requests (If-None-Match / If-Modified-Since) and skip work on 304.
+ *
+ * Layout: {cacheDir}/{sha256(url)}.json
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+export class HttpCache {
+  /**
+   * @param {string} cacheDir - Directory for cache entries
+   */
+  constructor(cacheDir) {
+    this.cacheDir = cacheDir;
+  }
+
+  /**
+   * Get cached entry for URL
+   * @param {string} url - Request URL
+   * @returns {Promise<object|null>} { url, etag, last_modified, body, fetched_at, ... } or null
+   */
+  async get(url) {
+    try {
+      const content = await fs.readFile(this._entryPath(url), 'utf8');
+      const entry = JSON.parse(content);
+      return entry.url === url ? entry : null;
+    } catch (_error) {
+      return null;
+    }
+  }
+
+  /**
+   * Store entry for URL
+   * @param {string} url - Request URL
+   * @param {object} entry - { etag, last_modified, body, ...extra }
+   */
+  async set(url, entry) {
+    await fs.mkdir(this.cacheDir, { recursive: true });
+
+    const record = {
+      ...entry,
+      url,
+      fetched_at: entry.fetched_at || new Date().toISOString()
+    };
+
+    // Write-then-rename so an interrupted run never leaves a truncated entry
+    const entryPath = this._entryPath(url);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record));
+    await fs.rename(tempPath, entryPath);
+
+    return record;
+  }
+
+  /**
+   * Update fields of an existing entry (e.g. after a 304)
+   */
+  async update(url, fields) {
+    const entry = await this.get(url);
+    if (!entry) {
+      return null;
+    }
+
+    return this.set(url, { ...entry, ...fields });
+  }
+
+  /**
+   * Remove entry for URL
+   */
+  async delete(url) {
+    await fs.rm(this._entryPath(url), { force: true });
+  }
+
+  /**
+   * Remove all cache entries
+   */
+  async clear() {
+    await fs.rm(this.cacheDir, { recursive: true, force: true });
+  }
+
+  /**
+   * Build conditional request headers from a cached entry
+   * @param {object|null} entry - Cached entry
+   * @returns {object} Headers (empty if nothing to validate against)
+   */
+  static conditionalHeaders(entry) {
+    const headers = {};
+
+    if (entry?.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+
+    if (entry?.last_modified) {
+      headers['If-Modified-Since'] = entry.last_modified;
+    }
+
+    return headers;
+  }
+
+  _entryPath(url) {
+    const key = crypto.createHash('sha256').update(url).digest('hex');
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+}
+
+export default HttpCache;
@@ -0,0 +1,217 @@
+/**
+ * Language Detector - Offline language identification and per-language helpers
+ *
+ * Shared by ArticleExtractor, the transcript pipeline, PDF OCR and
+ * ManualImporter so every artifact records a language and downstream steps
+ * (OCR packs, AssemblyAI language_code, word counts) agree on it.
+ *
+ * Non-Latin scripts are identified by Unicode script; Latin-script languages
+ * by stopword frequency plus characteristic letters (ã/õ, ñ, ß, ...).
+ * Languages are ISO 639-1 codes; 'und' means undetermined.
+ */
+
+export const UNDETERMINED = 'und';
+
+const STOPWORDS = {
+  en: ['the', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'was', 'for', 'you', 'with', 'this', 'are', 'have',
+    'be', 'not', 'but', 'they', 'what', 'from', 'we', 'would', 'there', 'their', 'which', 'about', 'can', 'been', 'just'],
+  pt: ['de', 'o', 'a', 'e', 'para', 'com', 'se', 'como', 'não', 'que', 'os', 'uma', 'um', 'é', 'em', 'do', 'da', 'dos',
+    'das', 'no', 'na', 'mais', 'mas', 'foi', 'ao', 'ele', 'ela', 'isso', 'também', 'são', 'já', 'eu', 'você', 'muito',
+    'quando', 'seu', 'sua', 'pelo', 'pela', 'nós', 'então'],
+  es: ['el', 'los', 'las', 'que', 'y', 'en', 'un', 'una', 'es', 'por', 'con', 'del', 'al', 'lo', 'más', 'pero', 'sus',
+    'le', 'ya', 'este', 'sí', 'porque', 'esta', 'muy', 'también', 'fue', 'yo', 'usted', 'cuando', 'hay', 'nosotros', 'entonces'],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'un', 'une', 'du', 'pas', 'que', 'qui', 'dans', 'pour', 'sur', 'avec',
+    'ce', 'il', 'elle', 'nous', 'vous', 'mais', 'au', 'aux', 'sont', 'été', 'cette', 'ont', 'je', 'ne'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'von', 'mit', 'sich', 'des', 'auf',
+    'für', 'im', 'dem', 'auch', 'es', 'wir', 'ich', 'sie', 'werden', 'wird', 'aber', 'oder', 'sind', 'noch', 'wie'],
+  it: ['il', 'di', 'che', 'e', 'la', 'è', 'per', 'un', 'una', 'non', 'sono', 'del', 'della', 'gli', 'le', 'con', 'si',
+    'anche', 'più', 'ma', 'come', 'questo', 'nel', 'alla', 'io', 'lui', 'lei', 'noi', 'perché', 'molto'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'niet', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'die', 'ook', 'maar',
+    'wij', 'ik', 'je', 'hij', 'ze', 'er', 'aan', 'worden', 'wordt', 'naar', 'bij', 'nog', 'dan', 'als']
+};
+
+// Letters that are (nearly) unique to one language among the above
+const CHARACTERISTIC_LETTERS = {
+  pt: /[ãõ]/g,
+  es: /[ñ¿¡]/g,
+  de: /[ßäöü]/g,
+  fr: /[èêëœùûîï]/g,
+  it: /[ìò]/g
+};
+
+// Script -> language for non-Latin text (checked in order)
+const SCRIPT_LANGUAGES = [
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['uk', /[іїєґІЇЄҐ]/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['th', /\p{Script=Thai}/gu]
+];
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+const TESSERACT_LANGUAGES = {
+  en: 'eng', pt: 'por', es: 'spa', fr: 'fra', de: 'deu', it: 'ita', nl: 'nld', ru: 'rus', uk: 'ukr',
+  el: 'ell', ar: 'ara', he: 'heb', hi: 'hin', ja: 'jpn', ko: 'kor', zh: 'chi_sim', th: 'tha'
+};
+
+// https://www.assemblyai.com/docs/concepts/supported-languages (best tier)
+const ASSEMBLYAI_LANGUAGES = new Set([
+  'en', 'es', 'fr', 'de', 'it', 'pt', 'nl', 'hi', 'ja', 'zh', 'fi', 'ko', 'pl', 'ru', 'tr', 'uk', 'vi'
+]);
+
+const MIN_WORDS = 8;
+const SAMPLE_LENGTH = 20000;
+
+/**
+ * Detect language of a text
+ * @param {string} text - Plain text or markdown
+ * @returns {object} { language: ISO 639-1 code or 'und', confidence: 0..1 }
+ * @example
+ * detectLanguage('Não é sobre dinheiro, é sobre o que você constrói com ele.')
+ * // Returns: { language: 'pt', confidence: 0.83 }
+ */
+export function detectLanguage(text = '') {
+  const sample = String(text || '')
+    .slice(0, SAMPLE_LENGTH)
+    .replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, '')   // Frontmatter
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/\]\([^)]*\)/g, ']');
+
+  const letters = (sample.match(/\p{L}/gu) || []).length;
+  if (letters === 0) {
+    return { language: UNDETERMINED, confidence: 0 };
+  }
+
+  // Non-Latin scripts
+  const latin = (sample.match(/\p{Script=Latin}/gu) || []).length;
+  if (latin / letters < 0.5) {
+    for (const [language, pattern] of SCRIPT_LANGUAGES) {
+      const count = (sample.match(pattern) || []).length;
+      if (count / letters >= (language === 'uk' ? 0.01 : 0.3)) {
+        return { language, confidence: round(Math.min(1, (letters - latin) / letters)) };
+      }
+    }
+
+    return { language: UNDETERMINED, confidence: 0 };
+  }
+
+  // Latin script: stopword hits per language, plus characteristic letters
+  const lower = sample.toLowerCase();
+  const words = lower.split(/[^\p{L}']+/u).filter(Boolean);
+  if (words.length < MIN_WORDS) {
+    return { language: UNDETERMINED, confidence: 0 };
+  }
+
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map(language => [language, 0]));
+
+  for (const word of words) {
+    for (const [language, stopwords] of Object.entries(STOPWORD_SETS)) {
+      if (stopwords.has(word)) scores[language]++;
+    }
+  }
+
+  for (const [language, pattern] of Object.entries(CHARACTERISTIC_LETTERS)) {
+    scores[language] += (lower.match(pattern) || []).length * 0.5;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, bestScore] = ranked[0];
+  const secondScore = ranked[1][1];
+
+  // Too few function words: not running prose (lists, code, names)
+  if (bestScore < 3 || bestScore / words.length < 0.05) {
+    return { language: UNDETERMINED, confidence: 0 };
+  }
+
+  return { language: best, confidence: round((bestScore - secondScore) / bestScore) };
+}
+
+/**
+ * Pick between a declared language (html lang, feed language, source config)
+ * and the detected one
+ * Detection wins when confident; otherwise the declared tag is kept.
+ * @param {object} input - { declared, text, minConfidence }
+ * @returns {object} { language, confidence, method: 'detected'|'declared'|'undetermined' }
+ */
+export function resolveLanguage({ declared = null, text = '', minConfidence = 0.3 } = {}) {
+  const declaredLanguage = normalizeLanguageCode(declared);
+  const detected = detectLanguage(text);
+
+  if (detected.language !== UNDETERMINED && (detected.confidence >= minConfidence || !declaredLanguage)) {
+    return { ...detected, method: 'detected' };
+  }
+
+  if (declaredLanguage) {
+    return { language: declaredLanguage, confidence: null, method: 'declared' };
+  }
+
+  return { language: UNDETERMINED, confidence: 0, method: 'undetermined' };
+}
+
+/**
+ * Normalize a language tag to ISO 639-1 ('pt-BR', 'pt_br', 'por' -> 'pt')
+ * @returns {string|null}
+ */
+export function normalizeLanguageCode(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  if (/^[a-z]{2}$/.test(primary)) {
+    return primary === UNDETERMINED ? null : primary;
+  }
+
+  // ISO 639-2/T codes used by Tesseract
+  const fromTesseract = Object.entries(TESSERACT_LANGUAGES).find(([, code]) => code.split('_')[0] === primary);
+  return fromTesseract ? fromTesseract[0] : null;
+}
+
+/**
+ * Tesseract language pack for a language
+ * @param {string} language - ISO 639-1 code or tag
+ * @param {string} fallback - Pack(s) when unknown, e.g. 'eng' or 'eng+por+spa'
+ */
+export function ocrLanguageFor(language, fallback = 'eng') {
+  return TESSERACT_LANGUAGES[normalizeLanguageCode(language)] || fallback;
+}
+
+/**
+ * AssemblyAI language_code for a language (null = unsupported/unknown, use language_detection)
+ */
+export function assemblyAILanguageFor(language) {
+  const code = normalizeLanguageCode(language);
+  return code && ASSEMBLYAI_LANGUAGES.has(code) ? code : null;
+}
+
+/**
+ * Count words using the language's segmentation rules
+ * Intl.Segmenter handles scripts written without spaces (Chinese, Japanese, Thai).
+ * @param {string} text - Plain text or markdown
+ * @param {string} language - ISO 639-1 code (optional)
+ */
+export function countWords(text = '', language = null) {
+  const value = String(text || '');
+  const code = normalizeLanguageCode(language);
+
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    const segmenter = new Intl.Segmenter(code || undefined, { granularity: 'word' });
+    let count = 0;
+    for (const segment of segmenter.segment(value)) {
+      if (segment.isWordLike) count++;
+    }
+    return count;
+  }
+
+  return value.split(/\s+/).filter(Boolean).length;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -6,6 +6,8 @@
 
 import TurndownService from 'turndown';
 import { JSDOM } from 'jsdom';
+import { countWords } from './language-detector.js';
+import { serializeFrontmatter, parseFrontmatter, FRONTMATTER_VERSION } from './frontmatter.js';
 
 export class MarkdownConverter {
   constructor(options = {}) {
@@ -21,6 +23,11 @@ export class MarkdownConverter {
     };
 
     this.turndown = new TurndownService(this.options);
+
+    // $ in text is literal (prices): only MathJax/KaTeX markup becomes math (RULE 9)
+    const escapeMarkdown = this.turndown.escape.bind(this.turndown);
+    this.turndown.escape = (text) => escapeMarkdown(text).replace(/\$/g, '\\$');
+
     this._setupRules();
   }
 
@@ -124,26 +131,139 @@ export class MarkdownConverter {
         return `\n\n> ${cleaned.split('\n').join('\n> ')}\n\n`;
       }
     });
+
+    // ⭐ RULE 9: Math as $...$ / $$...$$ (placeholders created in _convertMath)
+    this.turndown.addRule('math', {
+      filter: (node) => node.nodeName === 'SPAN' && node.getAttribute('data-math'),
+      replacement: (content, node) => {
+        const tex = node.textContent.trim();
+        if (!tex) return '';
+
+        return node.getAttribute('data-math') === 'display'
+          ? `\n\n$$\n${tex}\n$$\n\n`
+          : `$${tex}$`;
+      }
+    });
+
+    // ⭐ RULE 10: GFM footnotes (placeholders created in _convertFootnotes)
+    this.turndown.addRule('footnoteReferences', {
+      filter: (node) => node.nodeName === 'SPAN' && node.getAttribute('data-footnote-ref'),
+      replacement: (content, node) => `[^${node.getAttribute('data-footnote-ref')}]`
+    });
+
+    this.turndown.addRule('footnoteDefinitions', {
+      filter: (node) => node.nodeName === 'DIV' && node.getAttribute('data-footnote-def'),
+      replacement: (content, node) => {
+        const text = this._inlineMarkdown(node.innerHTML);
+        return text ? `\n\n[^${node.getAttribute('data-footnote-def')}]: ${text}\n\n` : '';
+      }
+    });
+
+    // ⭐ RULE 11: <details> as bold summary followed by its content
+    this.turndown.addRule('details', {
+      filter: 'details',
+      replacement: (content, node) => {
+        const summary = Array.from(node.childNodes).find(child => child.nodeName === 'SUMMARY');
+        const title = summary ? this._inlineMarkdown(summary.innerHTML) : '';
+        const body = content.trim();
+
+        return `\n\n${title ? `**${title}**\n\n` : ''}${body}\n\n`;
+      }
+    });
+
+    this.turndown.addRule('summary', {
+      filter: 'summary',
+      replacement: () => ''  // Rendered by the details rule
+    });
+
+    // ⭐ RULE 12: Definition lists as "Term" / ": Definition" (Pandoc/Markdown Extra)
+    this.turndown.addRule('definitionLists', {
+      filter: 'dl',
+      replacement: (content, node) => {
+        const lines = [];
+
+        for (const child of Array.from(node.childNodes)) {
+          const text = child.nodeType === 1 ? this._inlineMarkdown(child.innerHTML) : '';
+          if (!text) continue;
+
+          if (child.nodeName === 'DT') {
+            if (lines.length > 0) lines.push('');
+            lines.push(`**${text}**`);
+          } else if (child.nodeName === 'DD') {
+            lines.push(`: ${text}`);
+          }
+        }
+
+        return lines.length > 0 ? `\n\n${lines.join('\n')}\n\n` : '';
+      }
+    });
+  }
+
+  /**
+   * Convert an HTML fragment to single-line markdown (table cells, footnotes, terms)
+   */
+  _inlineMarkdown(html) {
+    return this.turndown.turndown(html || '')
+      .replace(/\s*\n+\s*/g, ' ')
+      .trim();
   }
 
   /**
    * Convert HTML table to markdown table
+   * Cells keep inline formatting (links, code, emphasis); colspan/rowspan
+   * become empty cells so columns stay aligned (GFM has no spanning)
    */
   _convertTableToMarkdown(tableNode) {
-    const rows = Array.from(tableNode.querySelectorAll('tr'));
+    const rows = [];
+
+    for (const child of Array.from(tableNode.childNodes)) {
+      if (child.nodeName === 'TR') {
+        rows.push(child);
+      } else if (['THEAD', 'TBODY', 'TFOOT'].includes(child.nodeName)) {
+        rows.push(...Array.from(child.childNodes).filter(row => row.nodeName === 'TR'));
+      }
+    }
+
     if (rows.length === 0) return '';
 
-    let markdown = '\n\n';
+    // Lay cells out on a grid, reserving slots covered by row/colspans
+    const grid = rows.map(() => []);
 
     rows.forEach((row, rowIndex) => {
-      const cells = Array.from(row.querySelectorAll('th, td'));
-      const cellContents = cells.map(cell => cell.textContent.trim().replace(/\|/g, '\\|'));
+      const cells = Array.from(row.childNodes).filter(cell => cell.nodeName === 'TH' || cell.nodeName === 'TD');
+      let column = 0;
+
+      for (const cell of cells) {
+        while (grid[rowIndex][column] !== undefined) column++;
+
+        const colspan = Math.max(1, parseInt(cell.getAttribute('colspan')) || 1);
+        const rowspan = Math.max(1, parseInt(cell.getAttribute('rowspan')) || 1);
+        // Every | is escaped, code spans included (GFM splits cells before parsing code)
+        const text = this._inlineMarkdown(cell.innerHTML).replace(/\|/g, '\\|');
+
+        for (let r = 0; r < rowspan && rowIndex + r < rows.length; r++) {
+          for (let c = 0; c < colspan; c++) {
+            grid[rowIndex + r][column + c] = r === 0 && c === 0 ? text : '';
+          }
+        }
+
+        column += colspan;
+      }
+    });
+
+    const columnCount = Math.max(...grid.map(row => row.length));
+    if (columnCount === 0) return '';
+
+    let markdown = '\n\n';
+
+    grid.forEach((row, rowIndex) => {
+      const cellContents = Array.from({ length: columnCount }, (_, i) => row[i] ?? '');
 
       markdown += '| ' + cellContents.join(' | ') + ' |\n';
 
       // Add separator after header row
       if (rowIndex === 0) {
-        markdown += '| ' + cells.map(() => '---').join(' | ') + ' |\n';
+        markdown += '| ' + cellContents.map(() => '---').join(' | ') + ' |\n';
       }
     });
 
@@ -180,6 +300,10 @@ export class MarkdownConverter {
     const dom = new JSDOM(html);
     const document = dom.window.document;
 
+    // Convert math and footnotes first: cleanup below removes their scripts/backlinks
+    this._convertMath(document);
+    this._convertFootnotes(document);
+
     // Remove unwanted elements
     const unwantedSelectors = [
       'nav', 'header', 'footer', 'aside',
@@ -215,6 +339,139 @@ export class MarkdownConverter {
     return document.body.innerHTML;
   }
 
+  /**
+   * Replace KaTeX, MathJax and raw TeX delimiters with <span data-math> placeholders
+   */
+  _convertMath(document) {
+    const placeholder = (tex, display) => {
+      const span = document.createElement('span');
+      span.setAttribute('data-math', display ? 'display' : 'inline');
+      span.textContent = tex.trim();
+      return span;
+    };
+
+    // KaTeX: TeX source is kept in the MathML annotation
+    document.querySelectorAll('.katex-display, .katex').forEach(el => {
+      if (!el.isConnected || (el.classList.contains('katex') && el.closest('.katex-display'))) return;
+
+      const tex = el.querySelector('annotation[encoding="application/x-tex"]')?.textContent;
+      if (tex) {
+        el.replaceWith(placeholder(tex, el.classList.contains('katex-display')));
+      }
+    });
+
+    // MathJax v2: <script type="math/tex"> holds the source, rendered spans duplicate it
+    document.querySelectorAll('script[type^="math/tex"]').forEach(script => {
+      const display = /mode=display/.test(script.getAttribute('type'));
+      script.replaceWith(placeholder(script.textContent, display));
+    });
+    document.querySelectorAll('.MathJax_Preview, .MathJax, .MathJax_Display, .MathJax_SVG, .MathJax_CHTML')
+      .forEach(el => el.remove());
+
+    // MathJax v3 / plain MathML: use alttext or TeX annotation when present
+    document.querySelectorAll('mjx-container, math').forEach(el => {
+      if (!el.isConnected) return;
+
+      const math = el.nodeName.toLowerCase() === 'math' ? el : el.querySelector('math');
+      const tex = math?.getAttribute('alttext') ||
+        math?.querySelector('annotation[encoding="application/x-tex"]')?.textContent;
+
+      if (tex) {
+        const display = el.getAttribute('display') === 'true' || math.getAttribute('display') === 'block';
+        el.replaceWith(placeholder(tex, display));
+      }
+    });
+
+    // Unrendered MathJax delimiters in text: \(...\), \[...\]
+    // ($...$ and $$...$$ are not: "$$5 and $$10" is prose; $ is escaped instead)
+    const walker = document.createTreeWalker(document.body, 4 /* NodeFilter.SHOW_TEXT */);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (/\\\(|\\\[/.test(node.nodeValue) && !node.parentElement.closest('pre, code, script, style, [data-math]')) {
+        textNodes.push(node);
+      }
+    }
+
+    const delimiters = /\\\(([\s\S]+?)\\\)|\\\[([\s\S]+?)\\\]/g;
+
+    for (const node of textNodes) {
+      const fragment = document.createDocumentFragment();
+      const text = node.nodeValue;
+      let lastIndex = 0;
+
+      for (const match of text.matchAll(delimiters)) {
+        fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+        fragment.appendChild(match[1] !== undefined
+          ? placeholder(match[1], false)
+          : placeholder(match[2], true));
+        lastIndex = match.index + match[0].length;
+      }
+
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      node.replaceWith(fragment);
+    }
+  }
+
+  /**
+   * Replace footnote references and lists with placeholders for GFM footnotes
+   * Handles common markup: .footnotes (markdown-it, kramdown, Hugo, Jekyll),
+   * role="doc-endnotes"/"doc-noteref" (Pandoc, DPUB-ARIA)
+   */
+  _convertFootnotes(document) {
+    const containerSelector = '.footnotes, [role="doc-endnotes"], #footnotes';
+    const containers = Array.from(document.querySelectorAll(containerSelector))
+      .filter(el => !el.parentElement?.closest(containerSelector));
+
+    const definitions = new Map(); // element id -> li
+    containers.forEach(container => {
+      container.querySelectorAll('li[id]').forEach(li => definitions.set(li.id, li));
+    });
+
+    if (definitions.size === 0) return;
+
+    const labels = new Map(); // element id -> footnote label
+    const labelFor = (id, text = '') => {
+      if (!labels.has(id)) {
+        const candidate = text.replace(/[[\]\s]/g, '');
+        const used = new Set(labels.values());
+        labels.set(id, /^[\w-]+$/.test(candidate) && !used.has(candidate) ? candidate : String(labels.size + 1));
+      }
+      return labels.get(id);
+    };
+
+    // References: links to a definition from outside the footnotes list
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+      const id = decodeURIComponent(link.getAttribute('href').slice(1));
+      if (!definitions.has(id) || link.closest(containerSelector)) return;
+
+      const ref = document.createElement('span');
+      const label = labelFor(id, link.textContent);
+      ref.setAttribute('data-footnote-ref', label);
+      ref.textContent = label;
+
+      const sup = link.parentElement?.nodeName === 'SUP' &&
+        link.parentElement.textContent.trim() === link.textContent.trim() ? link.parentElement : null;
+      (sup || link).replaceWith(ref);
+    });
+
+    // Definitions: drop backlinks (↩) and emit one block per note
+    const block = document.createElement('div');
+
+    for (const [id, li] of definitions) {
+      li.querySelectorAll('a.footnote-backref, a.reversefootnote, a[role="doc-backlink"], a[href^="#fnref"]')
+        .forEach(backlink => backlink.remove());
+
+      const def = document.createElement('div');
+      def.setAttribute('data-footnote-def', labelFor(id));
+      def.innerHTML = li.innerHTML;
+      block.appendChild(def);
+    }
+
+    containers[0].replaceWith(block);
+    containers.slice(1).forEach(container => container.remove());
+  }
+
   /**
    * Post-process markdown for final cleanup
    */
@@ -251,82 +508,58 @@ export class MarkdownConverter {
 
   /**
    * Add YAML frontmatter to markdown
+   * Fields and order follow the versioned schema in frontmatter.js
    * @param {string} markdown - Markdown content
    * @param {object} metadata - Metadata object
    * @returns {string} Markdown with frontmatter
    */
   addFrontmatter(markdown, metadata = {}) {
-    const frontmatterLines = ['---'];
-
-    // Essential fields
-    if (metadata.title) {
-      frontmatterLines.push(`title: "${this._escapeFrontmatter(metadata.title)}"`);
-    }
-
-    if (metadata.url) {
-      frontmatterLines.push(`url: ${metadata.url}`);
-    }
-
-    if (metadata.date || metadata.publish_date) {
-      frontmatterLines.push(`date: ${metadata.date || metadata.publish_date}`);
-    }
-
-    if (metadata.author) {
-      frontmatterLines.push(`author: ${this._escapeFrontmatter(metadata.author)}`);
-    }
-
-    // Optional fields
-    if (metadata.platform) {
-      frontmatterLines.push(`platform: ${metadata.platform}`);
-    }
-
-    if (metadata.source_type) {
-      frontmatterLines.push(`source_type: ${metadata.source_type}`);
-    }
-
-    if (metadata.tags && Array.isArray(metadata.tags) && metadata.tags.length > 0) {
-      frontmatterLines.push(`tags: [${metadata.tags.join(', ')}]`);
-    }
-
-    if (metadata.categories && Array.isArray(metadata.categories) && metadata.categories.length > 0) {
-      frontmatterLines.push(`categories: [${metadata.categories.join(', ')}]`);
-    }
-
-    if (metadata.word_count) {
-      frontmatterLines.push(`word_count: ${metadata.word_count}`);
-    }
-
-    // Extraction metadata
-    frontmatterLines.push(`extracted: ${new Date().toISOString()}`);
-
-    if (metadata.extraction_method) {
-      frontmatterLines.push(`extraction_method: ${metadata.extraction_method}`);
-    }
-
-    frontmatterLines.push('---');
-    frontmatterLines.push('');
+    const frontmatter = serializeFrontmatter({
+      ...metadata,
+      date: metadata.date || metadata.publish_date,
+      extracted: new Date().toISOString(),
+      frontmatter_version: FRONTMATTER_VERSION
+    });
 
-    return frontmatterLines.join('\n') + '\n' + markdown;
+    return frontmatter + '\n' + markdown;
   }
 
   /**
-   * Escape special characters in frontmatter values
+   * Read frontmatter back from an artifact
+   * @param {string} markdown - Markdown with optional frontmatter
+   * @returns {object} { data, body, version }
    */
-  _escapeFrontmatter(value) {
-    if (typeof value !== 'string') return value;
+  parseFrontmatter(markdown) {
+    return parseFrontmatter(markdown);
+  }
 
-    return value
-      .replace(/"/g, '\\"')  // Escape quotes
-      .replace(/\n/g, ' ')   // Replace newlines with spaces
-      .trim();
+  /**
+   * Markdown without its frontmatter block (unparseable frontmatter is still removed)
+   */
+  _stripFrontmatter(markdown) {
+    try {
+      return parseFrontmatter(markdown).body;
+    } catch (_error) {
+      return markdown.replace(/^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/, '');
+    }
   }
 
   /**
    * Calculate word count from markdown
+   * Words are segmented per language (CJK and Thai have no spaces between words).
+   * @param {string} markdown - Markdown with optional frontmatter
+   * @param {string} language - ISO 639-1 code (default: frontmatter language)
    */
-  getWordCount(markdown) {
+  getWordCount(markdown, language = null) {
     // Remove frontmatter
-    const withoutFrontmatter = markdown.replace(/^---\n[\s\S]*?\n---\n/m, '');
+    const withoutFrontmatter = this._stripFrontmatter(markdown);
+    if (!language) {
+      try {
+        language = parseFrontmatter(markdown).data.language || null;
+      } catch (_error) {
+        language = null;
+      }
+    }
 
     // Remove code blocks
     const withoutCode = withoutFrontmatter.replace(/```[\s\S]*?```/g, '');
@@ -337,9 +570,7 @@ export class MarkdownConverter {
       .replace(/[*_~`#>\-]/g, '')                 // Formatting
       .replace(/!\[.*?\]\(.*?\)/g, '');          // Images
 
-    // Count words
-    const words = plainText.trim().split(/\s+/).filter(w => w.length > 0);
-    return words.length;
+    return countWords(plainText, language);
   }
 
   /**
@@ -351,7 +582,7 @@ export class MarkdownConverter {
     const lineCount = markdown.split('\n').length;
     const hasHeadings = /^#{1,6}\s+/m.test(markdown);
     const hasLinks = /\[.+?\]\(.+?\)/.test(markdown);
-    const hasFrontmatter = /^---\n/.test(markdown);
+    const hasFrontmatter = this._stripFrontmatter(markdown) !== markdown;
 
     // Check for issues
     const issues = [];
@@ -0,0 +1,315 @@
+/**
+ * Metadata Resolver - Article metadata from structured markup
+ *
+ * Reads every metadata vocabulary a page may carry, then picks one value per
+ * field by precedence:
+ *
+ *   json-ld       <script type="application/ld+json"> Article/BlogPosting/NewsArticle
+ *   opengraph     og:* and article:* meta tags
+ *   twitter       twitter:* cards (Yoast's "Written by" label for author)
+ *   dublin-core   DC.* / dcterms.* meta tags
+ *   microformat   h-entry, schema.org microdata, <time datetime>
+ *   meta          <meta name="author|description">, <html lang>
+ *   html          The extractor's CSS selectors (fallback)
+ *
+ * Dates are normalized to ISO-8601 UTC, languages to ISO 639-1 (a declared
+ * language is only a hint; ArticleExtractor checks it against the text).
+ * Which source won each field is returned alongside the values so artifacts
+ * record where metadata came from.
+ *
+ * Must run on the raw page: extractor cleanup removes <script> and <header>.
+ */
+
+import { normalizeLanguageCode } from './language-detector.js';
+
+const ARTICLE_TYPE_PATTERN = /(Article|BlogPosting|Posting|Report)$/;
+
+/**
+ * Source order per field (first usable value wins)
+ */
+export const FIELD_PRECEDENCE = {
+  site_name: ['opengraph', 'json-ld'],  // First: used to reject site-name authors
+  title: ['json-ld', 'opengraph', 'twitter', 'dublin-core', 'microformat', 'html'],
+  author: ['json-ld', 'microformat', 'opengraph', 'twitter', 'dublin-core', 'meta', 'html'],
+  date: ['json-ld', 'opengraph', 'dublin-core', 'microformat', 'html'],
+  updated: ['json-ld', 'opengraph', 'dublin-core', 'microformat'],
+  excerpt: ['json-ld', 'opengraph', 'twitter', 'dublin-core', 'meta', 'html'],
+  tags: ['json-ld', 'opengraph', 'dublin-core', 'microformat', 'html'],
+  language: ['json-ld', 'meta', 'dublin-core', 'opengraph']  // og:locale is often a theme default
+};
+
+const DATE_FIELDS = new Set(['date', 'updated']);
+
+export class MetadataResolver {
+  /**
+   * Collect candidate values from all structured sources
+   * @param {CheerioAPI} $ - Cheerio instance of the raw page
+   * @returns {object} { 'json-ld': {...}, opengraph: {...}, twitter: {...}, 'dublin-core': {...}, microformat: {...}, meta: {...} }
+   */
+  collect($) {
+    return {
+      'json-ld': this._readJsonLd($),
+      opengraph: this._readOpenGraph($),
+      twitter: this._readTwitter($),
+      'dublin-core': this._readDublinCore($),
+      microformat: this._readMicroformats($),
+      meta: {
+        author: this._meta($, 'author'),
+        excerpt: this._meta($, 'description'),
+        language: $('html').attr('lang') || this._httpEquiv($, 'content-language')
+      }
+    };
+  }
+
+  /**
+   * Pick one value per field by precedence
+   * @param {object} candidates - Output of collect()
+   * @param {object} fallback - Values found by CSS selectors (source 'html')
+   * @returns {object} { values, sources } e.g. sources.date === 'opengraph'
+   */
+  resolve(candidates, fallback = {}) {
+    const bySource = { ...candidates, html: fallback };
+    const values = {};
+    const sources = {};
+
+    for (const [field, order] of Object.entries(FIELD_PRECEDENCE)) {
+      for (const source of order) {
+        const value = this._usableValue(field, bySource[source]?.[field], values);
+
+        if (value !== null) {
+          values[field] = value;
+          sources[field] = source;
+          break;
+        }
+      }
+    }
+
+    return { values, sources };
+  }
+
+  /**
+   * Normalize a date to ISO-8601 UTC
+   * Values without a timezone are taken as UTC.
+   * @param {string|number|Date} value - e.g. '2024-03-05', '2024-03-05T10:00:00+02:00', 'March 5, 2024'
+   * @returns {string|null} e.g. '2024-03-05T08:00:00.000Z'
+   */
+  static normalizeDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+
+    if (value instanceof Date) {
+      date = value;
+    } else if (typeof value === 'number' || /^\d{10}(\d{3})?$/.test(String(value).trim())) {
+      const number = Number(value);
+      date = new Date(number < 1e12 ? number * 1000 : number);  // Unix seconds or ms
+    } else {
+      const text = String(value).trim();
+      const hasZone = /(?:[zZ]|[+-]\d{2}:?\d{2}|\b(?:UTC|GMT))$/.test(text);
+
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        date = new Date(`${text}T00:00:00Z`);
+      } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(text)) {
+        const iso = text.replace(' ', 'T');
+        date = new Date(hasZone ? iso : `${iso}Z`);
+      } else {
+        date = new Date(hasZone ? text : `${text} UTC`);
+        if (Number.isNaN(date.getTime())) {
+          date = new Date(text);
+        }
+      }
+    }
+
+    if (Number.isNaN(date.getTime()) || date.getUTCFullYear() < 1990) {
+      return null;
+    }
+
+    return date.toISOString();
+  }
+
+  /**
+   * Validate/normalize a candidate value (null = not usable)
+   */
+  _usableValue(field, value, resolved) {
+    if (value === undefined || value === null) return null;
+
+    if (field === 'tags') {
+      const tags = (Array.isArray(value) ? value : [value])
+        .map(tag => this._clean(tag))
+        .filter(Boolean);
+      return tags.length > 0 ? [...new Set(tags)] : null;
+    }
+
+    if (DATE_FIELDS.has(field)) {
+      return MetadataResolver.normalizeDate(this._clean(value));
+    }
+
+    const text = this._clean(value);
+    if (!text) return null;
+
+    if (field === 'language') {
+      return normalizeLanguageCode(text);
+    }
+
+    if (field === 'author') {
+      // Profile URLs (article:author) and the site name are not author names
+      const siteName = resolved.site_name?.toLowerCase();
+      if (/^https?:\/\//i.test(text) || (siteName && text.toLowerCase() === siteName)) {
+        return null;
+      }
+    }
+
+    return text;
+  }
+
+  _readJsonLd($) {
+    const result = {};
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        const json = JSON.parse($(el).contents().text());
+        for (const entry of Array.isArray(json) ? json : [json]) {
+          nodes.push(...(Array.isArray(entry?.['@graph']) ? entry['@graph'] : [entry]));
+        }
+      } catch (_e) {
+        // Ignore malformed JSON-LD
+      }
+    });
+
+    const byId = new Map(nodes.filter(node => node?.['@id']).map(node => [node['@id'], node]));
+    const deref = (value) => (value?.['@id'] && byId.has(value['@id']) ? byId.get(value['@id']) : value);
+
+    const article = nodes.find(node => {
+      const types = [].concat(node?.['@type'] || []);
+      return types.some(type => ARTICLE_TYPE_PATTERN.test(type));
+    });
+
+    if (!article) {
+      return result;
+    }
+
+    const authors = [].concat(article.author || [])
+      .map(author => (typeof author === 'string' ? author : deref(author)?.name))
+      .filter(name => typeof name === 'string' && name.trim());
+
+    const keywords = typeof article.keywords === 'string'
+      ? article.keywords.split(',')
+      : [].concat(article.keywords || []);
+
+    result.title = article.headline || article.name || null;
+    result.author = authors.length > 0 ? authors.join(', ') : null;
+    result.date = article.datePublished || article.dateCreated || null;
+    result.updated = article.dateModified || null;
+    result.excerpt = article.description || null;
+    result.site_name = deref(article.publisher)?.name || null;
+    result.tags = keywords.filter(keyword => typeof keyword === 'string');
+    result.language = [].concat(article.inLanguage || [])
+      .map(language => (typeof language === 'string' ? language : language?.alternateName || language?.name))
+      .find(Boolean) || null;
+
+    return result;
+  }
+
+  _readOpenGraph($) {
+    return {
+      title: this._meta($, 'og:title'),
+      author: this._meta($, 'article:author'),
+      date: this._meta($, 'article:published_time'),
+      updated: this._meta($, 'article:modified_time') || this._meta($, 'og:updated_time'),
+      excerpt: this._meta($, 'og:description'),
+      site_name: this._meta($, 'og:site_name'),
+      tags: this._metaAll($, 'article:tag'),
+      language: this._meta($, 'og:locale')
+    };
+  }
+
+  _readTwitter($) {
+    // Yoast and others emit twitter:label1="Written by" / twitter:data1="Name"
+    let author = null;
+    for (let i = 1; i <= 4; i++) {
+      if (/written by|author/i.test(this._meta($, `twitter:label${i}`) || '')) {
+        author = this._meta($, `twitter:data${i}`);
+        break;
+      }
+    }
+
+    return {
+      title: this._meta($, 'twitter:title'),
+      author,
+      excerpt: this._meta($, 'twitter:description')
+    };
+  }
+
+  _readDublinCore($) {
+    const dc = (...names) => {
+      for (const name of names) {
+        const value = this._meta($, `DC.${name}`) || this._meta($, `dcterms.${name}`);
+        if (value) return value;
+      }
+      return null;
+    };
+
+    return {
+      title: dc('title'),
+      author: dc('creator'),
+      date: dc('date.issued', 'issued', 'date', 'created'),
+      updated: dc('modified', 'date.modified'),
+      excerpt: dc('description', 'abstract'),
+      tags: this._metaAll($, 'DC.subject').concat(this._metaAll($, 'dcterms.subject')),
+      language: dc('language')
+    };
+  }
+
+  _readMicroformats($) {
+    const entry = $('.h-entry').first();
+    const scope = entry.length > 0 ? entry : $.root();
+    const dateOf = (selector) => {
+      const el = scope.find(selector).first();
+      return el.attr('datetime') || el.attr('content') || el.attr('title') || el.text() || null;
+    };
+
+    const author = scope.find('.p-author .p-name, .p-author.h-card, .p-author, [itemprop="author"] [itemprop="name"], [itemprop="author"]')
+      .first();
+
+    return {
+      title: entry.length > 0 ? entry.find('.p-name').first().text() || null : null,
+      author: author.attr('content') || author.text() || null,
+      date: dateOf('.dt-published, [itemprop="datePublished"]') ||
+        $('article time[datetime]').first().attr('datetime') ||
+        $('time[datetime]').first().attr('datetime') || null,
+      updated: dateOf('.dt-updated, [itemprop="dateModified"]'),
+      tags: scope.find('.p-category').map((i, el) => $(el).text()).get()
+    };
+  }
+
+  /**
+   * Meta tag content by property or name (case-insensitive)
+   */
+  _meta($, key) {
+    const value = $(`meta[property="${key}" i], meta[name="${key}" i]`).first().attr('content');
+    return value && value.trim() ? value.trim() : null;
+  }
+
+  _httpEquiv($, key) {
+    const value = $(`meta[http-equiv="${key}" i]`).first().attr('content');
+    return value && value.trim() ? value.trim() : null;
+  }
+
+  _metaAll($, key) {
+    return $(`meta[property="${key}" i], meta[name="${key}" i]`)
+      .map((i, el) => $(el).attr('content'))
+      .get()
+      .filter(Boolean);
+  }
+
+  _clean(value) {
+    if (typeof value !== 'string') {
+      return typeof value === 'number' ? String(value) : '';
+    }
+
+    return value.replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default MetadataResolver;
@@ -0,0 +1,497 @@
+/**
+ * Request Scheduler - Token-bucket politeness scheduler for outgoing HTTP requests
+ *
+ * Shared by WebCollector, BlogDiscovery, the YouTube and podcast collectors
+ * and the transcript downloaders so every request in the process counts
+ * against the same budgets. A request starts only when all three levels
+ * have a token and a free slot:
+ *
+ *   global      rate_limits.global      (whole process)
+ *   domain      rate_limits.domain      (per host, across collectors; robots.txt Crawl-delay slows it further)
+ *   collector   rate_limits.{collector} (web, discovery, youtube, podcasts, transcripts, ...)
+ *
+ * 429 responses (and 503 with Retry-After) pause the host until Retry-After
+ * has passed; queued requests for other hosts keep flowing.
+ */
+
+const DEFAULT_LIMITS = {
+  global: { requestsPerMinute: Infinity, concurrency: Infinity },
+  domain: { requestsPerMinute: 10, concurrency: 1 },
+  retryAfter: { defaultSeconds: 30, maxSeconds: 600 }
+};
+
+// rate_limits keys that are not collectors
+const RESERVED_SECTIONS = new Set(['global', 'domain', 'retry_after']);
+
+let sharedScheduler = null;
+let sharedRules = null;   // Rules last applied to sharedScheduler
+
+/**
+ * Token bucket refilled continuously at `rate` tokens per ms
+ */
+class TokenBucket {
+  constructor(requestsPerMinute, capacity = 1) {
+    this.capacity = Math.max(1, capacity);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.setRate(requestsPerMinute);
+  }
+
+  setCapacity(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.tokens = Math.min(this.tokens, this.capacity);
+  }
+
+  setRate(requestsPerMinute) {
+    this.rate = Number.isFinite(requestsPerMinute) && requestsPerMinute > 0
+      ? requestsPerMinute / 60000
+      : Infinity;
+  }
+
+  /**
+   * Time at which a token is available
+   */
+  readyAt(now) {
+    this._refill(now);
+    if (this.tokens >= 1 || this.rate === Infinity) return now;
+    return now + Math.ceil((1 - this.tokens) / this.rate);
+  }
+
+  take(now) {
+    this._refill(now);
+    if (this.rate !== Infinity) this.tokens -= 1;
+  }
+
+  _refill(now) {
+    if (this.rate !== Infinity) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.rate);
+    }
+    this.updatedAt = now;
+  }
+}
+
+export class RequestScheduler {
+  /**
+   * @param {object} options - {
+   *   global: { requestsPerMinute, concurrency },
+   *   domain: { requestsPerMinute, concurrency },
+   *   collectors: { [name]: { requestsPerMinute, concurrency } },
+   *   retryAfter: { defaultSeconds, maxSeconds }
+   * }
+   */
+  constructor(options = {}) {
+    this.limits = resolveLimits(options);
+
+    this.global = this._createLevel(this.limits.global);
+    this.domains = new Map();     // hostname -> level (+ crawlDelay, pausedUntil)
+    this.collectors = new Map();  // name -> level
+
+    this.queue = [];
+    this.timer = null;
+
+    this.stats = {
+      scheduled: 0,
+      throttled: 0,
+      max_queue_depth: 0,
+      total_wait_ms: 0
+    };
+  }
+
+  /**
+   * Build scheduler from parsed download-rules.yaml (rate_limits)
+   * Collector concurrency is read from concurrent_requests, concurrent_downloads
+   * or concurrent_transcriptions; the domain section falls back to
+   * web.requests_per_domain_per_minute.
+   */
+  static fromDownloadRules(downloadRules = {}) {
+    return new RequestScheduler(optionsFromDownloadRules(downloadRules));
+  }
+
+  /**
+   * Replace the limits of a running scheduler
+   * Known hosts and collectors pick up the new rates and slots (robots.txt
+   * Crawl-delay still applies); requests already started keep their slot.
+   * @param {object} options - Same shape as the constructor options
+   */
+  configure(options = {}) {
+    this.limits = resolveLimits(options);
+
+    this._applyLimits(this.global, this.limits.global);
+    for (const level of this.domains.values()) {
+      this._applyLimits(level, this.limits.domain, 1);
+      this._applyCrawlDelay(level);
+    }
+    for (const [name, level] of this.collectors) {
+      this._applyLimits(level, this.limits.collectors[name] || {});
+    }
+
+    this._pump();
+    return this;
+  }
+
+  /**
+   * configure() from parsed download-rules.yaml (rate_limits)
+   */
+  applyDownloadRules(downloadRules = {}) {
+    return this.configure(optionsFromDownloadRules(downloadRules));
+  }
+
+  /**
+   * Run a request once budgets allow it
+   * A returned or thrown axios-style response with status 429 (or 503 with
+   * Retry-After) pauses the host; the error is rethrown for the caller's retry.
+   * @param {string} url - Request URL (its hostname is the domain level)
+   * @param {Function} request - async () => response
+   * @param {object} options - { collector: 'web', crawlDelay: robots.txt Crawl-delay seconds }
+   * @returns {Promise<*>} request() result
+   * @example
+   * const response = await scheduler.schedule(url, () => axios.get(url), { collector: 'discovery' });
+   */
+  async schedule(url, request, options = {}) {
+    const release = await this.acquire(url, options);
+
+    try {
+      const response = await request();
+      this.noteResponse(url, response);
+      return response;
+    } catch (error) {
+      this.noteResponse(url, error?.response);
+      throw error;
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Wait for a token and a slot at every level
+   * @returns {Promise<Function>} release() - call when the request finished
+   */
+  acquire(url, options = {}) {
+    const domain = hostnameOf(url);
+    const collector = options.collector || 'web';
+
+    if (options.crawlDelay) {
+      this.setCrawlDelay(url, options.crawlDelay);
+    }
+
+    return new Promise(resolve => {
+      const entry = { domain, collector, resolve, queuedAt: Date.now() };
+      this.queue.push(entry);
+      this._level('domain', domain).queued++;
+      this._level('collector', collector).queued++;
+      this.stats.max_queue_depth = Math.max(this.stats.max_queue_depth, this.queue.length);
+      this._pump();
+    });
+  }
+
+  /**
+   * Wait for a request slot without holding it (for hooks that cannot wrap the request)
+   * @param {string} url - Request URL
+   * @param {number|null} crawlDelaySeconds - robots.txt Crawl-delay
+   * @param {object} options - { collector }
+   */
+  async wait(url, crawlDelaySeconds = null, options = {}) {
+    const release = await this.acquire(url, { ...options, crawlDelay: crawlDelaySeconds });
+    release();
+  }
+
+  /**
+   * Slow a host down to robots.txt Crawl-delay (kept if slower than the domain rate)
+   */
+  setCrawlDelay(url, seconds) {
+    const level = this._level('domain', hostnameOf(url));
+    const delay = Number(seconds);
+
+    if (Number.isFinite(delay) && delay > 0 && delay !== level.crawlDelay) {
+      level.crawlDelay = delay;
+      this._applyCrawlDelay(level);
+    }
+  }
+
+  /**
+   * Pause a host when a response asks us to back off
+   * @param {string} url - Request URL
+   * @param {object} response - { status, headers } (axios response or error.response)
+   * @returns {number} Pause in ms (0 if none)
+   */
+  noteResponse(url, response) {
+    const status = response?.status;
+    const retryAfter = parseRetryAfter(headerValue(response?.headers, 'retry-after'));
+
+    if (status !== 429 && !(status === 503 && retryAfter !== null)) {
+      return 0;
+    }
+
+    const { defaultSeconds, maxSeconds } = this.limits.retryAfter;
+    const pauseMs = Math.min(retryAfter ?? defaultSeconds * 1000, maxSeconds * 1000);
+    const domain = hostnameOf(url);
+    const level = this._level('domain', domain);
+
+    level.pausedUntil = Math.max(level.pausedUntil, Date.now() + pauseMs);
+    this.stats.throttled++;
+    console.warn(`⏸️  ${domain} responded ${status}, pausing requests for ${Math.round(pauseMs / 1000)}s`);
+
+    this._pump();
+    return pauseMs;
+  }
+
+  /**
+   * Queue depth and throttling counters
+   * @returns {object} { queued, active, max_queue_depth, scheduled, throttled, avg_wait_ms, domains, collectors }
+   */
+  getStats() {
+    const now = Date.now();
+    const busy = (levels) => Object.fromEntries(
+      [...levels]
+        .filter(([, level]) => level.queued > 0 || level.active > 0 || level.pausedUntil > now)
+        .map(([name, level]) => [name, {
+          queued: level.queued,
+          active: level.active,
+          ...(level.pausedUntil > now ? { paused_until: new Date(level.pausedUntil).toISOString() } : {})
+        }])
+    );
+
+    return {
+      queued: this.queue.length,
+      active: this.global.active,
+      max_queue_depth: this.stats.max_queue_depth,
+      scheduled: this.stats.scheduled,
+      throttled: this.stats.throttled,
+      avg_wait_ms: this.stats.scheduled > 0 ? Math.round(this.stats.total_wait_ms / this.stats.scheduled) : 0,
+      domains: busy(this.domains),
+      collectors: busy(this.collectors)
+    };
+  }
+
+  /**
+   * Forget per-domain history (queued requests are kept)
+   */
+  clear() {
+    for (const [domain, level] of this.domains) {
+      if (level.queued === 0 && level.active === 0) {
+        this.domains.delete(domain);
+      }
+    }
+  }
+
+  /**
+   * Start every queued request whose levels allow it; re-arm the timer for the earliest token
+   */
+  _pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let nextAt = Infinity;
+
+    for (let i = 0; i < this.queue.length;) {
+      const entry = this.queue[i];
+      const levels = [this.global, this._level('domain', entry.domain), this._level('collector', entry.collector)];
+      const readyAt = this._readyAt(levels, now);
+
+      if (readyAt <= now) {
+        this.queue.splice(i, 1);
+        this._start(entry, levels, now);
+      } else {
+        nextAt = Math.min(nextAt, readyAt);
+        i++;
+      }
+    }
+
+    // Infinity: everything left waits for a slot, release() pumps again
+    if (nextAt !== Infinity) {
+      this.timer = setTimeout(() => this._pump(), nextAt - now);
+    }
+  }
+
+  _readyAt(levels, now) {
+    let readyAt = now;
+
+    for (const level of levels) {
+      if (level.active >= level.concurrency) return Infinity;
+      readyAt = Math.max(readyAt, level.bucket.readyAt(now), level.pausedUntil);
+    }
+
+    return readyAt;
+  }
+
+  _start(entry, levels, now) {
+    for (const level of levels) {
+      level.bucket.take(now);
+      level.active++;
+    }
+    levels[1].queued--;
+    levels[2].queued--;
+
+    this.stats.scheduled++;
+    this.stats.total_wait_ms += now - entry.queuedAt;
+
+    let released = false;
+    entry.resolve(() => {
+      if (released) return;
+      released = true;
+
+      for (const level of levels) {
+        level.active--;
+      }
+      this._pump();
+    });
+  }
+
+  _level(kind, name) {
+    const levels = kind === 'domain' ? this.domains : this.collectors;
+
+    if (!levels.has(name)) {
+      levels.set(name, kind === 'domain'
+        ? this._createLevel(this.limits.domain, 1)  // No bursts per host: keeps spacing even
+        : this._createLevel(this.limits.collectors[name] || {}));
+    }
+
+    return levels.get(name);
+  }
+
+  /**
+   * @param {object} limits - { requestsPerMinute, concurrency }
+   * @param {number|null} burst - Bucket capacity (default: the concurrency)
+   */
+  _createLevel({ requestsPerMinute = Infinity, concurrency = Infinity } = {}, burst = null) {
+    const slots = slotsFor(concurrency);
+
+    return {
+      bucket: new TokenBucket(requestsPerMinute, burst ?? (Number.isFinite(slots) ? slots : 1)),
+      concurrency: slots,
+      active: 0,
+      queued: 0,
+      pausedUntil: 0,
+      crawlDelay: null
+    };
+  }
+
+  /**
+   * Update an existing level's rate, slots and bucket capacity (burst as in _createLevel)
+   */
+  _applyLimits(level, { requestsPerMinute = Infinity, concurrency = Infinity } = {}, burst = null) {
+    level.concurrency = slotsFor(concurrency);
+    level.bucket.setCapacity(burst ?? (Number.isFinite(level.concurrency) ? level.concurrency : 1));
+    level.bucket.setRate(requestsPerMinute);
+  }
+
+  /**
+   * Slow a domain level to its Crawl-delay when that is slower than the domain rate
+   */
+  _applyCrawlDelay(level) {
+    if (!level.crawlDelay) return;
+
+    const crawlRate = 60 / level.crawlDelay;
+    const domainRate = this.limits.domain.requestsPerMinute;
+    level.bucket.setRate(Number.isFinite(domainRate) ? Math.min(domainRate, crawlRate) : crawlRate);
+  }
+}
+
+/**
+ * Process-wide scheduler
+ * Every call that passes download rules applies their rate_limits, so the
+ * budgets do not depend on which collector asked first; calls without rules
+ * get the scheduler as last configured (defaults until rules are passed).
+ * @param {object|null} downloadRules - Parsed download-rules.yaml
+ */
+export function getRequestScheduler(downloadRules = null) {
+  if (!sharedScheduler) {
+    sharedScheduler = RequestScheduler.fromDownloadRules(downloadRules || {});
+  } else if (downloadRules && downloadRules !== sharedRules) {
+    sharedScheduler.applyDownloadRules(downloadRules);
+  }
+
+  sharedRules = downloadRules || sharedRules;
+  return sharedScheduler;
+}
+
+/**
+ * Constructor options merged over the defaults
+ */
+function resolveLimits(options = {}) {
+  return {
+    global: { ...DEFAULT_LIMITS.global, ...definedValues(options.global) },
+    domain: { ...DEFAULT_LIMITS.domain, ...definedValues(options.domain) },
+    collectors: Object.fromEntries(
+      Object.entries(options.collectors || {}).map(([name, limits]) => [name, definedValues(limits)])
+    ),
+    retryAfter: { ...DEFAULT_LIMITS.retryAfter, ...definedValues(options.retryAfter) }
+  };
+}
+
+/**
+ * Scheduler options from parsed download-rules.yaml (rate_limits)
+ */
+function optionsFromDownloadRules(downloadRules = {}) {
+  const rateLimits = downloadRules.rate_limits || {};
+  const collectors = {};
+
+  for (const [name, section] of Object.entries(rateLimits)) {
+    if (RESERVED_SECTIONS.has(name) || !section || typeof section !== 'object') continue;
+
+    collectors[name] = {
+      requestsPerMinute: section.requests_per_minute,
+      concurrency: section.concurrent_requests ?? section.concurrent_downloads ?? section.concurrent_transcriptions
+    };
+  }
+
+  return {
+    global: {
+      requestsPerMinute: rateLimits.global?.requests_per_minute,
+      concurrency: rateLimits.global?.concurrent_requests
+    },
+    domain: {
+      requestsPerMinute: rateLimits.domain?.requests_per_minute ?? rateLimits.web?.requests_per_domain_per_minute,
+      concurrency: rateLimits.domain?.concurrent_requests
+    },
+    collectors,
+    retryAfter: {
+      defaultSeconds: rateLimits.retry_after?.default_seconds,
+      maxSeconds: rateLimits.retry_after?.max_seconds
+    }
+  };
+}
+
+function slotsFor(concurrency) {
+  return Number.isFinite(concurrency) && concurrency > 0 ? concurrency : Infinity;
+}
+
+/**
+ * Retry-After header (delta-seconds or HTTP date) in ms, null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_error) {
+    return String(url);
+  }
+}
+
+function definedValues(object = {}) {
+  return Object.fromEntries(
+    Object.entries(object || {}).filter(([, value]) => value !== undefined && value !== null)
+  );
+}
+
+export default RequestScheduler;
@@ -0,0 +1,341 @@
+/**
+ * Robots Parser - RFC 9309 robots.txt compliance
+ *
+ * Shared by WebCollector and BlogDiscovery:
+ * - Groups matched by product token (case-insensitive), falling back to `*`
+ * - Allow/Disallow with `*` and `$` wildcards, longest match wins (Allow wins ties)
+ * - Case-sensitive path matching against path + query
+ * - Crawl-delay and Sitemap lines (non-standard but widely used)
+ * - 4xx robots.txt = allow all, 5xx/unreachable = disallow all
+ */
+
+import axios from 'axios';
+
+const MAX_ROBOTS_BYTES = 500 * 1024; // RFC 9309 minimum parsing limit
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Extract product token from a User-Agent string
+ * @param {string} userAgent - e.g. 'AIOS-ETL-Collector/1.0 (Educational/Research)'
+ * @returns {string} Lowercased token, e.g. 'aios-etl-collector'
+ * @example
+ * getProductToken('AIOS-ETL-Collector/1.0 (Educational/Research)')
+ * // Returns: 'aios-etl-collector'
+ */
+export function getProductToken(userAgent = '') {
+  const match = String(userAgent).trim().match(/^[^\s/;(]+/);
+  return match ? match[0].toLowerCase() : '*';
+}
+
+/**
+ * Normalize path for octet comparison
+ * Uppercases percent escapes and percent-encodes non-ASCII characters
+ */
+function normalizePath(value) {
+  let normalized = '';
+
+  for (const char of value.replace(/%[0-9a-f]{2}/gi, escape => escape.toUpperCase())) {
+    normalized += char.charCodeAt(0) > 0x7f ? encodeURIComponent(char) : char;
+  }
+
+  return normalized;
+}
+
+/**
+ * Compile robots path pattern into a RegExp
+ */
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const source = body
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+export class RobotsTxt {
+  constructor(groups = [], sitemaps = [], status = 'parsed') {
+    this.groups = groups;
+    this.sitemaps = sitemaps;
+    this.status = status;
+  }
+
+  /**
+   * Parse robots.txt content
+   * @param {string} text - robots.txt body
+   * @returns {RobotsTxt}
+   */
+  static parse(text = '') {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    const lines = String(text).slice(0, MAX_ROBOTS_BYTES).split(/\r\n|\r|\n/);
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+
+      if (!line || separator === -1) {
+        return;
+      }
+
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      switch (key) {
+        case 'user-agent':
+          // Consecutive user-agent lines share one group
+          if (!current || !lastWasAgent) {
+            current = { agents: [], rules: [], crawlDelay: null };
+            groups.push(current);
+          }
+          current.agents.push(value === '*' ? '*' : getProductToken(value));
+          lastWasAgent = true;
+          break;
+
+        case 'allow':
+        case 'disallow':
+          if (!current) break;  // Rules before any user-agent are ignored
+          lastWasAgent = false;
+
+          // Empty Disallow means "allow everything", it is not a rule
+          if (value) {
+            const pattern = normalizePath(value);
+            current.rules.push({
+              directive: key,
+              pattern: value,
+              line: index + 1,
+              length: pattern.length,
+              matcher: compilePattern(pattern)
+            });
+          }
+          break;
+
+        case 'crawl-delay': {
+          if (!current) break;
+          lastWasAgent = false;
+
+          const delay = parseFloat(value);
+          if (!Number.isNaN(delay) && delay >= 0) {
+            current.crawlDelay = delay;
+          }
+          break;
+        }
+
+        case 'sitemap':
+          // Sitemap lines are global, not group members
+          if (value) sitemaps.push(value);
+          break;
+
+        default:
+          // Unknown directives are ignored
+          break;
+      }
+    });
+
+    return new RobotsTxt(groups, sitemaps);
+  }
+
+  /**
+   * robots.txt missing (4xx): everything allowed
+   */
+  static allowAll(status = 'unavailable') {
+    return new RobotsTxt([], [], status);
+  }
+
+  /**
+   * robots.txt unreachable (5xx/network): everything disallowed
+   */
+  static disallowAll(status = 'unreachable') {
+    return new RobotsTxt([{
+      agents: ['*'],
+      rules: [{ directive: 'disallow', pattern: '/', line: null, length: 1, matcher: /^\// }],
+      crawlDelay: null
+    }], [], status);
+  }
+
+  /**
+   * Find groups that apply to a user agent
+   * Exact product token groups win; otherwise `*` groups apply
+   */
+  _matchGroups(userAgent) {
+    const token = getProductToken(userAgent);
+    const specific = this.groups.filter(group => group.agents.includes(token));
+
+    if (specific.length > 0) {
+      return { agent: token, groups: specific };
+    }
+
+    const wildcard = this.groups.filter(group => group.agents.includes('*'));
+    return { agent: wildcard.length > 0 ? '*' : null, groups: wildcard };
+  }
+
+  /**
+   * Check if a path is allowed for a user agent
+   * @param {string} pathWithQuery - URL path including query string
+   * @param {string} userAgent - Our configured User-Agent
+   * @returns {object} { allowed, rule, agent, crawl_delay, status }
+   */
+  check(pathWithQuery, userAgent) {
+    const { agent, groups } = this._matchGroups(userAgent);
+    const crawlDelay = groups.find(group => group.crawlDelay !== null)?.crawlDelay ?? null;
+    const path = normalizePath(pathWithQuery || '/');
+
+    const decision = {
+      allowed: true,
+      rule: null,
+      agent,
+      crawl_delay: crawlDelay,
+      status: this.status
+    };
+
+    // robots.txt itself is always allowed
+    if (path === '/robots.txt') {
+      return decision;
+    }
+
+    let best = null;
+
+    for (const group of groups) {
+      for (const rule of group.rules) {
+        if (!rule.matcher.test(path)) continue;
+
+        const longer = !best || rule.length > best.length;
+        const allowWinsTie = best && rule.length === best.length &&
+          rule.directive === 'allow' && best.directive === 'disallow';
+
+        if (longer || allowWinsTie) {
+          best = rule;
+        }
+      }
+    }
+
+    if (best) {
+      decision.allowed = best.directive === 'allow';
+      decision.rule = {
+        directive: best.directive,
+        pattern: best.pattern,
+        line: best.line
+      };
+    }
+
+    return decision;
+  }
+
+  /**
+   * Convenience boolean check
+   */
+  isAllowed(pathWithQuery, userAgent) {
+    return this.check(pathWithQuery, userAgent).allowed;
+  }
+
+  /**
+   * Crawl-delay (seconds) for a user agent, or null
+   */
+  getCrawlDelay(userAgent) {
+    return this._matchGroups(userAgent).groups
+      .find(group => group.crawlDelay !== null)?.crawlDelay ?? null;
+  }
+
+  /**
+   * Sitemap URLs declared in robots.txt
+   */
+  getSitemaps() {
+    return [...this.sitemaps];
+  }
+}
+
+/**
+ * Fetches and caches robots.txt per origin
+ * With requestProfiles, robots.txt is fetched with the access profile (proxy,
+ * headers, cookies) of the first source that asks for the origin.
+ */
+export class RobotsChecker {
+  /**
+   * @param {object} options - { userAgent, timeout, requestProfiles (RequestProfiles) }
+   */
+  constructor(options = {}) {
+    this.options = {
+      userAgent: options.userAgent || 'AIOS-ETL-Collector/1.0 (Educational/Research)',
+      timeout: options.timeout || DEFAULT_TIMEOUT
+    };
+    this.requestProfiles = options.requestProfiles || null;
+
+    this.cache = new Map(); // origin -> Promise<RobotsTxt>
+  }
+
+  /**
+   * Get parsed robots.txt for a URL's origin
+   * @param {string} url - Any URL on the site
+   * @param {object} source - Source entry (optional `access` block)
+   * @returns {Promise<RobotsTxt>}
+   */
+  async getRobots(url, source = {}) {
+    const origin = new URL(url).origin;
+
+    if (!this.cache.has(origin)) {
+      this.cache.set(origin, this._fetchRobots(origin, source));
+    }
+
+    return this.cache.get(origin);
+  }
+
+  /**
+   * Check a URL against its site's robots.txt
+   * @param {string} url - URL to check
+   * @param {object} source - Source entry (optional `access` block)
+   * @returns {Promise<object>} { allowed, rule, agent, crawl_delay, status, robots_url }
+   */
+  async check(url, source = {}) {
+    const urlObj = new URL(url);
+    const robots = await this.getRobots(url, source);
+
+    return {
+      ...robots.check(urlObj.pathname + urlObj.search, this.options.userAgent),
+      robots_url: `${urlObj.origin}/robots.txt`
+    };
+  }
+
+  /**
+   * Clear cached robots.txt files
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  async _fetchRobots(origin, source = {}) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const config = {
+      headers: { 'User-Agent': this.options.userAgent },
+      timeout: this.options.timeout,
+      maxRedirects: 5,
+      responseType: 'text',
+      validateStatus: () => true
+    };
+
+    try {
+      const response = this.requestProfiles
+        ? (await this.requestProfiles.get(robotsUrl, config, source)).response
+        : await axios.get(robotsUrl, config);
+
+      if (response.status >= 200 && response.status < 300) {
+        return RobotsTxt.parse(typeof response.data === 'string' ? response.data : '');
+      }
+
+      if (response.status >= 400 && response.status < 500) {
+        return RobotsTxt.allowAll();
+      }
+
+      return RobotsTxt.disallowAll();
+
+    } catch (_error) {
+      return RobotsTxt.disallowAll();
+    }
+  }
+}
+
+export default RobotsTxt;
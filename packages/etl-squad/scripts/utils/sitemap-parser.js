@@ -0,0 +1,193 @@
+/**
+ * Sitemap Parser - sitemap.xml discovery for BlogDiscovery
+ *
+ * Handles:
+ * - Sitemap URLs declared in robots.txt (falls back to common locations)
+ * - Sitemap indexes (recursive, bounded)
+ * - Gzip sitemaps (.xml.gz or gzip payload)
+ * - <lastmod> dates
+ */
+
+import axios from 'axios';
+import zlib from 'zlib';
+import * as cheerio from 'cheerio';
+
+const DEFAULT_SITEMAP_PATHS = [
+  '/sitemap.xml',
+  '/sitemap_index.xml',
+  '/wp-sitemap.xml',
+  '/sitemap.xml.gz'
+];
+
+// Child sitemaps that list taxonomy/author/static pages rather than posts
+const NON_POST_SITEMAP_PATTERNS = [
+  /(^|[/_-])(page|category|categories|tag|tags|author|authors|user|users|taxonomies)[-_]?sitemap/i,
+  /sitemap[-_](page|pages|category|categories|tag|tags|author|authors|user|users)\b/i,
+  /wp-sitemap-(taxonomies|users)-/i,
+  /wp-sitemap-posts-page-/i
+];
+
+export class SitemapParser {
+  constructor(options = {}) {
+    this.options = {
+      userAgent: options.userAgent || 'AIOS-ETL-BlogDiscovery/1.0',
+      timeout: options.timeout || 30000,
+      maxSitemaps: options.maxSitemaps || 50,
+      maxUrls: options.maxUrls || 10000,
+      // Per sitemap, after decompression (the sitemaps.org limit is 50 MB uncompressed)
+      maxBytes: options.maxBytes || 50 * 1024 * 1024,
+      // Optional async (url) => void that throws if fetching is not allowed
+      assertAllowed: options.assertAllowed || null,
+      // Optional (url, request) => Promise that runs the request (e.g. RequestScheduler)
+      schedule: options.schedule || null
+    };
+  }
+
+  /**
+   * Discover all URLs listed in a site's sitemaps
+   * @param {string} siteUrl - Any URL on the site
+   * @param {Array<string>} declaredSitemaps - Sitemap URLs from robots.txt
+   * @returns {Promise<Array<{url: string, lastmod: Date|null}>>}
+   */
+  async discover(siteUrl, declaredSitemaps = []) {
+    const candidates = declaredSitemaps.length > 0
+      ? declaredSitemaps
+      : DEFAULT_SITEMAP_PATHS.map(sitemapPath => new URL(sitemapPath, siteUrl).href);
+
+    const state = {
+      visited: new Set(),
+      entries: new Map()  // url -> { url, lastmod }
+    };
+
+    for (const sitemapUrl of candidates) {
+      await this._crawl(sitemapUrl, state);
+
+      // Default locations usually alias each other; stop at the first that works
+      if (declaredSitemaps.length === 0 && state.entries.size > 0) {
+        break;
+      }
+    }
+
+    return Array.from(state.entries.values());
+  }
+
+  /**
+   * Parse sitemap XML
+   * @param {string} xml - Sitemap or sitemap index XML
+   * @returns {object} { type: 'index'|'urlset'|'unknown', entries: [{ url, lastmod }] }
+   */
+  parse(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    const readEntries = (selector) => {
+      const entries = [];
+
+      $(selector).each((i, el) => {
+        const url = $(el).children('loc').first().text().trim();
+        const lastmod = $(el).children('lastmod').first().text().trim();
+
+        if (url) {
+          entries.push({ url, lastmod: this._parseDate(lastmod) });
+        }
+      });
+
+      return entries;
+    };
+
+    if ($('sitemapindex').length > 0) {
+      return { type: 'index', entries: readEntries('sitemapindex > sitemap') };
+    }
+
+    if ($('urlset').length > 0) {
+      return { type: 'urlset', entries: readEntries('urlset > url') };
+    }
+
+    return { type: 'unknown', entries: [] };
+  }
+
+  /**
+   * Check if a child sitemap likely lists posts (not pages/taxonomies)
+   */
+  isPostSitemap(sitemapUrl) {
+    return !NON_POST_SITEMAP_PATTERNS.some(pattern => pattern.test(sitemapUrl));
+  }
+
+  async _crawl(sitemapUrl, state) {
+    if (state.visited.has(sitemapUrl) ||
+        state.visited.size >= this.options.maxSitemaps ||
+        state.entries.size >= this.options.maxUrls) {
+      return;
+    }
+
+    state.visited.add(sitemapUrl);
+
+    let xml;
+    try {
+      xml = await this._fetchSitemap(sitemapUrl);
+    } catch (_error) {
+      return; // Missing or blocked sitemap, try the next one
+    }
+
+    const sitemap = this.parse(xml);
+
+    if (sitemap.type === 'index') {
+      for (const child of sitemap.entries) {
+        if (this.isPostSitemap(child.url)) {
+          await this._crawl(child.url, state);
+        }
+      }
+      return;
+    }
+
+    for (const entry of sitemap.entries) {
+      if (state.entries.size >= this.options.maxUrls) break;
+
+      if (!state.entries.has(entry.url)) {
+        state.entries.set(entry.url, entry);
+      }
+    }
+  }
+
+  async _fetchSitemap(sitemapUrl) {
+    if (this.options.assertAllowed) {
+      await this.options.assertAllowed(sitemapUrl);
+    }
+
+    const request = () => axios.get(sitemapUrl, {
+      headers: {
+        'User-Agent': this.options.userAgent,
+        'Accept': 'application/xml,text/xml,application/gzip,*/*;q=0.8'
+      },
+      timeout: this.options.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: this.options.maxBytes
+    });
+
+    const response = this.options.schedule
+      ? await this.options.schedule(sitemapUrl, request)
+      : await request();
+
+    let buffer = Buffer.from(response.data);
+
+    // Gzip magic bytes (servers often send .xml.gz without Content-Encoding)
+    if (buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      try {
+        buffer = zlib.gunzipSync(buffer, { maxOutputLength: this.options.maxBytes });
+      } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw error;
+        throw new Error(`Sitemap ${sitemapUrl} is larger than ${this.options.maxBytes} bytes uncompressed`);
+      }
+    }
+
+    return buffer.toString('utf8');
+  }
+
+  _parseDate(value) {
+    if (!value) return null;
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+}
+
+export default SitemapParser;
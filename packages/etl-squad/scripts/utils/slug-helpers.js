@@ -0,0 +1,116 @@
+/**
+ * Slug Helpers - Deterministic, filesystem-safe slugs
+ *
+ * Titles are transliterated to ASCII (Latin diacritics, Cyrillic, Greek) so
+ * non-English titles produce readable slugs instead of empty strings.
+ * Scripts without a table here (CJK, Arabic, ...) yield '' and callers fall back.
+ */
+
+import crypto from 'crypto';
+
+const MAX_SLUG_LENGTH = 100;
+
+// Characters NFKD does not decompose into base letter + combining mark
+const LATIN_MAP = {
+  'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'œ': 'oe', 'Œ': 'OE', 'ø': 'o', 'Ø': 'O',
+  'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'TH', 'ł': 'l', 'Ł': 'L',
+  'ı': 'i', 'ŋ': 'ng', 'ſ': 's', '&': ' and '
+};
+
+const CYRILLIC_MAP = {
+  'а': 'a', 'б': 'b', 'в': 'v', 'г': 'g', 'д': 'd', 'е': 'e', 'ё': 'yo', 'ж': 'zh',
+  'з': 'z', 'и': 'i', 'й': 'y', 'к': 'k', 'л': 'l', 'м': 'm', 'н': 'n', 'о': 'o',
+  'п': 'p', 'р': 'r', 'с': 's', 'т': 't', 'у': 'u', 'ф': 'f', 'х': 'kh', 'ц': 'ts',
+  'ч': 'ch', 'ш': 'sh', 'щ': 'shch', 'ъ': '', 'ы': 'y', 'ь': '', 'э': 'e', 'ю': 'yu',
+  'я': 'ya', 'є': 'ye', 'і': 'i', 'ї': 'yi', 'ґ': 'g', 'ў': 'u', 'ј': 'j', 'љ': 'lj',
+  'њ': 'nj', 'ћ': 'c', 'ђ': 'dj', 'џ': 'dz'
+};
+
+const GREEK_MAP = {
+  'α': 'a', 'β': 'v', 'γ': 'g', 'δ': 'd', 'ε': 'e', 'ζ': 'z', 'η': 'i', 'θ': 'th',
+  'ι': 'i', 'κ': 'k', 'λ': 'l', 'μ': 'm', 'ν': 'n', 'ξ': 'x', 'ο': 'o', 'π': 'p',
+  'ρ': 'r', 'σ': 's', 'ς': 's', 'τ': 't', 'υ': 'y', 'φ': 'f', 'χ': 'ch', 'ψ': 'ps',
+  'ω': 'o'
+};
+
+/**
+ * Transliterate text to ASCII where a mapping is known
+ * @param {string} text - Any Unicode text
+ * @returns {string} ASCII text (unknown scripts are dropped)
+ * @example
+ * transliterate('Привет, мир — café')
+ * // Returns: 'Privet, mir — cafe'
+ */
+export function transliterate(text = '') {
+  let result = '';
+
+  for (const char of String(text)) {
+    if (LATIN_MAP[char] !== undefined) {
+      result += LATIN_MAP[char];
+      continue;
+    }
+
+    const lower = char.toLowerCase();
+    const mapped = CYRILLIC_MAP[lower] ?? GREEK_MAP[lower.normalize('NFD').replace(/\p{M}/gu, '')];
+
+    if (mapped !== undefined) {
+      result += char !== lower && mapped ? mapped[0].toUpperCase() + mapped.slice(1) : mapped;
+      continue;
+    }
+
+    // Latin diacritics: é -> e + combining accent -> e
+    result += char.normalize('NFKD').replace(/\p{M}/gu, '');
+  }
+
+  return result;
+}
+
+/**
+ * Convert text to a lowercase ASCII slug
+ * @param {string} text - Title or identifier
+ * @param {number} maxLength - Maximum length (cut at a word boundary)
+ * @returns {string} Slug, or '' if nothing transliterable remains
+ * @example
+ * slugify('Über die Zukunft: Ästhetik & Ethik')
+ * // Returns: 'uber-die-zukunft-asthetik-and-ethik'
+ */
+export function slugify(text = '', maxLength = MAX_SLUG_LENGTH) {
+  const slug = transliterate(text)
+    .toLowerCase()
+    .replace(/['’]/g, '')          // Keep contractions together (don't -> dont)
+    .replace(/[^a-z0-9]+/g, '-')   // Everything else separates words
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= maxLength) {
+    return slug;
+  }
+
+  const truncated = slug.substring(0, maxLength);
+  const lastHyphen = truncated.lastIndexOf('-');
+  return (lastHyphen > maxLength / 2 ? truncated.substring(0, lastHyphen) : truncated).replace(/-+$/, '');
+}
+
+/**
+ * Slug prefix for a URL's domain (without www.)
+ * @param {string} url - Source URL
+ * @returns {string}
+ * @example
+ * domainSlug('https://www.blog.samaltman.com/post')
+ * // Returns: 'blog-samaltman-com'
+ */
+export function domainSlug(url) {
+  try {
+    return slugify(new URL(url).hostname.replace(/^www\./, ''));
+  } catch (_error) {
+    return '';
+  }
+}
+
+/**
+ * Short stable hash for fallback slugs
+ * @param {string} value - e.g. source URL
+ * @returns {string} 8 hex characters
+ */
+export function shortHash(value = '') {
+  return crypto.createHash('sha256').update(String(value)).digest('hex').substring(0, 8);
+}
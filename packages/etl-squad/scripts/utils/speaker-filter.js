@@ -4,12 +4,17 @@
  * Uses AssemblyAI diarization data to identify and extract relevant content
  */
 
+import { resolveLanguage, normalizeLanguageCode, countWords } from './language-detector.js';
+import { serializeFrontmatter, FRONTMATTER_VERSION } from './frontmatter.js';
+
 /**
  * Calculate speaker statistics from transcript utterances
  * @param {Array} utterances - Array of utterance objects from AssemblyAI
+ * @param {object} options - { language: ISO 639-1 code for word segmentation }
  * @returns {object} Speaker statistics
  */
-export function calculateSpeakerStats(_utterances) {
+export function calculateSpeakerStats(utterances, options = {}) {
+  const { language = null } = options;
   const stats = {};
 
   utterances.forEach(utterance => {
@@ -29,7 +34,7 @@ export function calculateSpeakerStats(_utterances) {
     }
 
     const duration = utterance.end - utterance.start;
-    const wordCount = utterance.text.split(/\s+/).length;
+    const wordCount = countWords(utterance.text, language);
 
     stats[speaker].utteranceCount++;
     stats[speaker].totalDuration += duration;
@@ -191,11 +196,23 @@ function pad(num) {
   return String(num).padStart(2, '0');
 }
 
+/**
+ * Resolve transcript language: the collector's value, then AssemblyAI's
+ * language_code (set when language_detection was used), then the text itself
+ * @returns {string} ISO 639-1 code or 'und'
+ */
+export function resolveTranscriptLanguage(transcriptData, sourceMetadata = {}) {
+  const declared = normalizeLanguageCode(sourceMetadata.language) ||
+    normalizeLanguageCode(transcriptData.language_code);
+
+  return declared || resolveLanguage({ text: transcriptData.text }).language;
+}
+
 /**
  * Create complete transcript markdown with metadata
- * @param {object} transcriptData - Complete transcript data from AssemblyAI
- * @param {object} sourceMetadata - Source metadata (title, url, etc)
- * @returns {string} Complete markdown document
+ * @param {object} transcriptData - Normalized transcript (any transcription provider)
+ * @param {object} sourceMetadata - Source metadata (title, url, language, etc)
+ * @returns {string} Complete markdown document (with YAML frontmatter)
  */
 export function createTranscriptDocument(transcriptData, sourceMetadata = {}) {
   const {
@@ -206,15 +223,27 @@ export function createTranscriptDocument(transcriptData, sourceMetadata = {}) {
     confidence = 0
   } = transcriptData;
 
+  const language = resolveTranscriptLanguage(transcriptData, sourceMetadata);
+
   // Identify target speaker
   const targetSpeaker = identifyTargetSpeaker(utterances);
-  const stats = calculateSpeakerStats(utterances);
+  const stats = calculateSpeakerStats(utterances, { language });
 
   // Filter for target speaker
   const targetUtterances = filterByTargetSpeaker(utterances, targetSpeaker);
 
   // Build markdown
-  let markdown = '';
+  let markdown = serializeFrontmatter({
+    title: sourceMetadata.title,
+    url: sourceMetadata.url,
+    date: sourceMetadata.publish_date || sourceMetadata.date,
+    source_type: sourceMetadata.source_type,
+    language,
+    word_count: countWords(text, language),
+    extracted: new Date().toISOString(),
+    extraction_method: transcriptData.provider || 'assemblyai',
+    frontmatter_version: FRONTMATTER_VERSION
+  }) + '\n';
 
   // Add title
   if (sourceMetadata.title) {
@@ -306,7 +335,9 @@ export function validateTranscriptQuality(transcriptData) {
   }
 
   // Check speaker diarization
-  const stats = calculateSpeakerStats(utterances);
+  const stats = calculateSpeakerStats(utterances, {
+    language: resolveTranscriptLanguage(transcriptData)
+  });
   const speakerCount = Object.keys(stats).length;
 
   if (speakerCount === 0) {
@@ -0,0 +1,178 @@
+/**
+ * Transcription Budget - Spending caps checked before a job is submitted
+ *
+ * Caps come from mcp-config.yaml (`budgets`), in USD; unset = no cap:
+ *   per_run_usd    spent by this process
+ *   per_mind_usd   everything charged to one mind (docs/minds/<mind>/...)
+ *   monthly_usd    everything charged this calendar month (UTC)
+ *
+ * A job is checked with its estimated cost plus the estimates of jobs still
+ * in flight. Over a cap it is refused (on_exceed: refuse) or written to the
+ * cost ledger as an approval request (on_exceed: queue); once approved it
+ * passes on the next run regardless of the caps.
+ *
+ * Use getTranscriptionBudget(): every client charging the same cost ledger
+ * shares one budget, so the run total and reservations cover all collectors.
+ */
+
+import path from 'path';
+import { BudgetExceededError } from './collection-errors.js';
+
+const DEFAULT_ASSUMED_DURATION_MINUTES = 60;
+
+// Resolved cost ledger path -> TranscriptionBudget shared by the process
+const sharedBudgets = new Map();
+
+export class TranscriptionBudget {
+  /**
+   * @param {object} config - { per_run_usd, per_mind_usd, monthly_usd, on_exceed, assumed_duration_minutes }
+   * @param {CostLedger} costLedger - Charges and approval requests
+   */
+  constructor(config = {}, costLedger) {
+    this.caps = {
+      per_run_usd: config.per_run_usd ?? null,
+      per_mind_usd: config.per_mind_usd ?? null,
+      monthly_usd: config.monthly_usd ?? null
+    };
+    this.onExceed = config.on_exceed === 'queue' ? 'queue' : 'refuse';
+
+    // Estimate used when the audio duration isn't known before submission
+    this.assumedDurationSeconds = (config.assumed_duration_minutes ?? DEFAULT_ASSUMED_DURATION_MINUTES) * 60;
+
+    this.costLedger = costLedger;
+    this.runSpent = 0;
+    this.reserved = new Map();   // job key -> { estimate, mind }
+    this.checking = Promise.resolve();
+  }
+
+  /**
+   * Reserve a job's estimated cost, or refuse/queue it
+   * Checks are serialized so concurrent jobs see each other's reservations.
+   * @param {object} job - { key, sourceId, mind, estimate }
+   * @returns {Promise<object>} { approved: true when an approval overrode the caps }
+   * @throws {BudgetExceededError}
+   */
+  reserve(job) {
+    const check = this.checking.catch(() => {}).then(() => this._reserve(job));
+    this.checking = check;
+    return check;
+  }
+
+  async _reserve({ key, sourceId = null, mind = null, estimate }) {
+    const exceeded = await this._exceeded({ mind, estimate });
+
+    if (exceeded.length === 0) {
+      this.reserved.set(key, { estimate, mind });
+      return { approved: false };
+    }
+
+    const approval = await this.costLedger.getApproval(key);
+    if (approval?.status === 'approved') {
+      this.reserved.set(key, { estimate, mind });
+      return { approved: true };
+    }
+
+    const caps = exceeded.map(item => `${item.cap} ($${item.spent.toFixed(2)} + $${estimate.toFixed(2)} > $${item.limit.toFixed(2)})`);
+    const message = `Transcription of ${sourceId || 'audio'} would exceed ${caps.join(', ')}`;
+
+    if (this.onExceed === 'queue' && approval?.status !== 'rejected') {
+      await this.costLedger.setApproval(key, {
+        source_id: sourceId,
+        mind,
+        estimated_cost: Math.round(estimate * 100) / 100,
+        exceeded,
+        status: 'pending',
+        requested_at: approval?.requested_at || new Date().toISOString()
+      });
+      throw new BudgetExceededError(`${message}; queued for approval`, { exceeded, approvalId: key });
+    }
+
+    throw new BudgetExceededError(approval?.status === 'rejected' ? `${message}; approval rejected` : message, { exceeded });
+  }
+
+  /**
+   * Caps the job would push over
+   * @returns {Promise<Array<object>>} { cap, limit, spent, estimate }
+   */
+  async _exceeded({ mind, estimate }) {
+    const inFlight = (filter = () => true) => [...this.reserved.values()]
+      .filter(filter)
+      .reduce((sum, reservation) => sum + reservation.estimate, 0);
+
+    const spent = {};
+    if (this.caps.per_run_usd !== null) {
+      spent.per_run_usd = this.runSpent + inFlight();
+    }
+    if (this.caps.per_mind_usd !== null && mind) {
+      spent.per_mind_usd = await this.costLedger.total({ mind }) + inFlight(reservation => reservation.mind === mind);
+    }
+    if (this.caps.monthly_usd !== null) {
+      spent.monthly_usd = await this.costLedger.total({ month: new Date().toISOString().slice(0, 7) }) + inFlight();
+    }
+
+    return Object.entries(spent)
+      .filter(([cap, amount]) => amount + estimate > this.caps[cap])
+      .map(([cap, amount]) => ({ cap, limit: this.caps[cap], spent: Math.round(amount * 100) / 100, estimate }));
+  }
+
+  /**
+   * Record a finished job's charge and drop its reservation
+   * Charges already in the ledger (same transcript) don't count again.
+   * @param {string} key - Job key
+   * @param {object} charge - { transcript_id, source_id, mind, audio_duration, cost }
+   * @returns {Promise<object|null>} New ledger charge, or null
+   */
+  async settle(key, charge) {
+    this.reserved.delete(key);
+
+    let entry;
+    try {
+      entry = await this.costLedger.record(charge);
+    } catch (error) {
+      this.runSpent += Number(charge.cost) || 0;   // Charged even though the ledger couldn't be written
+      throw error;
+    }
+    if (entry) {
+      this.runSpent += entry.cost;
+    }
+
+    const approval = await this.costLedger.getApproval(key);
+    if (approval?.status === 'approved') {
+      await this.costLedger.setApproval(key, { status: 'used', transcript_id: charge.transcript_id });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Drop a reservation (job failed or was never submitted)
+   */
+  release(key) {
+    this.reserved.delete(key);
+  }
+}
+
+/**
+ * Process-wide budget for a cost ledger (the first config for a ledger wins)
+ * @param {object} config - mcp-config.yaml budgets
+ * @param {CostLedger} costLedger - Shared ledger (getCostLedger)
+ * @returns {TranscriptionBudget}
+ */
+export function getTranscriptionBudget(config, costLedger) {
+  const key = path.resolve(costLedger.ledgerPath);
+
+  if (!sharedBudgets.has(key)) {
+    sharedBudgets.set(key, new TranscriptionBudget(config, costLedger));
+  }
+
+  return sharedBudgets.get(key);
+}
+
+/**
+ * Mind name from a path under docs/minds/<mind>/
+ * @returns {string|null}
+ */
+export function mindFromPath(filePath) {
+  const match = String(filePath || '').match(/(?:^|[\\/])minds[\\/]([^\\/]+)[\\/]/);
+  return match ? match[1] : null;
+}
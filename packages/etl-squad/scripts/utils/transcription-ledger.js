@@ -0,0 +1,169 @@
+/**
+ * Transcription Ledger - Persistent record of submitted transcription jobs
+ *
+ * One JSON file keyed by job key (source id + audio hash + options hash), so
+ * a crashed or re-run process finds transcripts it already paid for:
+ *   { key, source_id, audio_hash, options_hash, options, audio_url,
+ *     transcript_id, status, submitted_at, updated_at, ... }
+ *
+ * Status: submitting (POST sent, id not yet known) -> submitted/queued/processing
+ *         -> completed | error | cancelled | abandoned (never reached the provider)
+ *         | missing (deleted on the provider)
+ *
+ * Use getTranscriptionLedger(): one instance per file in the process. Each
+ * save locks and re-reads the file and only overwrites the entries this
+ * instance changed, so other processes' entries are kept.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { withFileLock } from './file-lock.js';
+
+const LEDGER_VERSION = 1;
+const PENDING_STATUSES = new Set(['submitting', 'submitted', 'queued', 'processing']);
+
+// Resolved path -> TranscriptionLedger shared by the process
+const sharedLedgers = new Map();
+
+export class TranscriptionLedger {
+  /**
+   * @param {string} ledgerPath - JSON file path
+   */
+  constructor(ledgerPath) {
+    this.ledgerPath = ledgerPath;
+    this.entries = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+    this.changed = new Set();   // Keys written by this process since the last save
+  }
+
+  /**
+   * Key for a job: same source, same audio and same options = same transcript
+   */
+  static jobKey({ sourceId = null, audioHash, optionsHash }) {
+    return `${sourceId || '-'}|${audioHash}|${optionsHash}`;
+  }
+
+  /**
+   * Hash of the options that change the transcript (not callbacks or webhook secrets)
+   * @returns {string} 'sha256:<hex>' (16 hex chars)
+   */
+  static hashOptions(options = {}) {
+    const relevant = Object.keys(options)
+      .filter(key => options[key] !== undefined && typeof options[key] !== 'function')
+      .sort()
+      .map(key => [key, options[key]]);
+
+    return `sha256:${crypto.createHash('sha256').update(JSON.stringify(relevant)).digest('hex').substring(0, 16)}`;
+  }
+
+  static isPending(entry) {
+    return PENDING_STATUSES.has(entry?.status);
+  }
+
+  async get(key) {
+    await this._load();
+    return this.entries[key] || null;
+  }
+
+  /**
+   * Entries still waiting on the provider (or whose id was never recorded)
+   */
+  async pending() {
+    await this._load();
+    return Object.values(this.entries).filter(entry => TranscriptionLedger.isPending(entry));
+  }
+
+  async all() {
+    await this._load();
+    return Object.values(this.entries);
+  }
+
+  /**
+   * Create or replace the entry for a key
+   */
+  async record(key, entry) {
+    await this._load();
+
+    const now = new Date().toISOString();
+    this.entries[key] = { key, ...entry, submitted_at: entry.submitted_at || now, updated_at: now };
+    this.changed.add(key);
+    await this._save();
+    return this.entries[key];
+  }
+
+  /**
+   * Merge fields into an entry
+   */
+  async update(key, patch) {
+    await this._load();
+
+    if (!this.entries[key]) return null;
+
+    this.entries[key] = { ...this.entries[key], ...patch, updated_at: new Date().toISOString() };
+    this.changed.add(key);
+    await this._save();
+    return this.entries[key];
+  }
+
+  async _load() {
+    if (!this.loading) {
+      this.loading = this._readEntries().then(entries => { this.entries = entries; });
+    }
+    await this.loading;
+  }
+
+  _readEntries() {
+    return fs.readFile(this.ledgerPath, 'utf8')
+      .then(content => JSON.parse(content).entries || {})
+      .catch(() => ({}));
+  }
+
+  /**
+   * Persist (writes are serialized; write-then-rename to a temp file unique per write)
+   * The file is re-read under a lock: entries this instance changed win, all
+   * others come from disk.
+   */
+  async _save() {
+    this.saving = this.saving.catch(() => {}).then(() => withFileLock(this.ledgerPath, async () => {
+      const onDisk = await this._readEntries();
+      const changed = [...this.changed];
+      this.changed.clear();
+      for (const [key, entry] of Object.entries(onDisk)) {
+        if (!changed.includes(key)) this.entries[key] = entry;
+      }
+
+      const tempPath = `${this.ledgerPath}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+      try {
+        await fs.writeFile(tempPath, JSON.stringify({
+          version: LEDGER_VERSION,
+          updated_at: new Date().toISOString(),
+          entries: this.entries
+        }, null, 2));
+        await fs.rename(tempPath, this.ledgerPath);
+      } catch (error) {
+        changed.forEach(key => this.changed.add(key));   // Retried on the next save
+        await fs.rm(tempPath, { force: true });
+        throw error;
+      }
+    }));
+
+    return this.saving;
+  }
+}
+
+/**
+ * Process-wide ledger for a file (every AssemblyAIMCP writing to it shares one instance)
+ * @param {string} ledgerPath - JSON file path
+ * @returns {TranscriptionLedger}
+ */
+export function getTranscriptionLedger(ledgerPath) {
+  const key = path.resolve(ledgerPath);
+
+  if (!sharedLedgers.has(key)) {
+    sharedLedgers.set(key, new TranscriptionLedger(ledgerPath));
+  }
+
+  return sharedLedgers.get(key);
+}
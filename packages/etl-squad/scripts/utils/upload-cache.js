@@ -0,0 +1,110 @@
+/**
+ * Upload Cache - Reuse provider upload URLs for audio we already uploaded
+ *
+ * One JSON file keyed by the audio file's content hash, so re-transcribing the
+ * same audio (renamed or re-downloaded) skips the upload:
+ *   { hash, upload_url, file, size_bytes, uploaded_at }
+ *
+ * Entries older than ttlHours are ignored (provider upload URLs expire).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+
+const CACHE_VERSION = 1;
+
+export class UploadCache {
+  /**
+   * @param {string} cachePath - JSON file path
+   * @param {object} options - { ttlHours }
+   */
+  constructor(cachePath, options = {}) {
+    this.cachePath = cachePath;
+    this.ttlMs = (options.ttlHours ?? 24) * 3600 * 1000;
+    this.entries = null;
+    this.loading = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Get a live entry for a content hash
+   * @returns {Promise<object|null>} { hash, upload_url, file, size_bytes, uploaded_at } or null
+   */
+  async get(hash) {
+    await this._load();
+
+    const entry = this.entries[hash];
+    if (!entry) return null;
+
+    const age = Date.now() - new Date(entry.uploaded_at).getTime();
+    return age < this.ttlMs ? entry : null;
+  }
+
+  /**
+   * Record an upload
+   */
+  async set(hash, entry) {
+    await this._load();
+
+    this.entries[hash] = { hash, ...entry, uploaded_at: entry.uploaded_at || new Date().toISOString() };
+    await this._save();
+    return this.entries[hash];
+  }
+
+  /**
+   * Forget an upload (e.g. the provider rejected the URL)
+   */
+  async delete(hash) {
+    await this._load();
+
+    if (this.entries[hash]) {
+      delete this.entries[hash];
+      await this._save();
+    }
+  }
+
+  async _load() {
+    if (!this.loading) {
+      this.loading = fs.readFile(this.cachePath, 'utf8')
+        .then(content => JSON.parse(content).entries || {})
+        .catch(() => ({}))
+        .then(entries => { this.entries = entries; });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Persist (writes are serialized; write-then-rename)
+   */
+  async _save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+
+      const tempPath = `${this.cachePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({
+        version: CACHE_VERSION,
+        updated_at: new Date().toISOString(),
+        entries: this.entries
+      }, null, 2));
+      await fs.rename(tempPath, this.cachePath);
+    });
+
+    return this.saving;
+  }
+}
+
+/**
+ * Hash a file's content without loading it into memory
+ * @returns {Promise<string>} 'sha256:<hex>'
+ */
+export async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+
+  return `sha256:${hash.digest('hex')}`;
+}
@@ -0,0 +1,180 @@
+/**
+ * Webhook Listener - Small local HTTP server for job-completion callbacks
+ *
+ * Providers (AssemblyAI) POST { transcript_id, status } to the webhook_url
+ * given at submission. Waiters are keyed by job id; callbacks that arrive
+ * before anyone waits (fast jobs) are kept until claimed.
+ *
+ * Requests must carry the shared secret header (authHeaderName) and are
+ * answered 200 at once; the job is resolved from the callback body.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const UNCLAIMED_TTL_MS = 60 * 60 * 1000;
+
+export class WebhookListener {
+  /**
+   * @param {object} options - { host, port (0 = any), path, publicUrl, authHeaderName, idField }
+   *   publicUrl: base URL the provider can reach (tunnel/reverse proxy); defaults to the local address
+   */
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port ?? 0;
+    this.path = `/${(options.path || 'webhooks').replace(/^\/+|\/+$/g, '')}`;
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+    this.authHeaderName = options.authHeaderName || 'X-Webhook-Secret';
+    this.authHeaderValue = crypto.randomBytes(24).toString('hex');
+    this.idField = options.idField || 'transcript_id';
+
+    this.server = null;
+    this.starting = null;
+    this.waiters = new Map();    // job id -> { resolve, reject, timer }
+    this.unclaimed = new Map();  // job id -> { payload, received_at }
+  }
+
+  /**
+   * Start listening (once)
+   * @returns {Promise<WebhookListener>}
+   */
+  start() {
+    if (!this.starting) {
+      this.starting = new Promise((resolve, reject) => {
+        const server = http.createServer((req, res) => this._handle(req, res));
+        server.once('error', reject);
+        server.listen(this.port, this.host, () => {
+          server.unref();   // Never keeps the process alive on its own
+          this.server = server;
+          resolve(this);
+        });
+      });
+    }
+    return this.starting;
+  }
+
+  /**
+   * URL to register with the provider
+   */
+  get url() {
+    const base = this.publicUrl || `http://${this.host}:${this.server?.address().port}`;
+    return `${base}${this.path}`;
+  }
+
+  /**
+   * Provider auth header ({ name, value }) to send with the webhook registration
+   */
+  get authHeader() {
+    return { name: this.authHeaderName, value: this.authHeaderValue };
+  }
+
+  /**
+   * Wait for the callback of a job
+   * @param {string} id - Job id
+   * @param {number} timeoutMs - Reject after this long (0 = no timeout)
+   * @returns {Promise<object>} Callback payload
+   */
+  waitFor(id, timeoutMs = 0) {
+    const early = this.unclaimed.get(id);
+    if (early) {
+      this.unclaimed.delete(id);
+      return Promise.resolve(early.payload);
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = timeoutMs > 0
+        ? setTimeout(() => {
+          this.waiters.delete(id);
+          reject(new Error(`No webhook for ${id} within ${Math.round(timeoutMs / 1000)}s`));
+        }, timeoutMs)
+        : null;
+
+      this.waiters.set(id, { resolve, reject, timer });
+    });
+  }
+
+  /**
+   * Stop waiting for a job (e.g. cancelled)
+   */
+  cancel(id, reason = 'cancelled') {
+    const waiter = this.waiters.get(id);
+    if (!waiter) return;
+
+    clearTimeout(waiter.timer);
+    this.waiters.delete(id);
+    waiter.reject(new Error(`Webhook wait for ${id} ${reason}`));
+  }
+
+  async close() {
+    for (const id of [...this.waiters.keys()]) {
+      this.cancel(id, 'closed');
+    }
+
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+    }
+    this.server = null;
+    this.starting = null;
+  }
+
+  _handle(req, res) {
+    const requestPath = new URL(req.url, 'http://localhost').pathname.replace(/\/+$/, '');
+
+    if (req.method !== 'POST' || requestPath !== this.path) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    if (req.headers[this.authHeaderName.toLowerCase()] !== this.authHeaderValue) {
+      res.writeHead(401).end();
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        res.writeHead(413).end();
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (_error) {
+        res.writeHead(400).end();
+        return;
+      }
+
+      const id = payload?.[this.idField];
+      if (!id) {
+        res.writeHead(400).end();
+        return;
+      }
+
+      res.writeHead(200, { 'content-type': 'application/json' }).end('{"ok":true}');
+      this._deliver(id, payload);
+    });
+  }
+
+  _deliver(id, payload) {
+    const waiter = this.waiters.get(id);
+
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this.waiters.delete(id);
+      waiter.resolve(payload);
+      return;
+    }
+
+    // Arrived before waitFor(): keep for a while
+    const now = Date.now();
+    for (const [key, entry] of this.unclaimed) {
+      if (now - entry.received_at > UNCLAIMED_TTL_MS) this.unclaimed.delete(key);
+    }
+    this.unclaimed.set(id, { payload, received_at: now });
+  }
+}
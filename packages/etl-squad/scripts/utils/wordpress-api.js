@@ -0,0 +1,190 @@
+/**
+ * WordPress API - Minimal client for the WordPress REST API (wp/v2)
+ *
+ * Shared by WordPressExtractor (single posts) and BlogDiscovery (paging).
+ * Supports both pretty (/wp-json/) and plain (?rest_route=) API roots.
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+
+const MAX_PER_PAGE = 100; // WordPress hard limit
+
+export class WordPressAPI {
+  /**
+   * @param {string} apiRoot - e.g. 'https://example.com/wp-json/'
+   * @param {object} options - { headers, timeout, beforeRequest: async (url) => void,
+   *                             schedule: (url, request) => Promise (e.g. RequestScheduler),
+   *                             access: async (url) => { headers, httpAgent, httpsAgent, proxy } (RequestProfiles) }
+   */
+  constructor(apiRoot, options = {}) {
+    this.apiRoot = apiRoot;
+    this.options = {
+      headers: options.headers || {},
+      timeout: options.timeout || 30000,
+      beforeRequest: options.beforeRequest || null,
+      schedule: options.schedule || null,
+      access: options.access || null
+    };
+  }
+
+  /**
+   * Find API root for a page
+   * Prefers the <link rel="https://api.w.org/"> WordPress emits, falls back to /wp-json/
+   * @param {CheerioAPI} $ - Cheerio instance of any page on the site
+   * @param {string} pageUrl - Page URL
+   * @returns {string}
+   */
+  static findApiRoot($, pageUrl) {
+    const href = $('link[rel="https://api.w.org/"]').attr('href');
+
+    if (href) {
+      try {
+        return new URL(href, pageUrl).href;
+      } catch (_e) {
+        // Invalid href, use default
+      }
+    }
+
+    return new URL('/wp-json/', pageUrl).href;
+  }
+
+  /**
+   * Build endpoint URL for a route
+   * @param {string} route - e.g. '/wp/v2/posts'
+   * @param {object} params - Query parameters
+   */
+  buildUrl(route, params = {}) {
+    const url = new URL(this.apiRoot);
+
+    if (url.searchParams.has('rest_route')) {
+      url.searchParams.set('rest_route', route);
+    } else {
+      url.pathname = `${url.pathname.replace(/\/+$/, '')}${route}`;
+    }
+
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, String(value));
+      }
+    }
+
+    return url.href;
+  }
+
+  /**
+   * Get a single post by ID or slug (with author and terms embedded)
+   * @param {object} query - { id } or { slug }
+   * @returns {Promise<object|null>} Raw wp/v2 post or null
+   */
+  async getPost({ id = null, slug = null } = {}) {
+    if (id) {
+      const response = await this._get(this.buildUrl(`/wp/v2/posts/${id}`, { _embed: 'author,wp:term' }));
+      return response.data || null;
+    }
+
+    if (slug) {
+      const response = await this._get(this.buildUrl('/wp/v2/posts', { slug, _embed: 'author,wp:term' }));
+      return Array.isArray(response.data) ? response.data[0] || null : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Page through all published posts
+   * @param {object} options - { fields, maxPages }
+   * @returns {Promise<Array>} Raw wp/v2 posts
+   */
+  async listPosts(options = {}) {
+    const maxPages = options.maxPages || 50;
+    const posts = [];
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this._get(this.buildUrl('/wp/v2/posts', {
+        per_page: MAX_PER_PAGE,
+        page,
+        orderby: 'date',
+        order: 'desc',
+        _fields: options.fields
+      }));
+
+      if (!Array.isArray(response.data)) {
+        throw new Error('Unexpected REST API response (not a post list)');
+      }
+
+      posts.push(...response.data);
+
+      const totalPages = parseInt(response.headers['x-wp-totalpages']) || page;
+      if (page >= totalPages || response.data.length < MAX_PER_PAGE) {
+        break;
+      }
+    }
+
+    return posts;
+  }
+
+  /**
+   * Map term IDs to names for a taxonomy ('categories' or 'tags')
+   * @returns {Promise<Map<number, string>>}
+   */
+  async getTermNames(taxonomy, maxPages = 10) {
+    const names = new Map();
+
+    for (let page = 1; page <= maxPages; page++) {
+      const response = await this._get(this.buildUrl(`/wp/v2/${taxonomy}`, {
+        per_page: MAX_PER_PAGE,
+        page,
+        _fields: 'id,name'
+      }));
+
+      for (const term of response.data || []) {
+        names.set(term.id, WordPressAPI.decodeHtml(term.name));
+      }
+
+      const totalPages = parseInt(response.headers['x-wp-totalpages']) || page;
+      if (page >= totalPages) break;
+    }
+
+    return names;
+  }
+
+  /**
+   * Decode rendered HTML fields (titles come back with entities like &#8217;)
+   */
+  static decodeHtml(html) {
+    return html ? cheerio.load(html).text().trim() : '';
+  }
+
+  /**
+   * Convert wp/v2 GMT date (no timezone suffix) to Date
+   */
+  static parseGmtDate(value) {
+    if (!value) return null;
+
+    const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value}Z`);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  async _get(url) {
+    if (this.options.beforeRequest) {
+      await this.options.beforeRequest(url);
+    }
+
+    const { headers = {}, ...access } = this.options.access ? await this.options.access(url) : {};
+
+    const request = () => axios.get(url, {
+      ...access,
+      headers: {
+        ...this.options.headers,
+        ...headers,
+        'Accept': 'application/json'
+      },
+      timeout: this.options.timeout
+    });
+
+    return this.options.schedule ? this.options.schedule(url, request) : request();
+  }
+}
+
+export default WordPressAPI;
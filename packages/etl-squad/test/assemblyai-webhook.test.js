@@ -0,0 +1,165 @@
+/**
+ * AssemblyAIMCP webhook completion against a local stand-in API
+ * (callback delivery, auth rejection, timeout fallback, no public URL)
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { AssemblyAIMCP } from '../scripts/mcps/assemblyai-mcp.js';
+
+const AUDIO_URL = 'https://cdn.example.com/episode.mp3';
+
+let api;
+let stateDir;
+
+/**
+ * Stand-in for api.assemblyai.com/v2
+ * callback: 'deliver' (correct secret), 'wrong-secret' or 'none'
+ */
+async function startStandInApi(callback) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      const reply = (data) => res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(data));
+
+      if (req.method === 'POST' && req.url === '/v2/transcript') {
+        const submitted = JSON.parse(body);
+        server.submitted.push(submitted);
+        reply({ id: 'transcript-1', status: 'queued' });
+
+        if (callback !== 'none') {
+          const secret = callback === 'deliver' ? submitted.webhook_auth_header_value : 'wrong';
+          const response = await axios.post(submitted.webhook_url, { transcript_id: 'transcript-1', status: 'completed' }, {
+            headers: { [submitted.webhook_auth_header_name]: secret },
+            validateStatus: () => true
+          });
+          server.callbackStatuses.push(response.status);
+        }
+        return;
+      }
+
+      if (req.method === 'GET' && req.url.startsWith('/v2/transcript/')) {
+        reply({ id: 'transcript-1', status: 'completed', text: 'Hello there', audio_duration: 60, utterances: [] });
+        return;
+      }
+
+      reply({ transcripts: [] });
+    });
+  });
+
+  server.submitted = [];
+  server.callbackStatuses = [];
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+async function freePort() {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+async function createClient(webhook) {
+  const client = new AssemblyAIMCP('test-key', {
+    base_url: `http://127.0.0.1:${api.address().port}/v2`,
+    webhook,
+    ledger: { path: path.join(stateDir, 'jobs.json') },
+    cost_ledger: { path: path.join(stateDir, 'costs.json') }
+  });
+
+  client.events = [];
+  for (const name of ['webhook_fallback', 'transcription_webhook']) {
+    client.on(name, data => client.events.push({ name, ...data }));
+  }
+  return client;
+}
+
+async function publicWebhook(timeoutSeconds = 5) {
+  const port = await freePort();
+  return { enabled: true, host: '127.0.0.1', port, public_url: `http://127.0.0.1:${port}`, timeout_seconds: timeoutSeconds };
+}
+
+beforeEach(async () => {
+  stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-webhook-test-'));
+});
+
+afterEach(async () => {
+  await new Promise(resolve => api.close(resolve));
+  await fs.rm(stateDir, { recursive: true, force: true });
+});
+
+test('completes through the webhook callback', async () => {
+  api = await startStandInApi('deliver');
+  const client = await createClient(await publicWebhook());
+
+  try {
+    const transcript = await client.transcribe(AUDIO_URL, { source_id: 'webhook-delivery', poll_interval: 10 });
+
+    assert.equal(transcript.text, 'Hello there');
+    assert.deepEqual(api.callbackStatuses, [200]);
+    assert.ok(api.submitted[0].webhook_url.endsWith('/assemblyai'));
+    assert.deepEqual(client.events.map(event => event.name), ['transcription_webhook']);
+  } finally {
+    await client.close();
+  }
+});
+
+test('rejects callbacks without the shared secret', async () => {
+  api = await startStandInApi('wrong-secret');
+  const client = await createClient(await publicWebhook(0.3));
+
+  try {
+    const transcript = await client.transcribe(AUDIO_URL, { source_id: 'webhook-auth', poll_interval: 10 });
+
+    assert.deepEqual(api.callbackStatuses, [401]);
+    assert.equal(transcript.text, 'Hello there');   // Polled after the timeout
+    assert.deepEqual(client.events.map(event => event.name), ['webhook_fallback']);
+  } finally {
+    await client.close();
+  }
+});
+
+test('falls back to polling when no callback arrives in time', async () => {
+  api = await startStandInApi('none');
+  const client = await createClient(await publicWebhook(0.3));
+
+  try {
+    const transcript = await client.transcribe(AUDIO_URL, { source_id: 'webhook-timeout', poll_interval: 10 });
+
+    assert.equal(transcript.text, 'Hello there');
+    assert.equal(client.events.length, 1);
+    assert.equal(client.events[0].transcript_id, 'transcript-1');
+    assert.match(client.events[0].reason, /No webhook for transcript-1/);
+  } finally {
+    await client.close();
+  }
+});
+
+test('polls without registering a webhook when there is no public URL', async () => {
+  api = await startStandInApi('none');
+  const savedUrl = process.env.ASSEMBLYAI_WEBHOOK_URL;
+  delete process.env.ASSEMBLYAI_WEBHOOK_URL;
+
+  const client = await createClient({ enabled: true, host: '127.0.0.1', port: 0, timeout_seconds: 3600 });
+
+  try {
+    const startedAt = Date.now();
+    const transcript = await client.transcribe(AUDIO_URL, { source_id: 'webhook-no-public-url', poll_interval: 10 });
+
+    assert.equal(transcript.text, 'Hello there');
+    assert.equal(api.submitted[0].webhook_url, undefined);
+    assert.match(client.events[0].reason, /no public URL/);
+    assert.ok(Date.now() - startedAt < 5000);
+  } finally {
+    await client.close();
+    if (savedUrl !== undefined) process.env.ASSEMBLYAI_WEBHOOK_URL = savedUrl;
+  }
+});
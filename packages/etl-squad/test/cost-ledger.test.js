@@ -0,0 +1,86 @@
+/**
+ * CostLedger and TranscriptionBudget shared per process, concurrent writers,
+ * and charges that can't be written to the ledger
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AssemblyAIMCP } from '../scripts/mcps/assemblyai-mcp.js';
+import { CostLedger } from '../scripts/utils/cost-ledger.js';
+
+async function withStateDir(fn) {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-costs-test-'));
+  try {
+    await fn(stateDir);
+  } finally {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+}
+
+function createClient(stateDir, costsPath = path.join(stateDir, 'costs.json')) {
+  return new AssemblyAIMCP('test-key', {
+    ledger: { path: path.join(stateDir, 'jobs.json') },
+    cost_ledger: { path: costsPath },
+    budgets: { per_run_usd: 1 }
+  });
+}
+
+test('clients on the same cost ledger share the ledger and budget', async () => {
+  await withStateDir(async (stateDir) => {
+    const youtube = createClient(stateDir);
+    const podcasts = createClient(stateDir);
+
+    assert.equal(youtube.costLedger, podcasts.costLedger);
+    assert.equal(youtube.budget, podcasts.budget);
+    assert.equal(youtube.ledger, podcasts.ledger);
+
+    // per_run_usd sees the other collector's reservation
+    await youtube.budget.reserve({ key: 'youtube-job', sourceId: 'video', estimate: 0.6 });
+    await assert.rejects(
+      podcasts.budget.reserve({ key: 'podcast-job', sourceId: 'episode', estimate: 0.6 }),
+      /per_run_usd/
+    );
+    youtube.budget.release('youtube-job');
+  });
+});
+
+test('keeps charges and approvals written by separate instances on the same file', async () => {
+  await withStateDir(async (stateDir) => {
+    const ledgerPath = path.join(stateDir, 'costs.json');
+
+    // Stands in for two processes writing the same ledger
+    const first = new CostLedger(ledgerPath);
+    const second = new CostLedger(ledgerPath);
+
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) => first.record({ transcript_id: `first-${i}`, cost: 0.1 })),
+      ...Array.from({ length: 10 }, (_, i) => second.record({ transcript_id: `second-${i}`, cost: 0.1 })),
+      first.setApproval('job-a', { status: 'pending' }),
+      second.setApproval('job-b', { status: 'approved' })
+    ]);
+    await second.record({ transcript_id: 'first-0', cost: 0.1 });   // Already charged by the other instance
+
+    const stored = JSON.parse(await fs.readFile(ledgerPath, 'utf8'));
+    assert.equal(stored.charges.length, 20);
+    assert.deepEqual(Object.keys(stored.approvals).sort(), ['job-a', 'job-b']);
+    assert.deepEqual(await fs.readdir(stateDir), ['costs.json']);   // No temp or lock files left behind
+  });
+});
+
+test('reports a charge the ledger cannot store without failing the transcript', async () => {
+  await withStateDir(async (stateDir) => {
+    await fs.writeFile(path.join(stateDir, 'not-a-dir'), '');
+    const client = createClient(stateDir, path.join(stateDir, 'not-a-dir', 'costs.json'));
+    const errors = [];
+    client.on('cost_ledger_error', data => errors.push(data));
+
+    const entry = await client._recordCharge('job', { id: 'transcript-1', audio_duration: 3600 }, { source_id: 'episode' });
+
+    assert.equal(entry, null);
+    assert.equal(errors[0].transcript_id, 'transcript-1');
+    assert.ok(client.budget.runSpent > 0);   // Still counts toward per_run_usd
+  });
+});
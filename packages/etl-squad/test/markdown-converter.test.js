@@ -0,0 +1,30 @@
+/**
+ * MarkdownConverter regression fixtures
+ * Each test/fixtures/markdown/<name>.html is converted and compared with <name>.md
+ * (tables with spans and pipes in cells, KaTeX/MathJax/MathML/raw TeX and literal $,
+ * footnote dialects, <details>, definition lists)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MarkdownConverter } from '../scripts/utils/markdown-converter.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'markdown');
+
+const converter = new MarkdownConverter();
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.html'))
+  .map(file => path.basename(file, '.html'));
+
+for (const name of fixtures) {
+  test(`converts ${name}.html`, () => {
+    const html = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.html`), 'utf8');
+    const expected = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.md`), 'utf8');
+
+    assert.equal(converter.convert(html), expected.trimEnd());
+  });
+}
@@ -0,0 +1,46 @@
+/**
+ * TranscriptionLedger shared instances and concurrent writers on one file
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TranscriptionLedger, getTranscriptionLedger } from '../scripts/utils/transcription-ledger.js';
+
+test('shares one ledger per file', async () => {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-ledger-test-'));
+  const ledgerPath = path.join(stateDir, 'jobs.json');
+
+  try {
+    assert.equal(getTranscriptionLedger(ledgerPath), getTranscriptionLedger(path.join(stateDir, '.', 'jobs.json')));
+    assert.notEqual(getTranscriptionLedger(ledgerPath), getTranscriptionLedger(path.join(stateDir, 'other.json')));
+  } finally {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+});
+
+test('keeps entries written by separate instances on the same file', async () => {
+  const stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'etl-ledger-test-'));
+  const ledgerPath = path.join(stateDir, 'jobs.json');
+
+  try {
+    // Stands in for two processes writing the same ledger
+    const first = new TranscriptionLedger(ledgerPath);
+    const second = new TranscriptionLedger(ledgerPath);
+
+    await Promise.all([
+      ...Array.from({ length: 10 }, (_, i) => first.record(`first-${i}`, { status: 'submitted' })),
+      ...Array.from({ length: 10 }, (_, i) => second.record(`second-${i}`, { status: 'submitted' }))
+    ]);
+    await first.update('first-0', { status: 'completed' });
+
+    const stored = JSON.parse(await fs.readFile(ledgerPath, 'utf8')).entries;
+    assert.equal(Object.keys(stored).length, 20);
+    assert.equal(stored['first-0'].status, 'completed');
+    assert.deepEqual(await fs.readdir(stateDir), ['jobs.json']);   // No temp files left behind
+  } finally {
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+});